@@ -1,41 +1,265 @@
 import dotenv from "dotenv";
 dotenv.config();
 import axios from "axios";
+import { delay, isCancellation } from "../utils/abort.js";
+import { createCircuitBreaker } from "../utils/circuitBreaker.js";
 
 /**
- * Fetches smart analyze data for a specific company and origin
- * @param {string} origin - The Hero origin (e.g., "HERO", "HERO2", "HERO3", etc.)
- * @param {string} companyId - The company ID (e.g., "Company:8VvGSxT2el")
- * @param {string} accessToken - The Hero access token for authentication
- * @returns {Promise<Object>} The smart analyze data
+ * Fortex smart analyze client
+ * Base URL and timeouts come from the environment (FORTEX_BASE_URL, FORTEX_TIMEOUT_MS). Every failure is
+ * classified and the class is attached to the thrown error as `errorClass`:
+ *
+ *   timeout      no answer within the timeout
+ *   network      no response at all (connection refused/reset, DNS, ...)
+ *   auth         401 / 403
+ *   rateLimited  429 (Retry-After is honored)
+ *   server       5xx
+ *   client       any other 4xx (e.g. 404 company not found)
+ *   badPayload   2xx whose body is not a list of drivers
+ *   circuitOpen  not sent: the origin's circuit breaker is open
+ *   unknown      anything else
+ *
+ * Retryable classes (timeout, network, rateLimited, server) are retried within the call with exponential
+ * backoff and jitter, up to FORTEX_CALL_RETRIES times.
+ *
+ * Every origin has a circuit breaker (see utils/circuitBreaker.js) around these calls. Once the share of
+ * failed calls (timeout, network, rateLimited, server, badPayload) among the recent ones reaches
+ * FORTEX_BREAKER_FAILURE_RATIO, calls for that origin fail at once until FORTEX_BREAKER_OPEN_MS has passed;
+ * then a single probe call decides whether the breaker closes again.
  */
 
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 const fortexAuth = process.env.FORTEX_AUTH;
+const BASE_URL = (process.env.FORTEX_BASE_URL || "https://api.fortex-hero.us").replace(/\/+$/, "");
+const TIMEOUT_MS = envNumber("FORTEX_TIMEOUT_MS", 120000);
+const CALL_RETRIES = envNumber("FORTEX_CALL_RETRIES", 2);
+const BACKOFF_BASE_MS = envNumber("FORTEX_BACKOFF_BASE_MS", 1000);
+const BACKOFF_MAX_MS = envNumber("FORTEX_BACKOFF_MAX_MS", 30000);
+// A longer Retry-After is not waited out inside the call; the error goes to the caller instead
+const RETRY_AFTER_MAX_MS = envNumber("FORTEX_RETRY_AFTER_MAX_MS", 120000);
+
+const ERROR_CLASSES = ["timeout", "network", "auth", "rateLimited", "server", "client", "badPayload", "circuitOpen", "unknown"];
+const RETRYABLE_CLASSES = ["timeout", "network", "rateLimited", "server"];
+// Failures that say Fortex itself is unwell; a 404 or an auth error comes from a working service
+const BREAKER_FAILURE_CLASSES = ["timeout", "network", "rateLimited", "server", "badPayload"];
+
+const BREAKER_ENABLED = process.env.FORTEX_BREAKER_ENABLED !== "false";
+const BREAKER_OPTIONS = {
+  failureRatio: envFloat("FORTEX_BREAKER_FAILURE_RATIO", 0.5),
+  minCalls: envNumber("FORTEX_BREAKER_MIN_CALLS", 10),
+  windowSize: envNumber("FORTEX_BREAKER_WINDOW", 20),
+  openMs: envNumber("FORTEX_BREAKER_OPEN_MS", 10 * 60 * 1000),
+};
+
+const breakers = new Map();
+
+const NETWORK_CODES = ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "EPIPE", "ERR_NETWORK"];
+
+/**
+ * Classify a failed smart analyze call
+ * @param {Error} error - Error thrown by axios or by the payload check
+ * @returns {string} One of ERROR_CLASSES
+ */
+function classifyFortexError(error) {
+  if (error?.errorClass) return error.errorClass;
+
+  const status = error?.response?.status;
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rateLimited";
+  if (status >= 500) return "server";
+  if (status >= 400) return "client";
+
+  if (error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT" || /timeout/i.test(error?.message || "")) {
+    return "timeout";
+  }
+  if (NETWORK_CODES.includes(error?.code) || (error?.request && !error?.response)) {
+    return "network";
+  }
+
+  return "unknown";
+}
+
+/**
+ * Whether a failure class is worth retrying
+ * @param {string} errorClass - Class from classifyFortexError()
+ * @returns {boolean}
+ */
+function isRetryableClass(errorClass) {
+  return RETRYABLE_CLASSES.includes(errorClass);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {Error} error - Error thrown by axios
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+function retryAfterMs(error) {
+  const header = error?.response?.headers?.["retry-after"];
+  if (header === undefined || header === null || header === "") return null;
 
-async function smartAnalyze(origin, companyId) {
-  try {
-    const url = `https://api.fortex-hero.us/monitoring/smart-analyze/${origin}/${companyId}`;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
 
-    console.log(`Fetching smart analyze data for ${companyId} from ${origin}...`);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Backoff before a retry: exponential with "equal jitter" (half fixed, half random) so parallel
+ * workers hitting the same failure do not retry in lockstep
+ * @param {number} retry - Retry number (1 = first retry)
+ * @returns {number} Milliseconds to wait
+ */
+function backoffMs(retry) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (retry - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function badPayloadError(data) {
+  const received = Array.isArray(data) ? "array" : data === null ? "null" : typeof data;
+  const error = new Error(`Bad payload from Fortex: expected a list of drivers, got ${received}`);
+  error.errorClass = "badPayload";
+  return error;
+}
 
-    const response = await axios.get(url, {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `${fortexAuth}`,
+/**
+ * The circuit breaker of an origin, created on first use
+ * @param {string} origin - The origin name
+ * @returns {Object} Breaker (see createCircuitBreaker)
+ */
+function getBreaker(origin) {
+  if (!breakers.has(origin)) {
+    breakers.set(origin, createCircuitBreaker(origin, {
+      ...BREAKER_OPTIONS,
+      isFailure: (error) => isCancellation(error) ? null : BREAKER_FAILURE_CLASSES.includes(error.errorClass),
+      onStateChange: (state, previous, breaker) => {
+        const { recentFailures, recentCalls, retryAt } = breaker.status();
+        console.log(
+          `[CIRCUIT] ${origin}: ${previous} → ${state}` +
+          (state === "open" ? ` (${recentFailures}/${recentCalls} recent calls failed, probing after ${retryAt})` : "")
+        );
       },
-      timeout: 120000, // 120 second timeout
-    });
-
-    console.log(`Smart analyze data received for ${companyId}`);
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching smart analyze data for ${companyId} from ${origin}:`, error.message);
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", error.response.data);
+    }));
+  }
+  return breakers.get(origin);
+}
+
+/**
+ * Whether the origin's circuit breaker currently rejects calls
+ * @param {string} origin - The origin name
+ * @returns {boolean}
+ */
+function isCircuitOpen(origin) {
+  return BREAKER_ENABLED && breakers.has(origin) && !breakers.get(origin).canRequest();
+}
+
+/**
+ * Circuit breaker status of every origin that has made calls
+ * @returns {Array<Object>} Status entries (see createCircuitBreaker().status())
+ */
+function getCircuitStatus() {
+  return Array.from(breakers.entries()).map(([origin, breaker]) => {
+    const { name, ...status } = breaker.status();
+    return { origin, enabled: BREAKER_ENABLED, ...status };
+  });
+}
+
+/**
+ * Close an origin's circuit breaker by hand (e.g. after Fortex was fixed)
+ * @param {string} origin - The origin name
+ * @returns {boolean} false if the origin has no breaker yet
+ */
+function resetCircuit(origin) {
+  const breaker = breakers.get(origin);
+  if (!breaker) return false;
+  breaker.reset();
+  return true;
+}
+
+/**
+ * Fetches smart analyze data for a specific company and origin, through the origin's circuit breaker
+ * Retryable failures are retried with backoff; the final error carries errorClass, attempts and, for 429,
+ * retryAfterMs. While the breaker is open the call fails at once with errorClass "circuitOpen".
+ * @param {string} origin - The Hero origin (e.g., "HERO", "HERO2", "HERO3", etc.)
+ * @param {string} companyId - The company ID (e.g., "Company:8VvGSxT2el")
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request (and any backoff wait) when aborted
+ * @param {number} options.timeoutMs - Timeout of each request (default: FORTEX_TIMEOUT_MS or 120000)
+ * @param {number} options.retries - Retries for retryable failures (default: FORTEX_CALL_RETRIES or 2)
+ * @returns {Promise<Array>} The smart analyze data (drivers)
+ */
+async function smartAnalyze(origin, companyId, options = {}) {
+  if (!BREAKER_ENABLED) {
+    return requestSmartAnalyze(origin, companyId, options);
+  }
+  return getBreaker(origin).run(() => requestSmartAnalyze(origin, companyId, options));
+}
+
+async function requestSmartAnalyze(origin, companyId, options) {
+  const { signal, timeoutMs = TIMEOUT_MS, retries = CALL_RETRIES } = options;
+  const url = `${BASE_URL}/monitoring/smart-analyze/${origin}/${companyId}`;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      console.log(`Fetching smart analyze data for ${companyId} from ${origin}...`);
+
+      const response = await axios.get(url, {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `${fortexAuth}`,
+        },
+        timeout: timeoutMs,
+        signal,
+      });
+
+      if (!Array.isArray(response.data)) {
+        throw Object.assign(badPayloadError(response.data), { response });
+      }
+
+      console.log(`Smart analyze data received for ${companyId}`);
+      return response.data;
+    } catch (error) {
+      if (isCancellation(error) || signal?.aborted) throw error;
+
+      const errorClass = classifyFortexError(error);
+      const waitAfter = errorClass === "rateLimited" ? retryAfterMs(error) : null;
+      error.errorClass = errorClass;
+      error.attempts = attempt;
+      if (waitAfter !== null) error.retryAfterMs = waitAfter;
+
+      console.error(`Error fetching smart analyze data for ${companyId} from ${origin} (${errorClass}):`, error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error("Response data:", error.response.data);
+      }
+
+      const retryable = isRetryableClass(errorClass) && attempt <= retries
+        && (waitAfter === null || waitAfter <= RETRY_AFTER_MAX_MS);
+      if (!retryable) throw error;
+
+      const wait = Math.max(backoffMs(attempt), waitAfter ?? 0);
+      console.log(`Retrying ${companyId} from ${origin} in ${(wait / 1000).toFixed(1)}s (retry ${attempt}/${retries})...`);
+      await delay(wait, signal);
     }
-    throw error;
   }
 }
 
-export { smartAnalyze };
+export {
+  smartAnalyze,
+  classifyFortexError,
+  isRetryableClass,
+  isCircuitOpen,
+  getCircuitStatus,
+  resetCircuit,
+  ERROR_CLASSES,
+  RETRYABLE_CLASSES,
+};
@@ -26,7 +26,7 @@ async function authHero(email, password, company, rCode = "hero", strategy = "lo
 
 async function getCompanies(heroToken) {
   try {
-    console.log(`    Making request to companies API with token: ${heroToken.substring(0, 20)}...`);
+    console.log(`    Making request to companies API...`);
     const response = await axios.get("https://backend.apexhos.com/companies", {
       params: {
         $limit: 20000,
@@ -0,0 +1,87 @@
+import axios from "axios";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Override to point the bot at a local Bot API stand-in
+const TELEGRAM_API_BASE_URL = (process.env.TELEGRAM_API_BASE_URL || "https://api.telegram.org").replace(/\/$/, "");
+
+/**
+ * Calls a Telegram Bot API method
+ * @param {string} token - Bot token
+ * @param {string} method - Bot API method (e.g., "getUpdates", "sendMessage")
+ * @param {Object} payload - Method parameters
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Request timeout in ms (default: 30000)
+ * @param {AbortSignal} options.signal - Cancels the request when aborted
+ * @returns {Promise<*>} The `result` field of the Bot API response
+ */
+async function callBotApi(token, method, payload = {}, options = {}) {
+  const { timeout = 30000, signal } = options;
+
+  const response = await axios.post(`${TELEGRAM_API_BASE_URL}/bot${token}/${method}`, payload, {
+    headers: {
+      "Content-Type": "application/json",
+    },
+    timeout,
+    signal,
+  });
+
+  if (!response.data?.ok) {
+    throw new Error(`Telegram ${method} failed: ${response.data?.description || "unknown error"}`);
+  }
+
+  return response.data.result;
+}
+
+/**
+ * Long-polls for new bot updates
+ * @param {string} token - Bot token
+ * @param {number} offset - Identifier of the first update to return
+ * @param {Object} options - Polling options
+ * @param {number} options.pollTimeout - Long-poll timeout in seconds (default: 30)
+ * @param {AbortSignal} options.signal - Cancels the poll when aborted
+ * @returns {Promise<Array>} Updates
+ */
+async function getUpdates(token, offset, options = {}) {
+  const { pollTimeout = 30, signal } = options;
+
+  try {
+    return await callBotApi(token, "getUpdates", {
+      offset,
+      timeout: pollTimeout,
+      allowed_updates: ["message"],
+    }, {
+      // Leave room for the long poll itself
+      timeout: (pollTimeout + 10) * 1000,
+      signal,
+    });
+  } catch (error) {
+    if (error.code !== "ERR_CANCELED") {
+      console.error("Error fetching telegram updates:", error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sends a text message to a chat
+ * @param {string} token - Bot token
+ * @param {number|string} chatId - Target chat id
+ * @param {string} text - Message text (HTML parse mode)
+ * @returns {Promise<Object>} The sent message
+ */
+async function sendMessage(token, chatId, text) {
+  try {
+    return await callBotApi(token, "sendMessage", {
+      chat_id: chatId,
+      text,
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+    });
+  } catch (error) {
+    console.error(`Error sending telegram message to ${chatId}:`, error.message);
+    throw error;
+  }
+}
+
+export { getUpdates, sendMessage };
@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+
+/**
+ * Load .env for the CLI before any service module
+ * Must be the first import of the CLI: the services call dotenv.config() on import, and dotenv prints a
+ * banner to stdout each time, which would end up in --json output.
+ */
+process.env.DOTENV_CONFIG_QUIET ??= 'true';
+dotenv.config();
@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+import './loadEnv.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { listOrigins, getOrigin } from '../services/originRegistry.js';
+import { syncAllRosters, syncOriginRoster, getAllRosters } from '../services/rosterSync.js';
+import { runOriginAnalysisPipeline } from '../services/originAnalysisPipeline.js';
+import { runOriginAnalysisWithRetry, RETRY_MODES } from '../services/originAnalysisWithRetry.js';
+import { retryPolicyProblems } from '../services/retryPolicy.js';
+import { processResultFiles } from '../services/processSmartAnalyzeResults.js';
+import { runCronJob, PAYLOAD_MODES } from '../services/cronAnalyzer.js';
+import { assertProfile } from '../services/filterProfiles.js';
+import { cleanupResultFiles } from '../utils/cleanupResults.js';
+import { pruneAllRunResults } from '../services/rawResultStore.js';
+
+/**
+ * napoleon - command line interface for the whole pipeline
+ * Built on the same services as the server (smartAnalyzeProcessor.js, originAnalysisWithRetry.js, ...).
+ *
+ * Usage:
+ *   napoleon <command> [options]
+ *
+ * Examples:
+ *   napoleon origins --json
+ *   napoleon roster sync HERO2
+ *   napoleon analyze HERO2 --retry --max-retries 3 --profile keepSpeeding
+ *   napoleon process src/services/results/HERO2_smart_analyze_2025-11-07T21-02-08-898Z.json
+ *   napoleon process results/manual-runs/ --output-dir results/merged
+ *   napoleon cleanup --max-age-hours 48 --dry-run
+ *   napoleon cron run-once --payload changes
+ *
+ * With --json, stdout holds a single JSON document and all progress logging goes to stderr.
+ *
+ * Exit codes:
+ *   0  success
+ *   1  the command failed
+ *   2  invalid usage (unknown command or option, missing argument)
+ *   3  completed with failures (failed companies, origins, webhook send or file deletions)
+ */
+
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  partial: 3
+};
+
+class UsageError extends Error {}
+
+const JSON_OPTION = { json: { type: 'boolean', default: false } };
+
+function parseNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+function checkProfile(profile) {
+  if (!profile) return;
+  try {
+    assertProfile(profile);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+const COMMANDS = {
+  origins: {
+    usage: 'napoleon origins [--json]',
+    description: 'List registered origins with their stored roster',
+    options: {},
+    async run() {
+      const rosters = new Map((await getAllRosters()).map(roster => [roster.origin, roster]));
+
+      const origins = (await listOrigins({ includeDisabled: true })).map(({ origin, displayName, enabled, tags }) => {
+        const roster = rosters.get(origin);
+        return {
+          origin,
+          displayName,
+          enabled,
+          tags,
+          companiesCount: roster?.companiesCount ?? 0,
+          syncedAt: roster?.syncedAt || null,
+          lastError: roster?.lastError?.message || null
+        };
+      });
+
+      return {
+        data: { origins },
+        print() {
+          if (origins.length === 0) console.log('No origins configured');
+          origins.forEach(entry => {
+            const synced = entry.syncedAt ? `synced ${entry.syncedAt}` : 'never synced';
+            const error = entry.lastError ? ` (last sync failed: ${entry.lastError})` : '';
+            const disabled = entry.enabled ? '' : ' [disabled]';
+            console.log(`${entry.origin.padEnd(12)} ${String(entry.companiesCount).padStart(4)} companies, ${synced}${error}${disabled}`);
+          });
+        }
+      };
+    }
+  },
+
+  'roster sync': {
+    usage: 'napoleon roster sync [origin...] [--json]',
+    description: 'Fetch the live company list of all enabled (or the given) origins from Hero',
+    options: {},
+    async run({ positionals, verbose }) {
+      let sync;
+
+      if (positionals.length === 0) {
+        sync = await syncAllRosters({ verbose });
+      } else {
+        const origins = [];
+        for (const name of positionals) {
+          const originConfig = await getOrigin(name);
+          if (!originConfig) throw new UsageError(`Unknown origin "${name}"`);
+          origins.push(originConfig);
+        }
+
+        const results = [];
+        for (const originConfig of origins) {
+          try {
+            const entry = await syncOriginRoster(originConfig, { verbose });
+            results.push({ origin: entry.origin, companiesCount: entry.companiesCount, syncedAt: entry.syncedAt, changes: entry.changes });
+          } catch (error) {
+            results.push({ origin: originConfig.origin, error: error.message, companiesCount: 0 });
+          }
+        }
+
+        sync = {
+          syncedAt: new Date().toISOString(),
+          totalOrigins: results.length,
+          successful: results.filter(result => !result.error).length,
+          failed: results.filter(result => result.error).length,
+          results
+        };
+      }
+
+      return {
+        data: sync,
+        exitCode: sync.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.ok,
+        print() {
+          sync.results.forEach(result => {
+            if (result.error) {
+              console.log(`✗ ${result.origin}: ${result.error}`);
+            } else {
+              const changes = result.changes?.hasChanges
+                ? ` (+${result.changes.added.length} / -${result.changes.removed.length} / ~${result.changes.renamed.length})`
+                : '';
+              console.log(`✓ ${result.origin}: ${result.companiesCount} companies${changes}`);
+            }
+          });
+          console.log(`${sync.successful}/${sync.totalOrigins} origins synced`);
+        }
+      };
+    }
+  },
+
+  analyze: {
+    usage: 'napoleon analyze <origin> [--retry] [--max-retries <n>] [--retry-mode <origin|targeted>] [--backoff <fixed|linear|exponential>] [--budget-ms <ms>] [--stop-when-no-progress] [--skip-non-retryable] [--no-individual] [--profile <name>] [--strategy <name>] [--audit] [--keep-raw] [--no-history] [--output <file>] [--json]',
+    description: 'Analyze one origin (single attempt, or with --retry the full retry flow recorded in the run history)',
+    options: {
+      retry: { type: 'boolean', default: false },
+      'max-retries': { type: 'string' },
+      'retry-mode': { type: 'string' },
+      backoff: { type: 'string' },
+      'budget-ms': { type: 'string' },
+      'stop-when-no-progress': { type: 'boolean' },
+      'skip-non-retryable': { type: 'boolean' },
+      'no-individual': { type: 'boolean', default: false },
+      profile: { type: 'string' },
+      strategy: { type: 'string' },
+      audit: { type: 'boolean' },
+      'keep-raw': { type: 'boolean' },
+      'no-history': { type: 'boolean', default: false },
+      output: { type: 'string' }
+    },
+    async run({ values, positionals, verbose }) {
+      const [origin] = positionals;
+      if (!origin) throw new UsageError('Missing <origin>');
+      checkProfile(values.profile);
+      if (values['retry-mode'] && !RETRY_MODES.includes(values['retry-mode'])) {
+        throw new UsageError(`Unknown retry mode "${values['retry-mode']}" (available: ${RETRY_MODES.join(', ')})`);
+      }
+
+      // Unset flags leave the origin's retry policy in charge
+      const retryPolicy = {
+        backoff: values.backoff,
+        budgetMs: parseNumber(values['budget-ms'], 'budget-ms'),
+        stopWhenNoProgress: values['stop-when-no-progress'],
+        skipNonRetryable: values['skip-non-retryable']
+      };
+      const policyProblems = retryPolicyProblems(retryPolicy);
+      if (policyProblems.length > 0) {
+        throw new UsageError(`Invalid retry policy: ${policyProblems.join('; ')}`);
+      }
+
+      const options = {
+        verbose,
+        profile: values.profile,
+        strategy: values.strategy,
+        // Unset flags fall back to the FILTER_AUDIT / KEEP_RAW_RESULTS env defaults
+        audit: values.audit
+      };
+
+      const result = values.retry
+        ? await runOriginAnalysisWithRetry(origin, {
+          ...options,
+          maxRetries: parseNumber(values['max-retries'], 'max-retries'),
+          retryPolicy,
+          retryMode: values['retry-mode'],
+          retryFailedIndividually: !values['no-individual'],
+          keepRaw: values['keep-raw'],
+          recordHistory: !values['no-history'],
+          source: 'cli'
+        })
+        : await runOriginAnalysisPipeline(origin, options);
+
+      if (values.output) {
+        await fs.writeFile(path.resolve(values.output), JSON.stringify(result, null, 2));
+      }
+
+      const { summary } = result;
+
+      return {
+        data: result,
+        exitCode: summary.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.ok,
+        print() {
+          console.log(`Origin:            ${summary.origin}`);
+          if (summary.retryMetadata) {
+            console.log(`Total attempts:    ${summary.retryMetadata.totalAttempts}/${summary.retryMetadata.maxRetries} (${summary.retryMetadata.mode} retry)`);
+            console.log(`Stopped because:   ${summary.retryMetadata.stopDetail}`);
+          }
+          console.log(`Companies total:   ${summary.totalCompanies}`);
+          console.log(`Successful:        ${summary.successful} (${summary.successRate})`);
+          console.log(`Failed:            ${summary.failed}`);
+          if (summary.processingStats) {
+            console.log(`Logs remaining:    ${summary.processingStats.remainingLogs.toLocaleString()}`);
+          }
+          if (summary.runId) console.log(`Run id:            ${summary.runId}`);
+          if (values.output) console.log(`Saved to:          ${path.resolve(values.output)}`);
+        }
+      };
+    }
+  },
+
+  process: {
+    usage: 'napoleon process <file|dir...> [--output <file>] [--output-dir <dir>] [--profile <name>] [--audit] [--json]',
+    description: 'Filter saved raw smart analyze result files; several files or a directory are merged per origin first',
+    options: {
+      output: { type: 'string' },
+      'output-dir': { type: 'string' },
+      profile: { type: 'string' },
+      audit: { type: 'boolean', default: false }
+    },
+    async run({ values, positionals, verbose }) {
+      if (positionals.length === 0) throw new UsageError('Missing <file|dir>');
+      checkProfile(values.profile);
+
+      const { outputs, skipped } = await processResultFiles(positionals, {
+        outputFile: values.output,
+        outputDir: values['output-dir'],
+        profile: values.profile,
+        audit: values.audit,
+        verbose
+      });
+
+      return {
+        data: {
+          outputs: outputs.map(({ result, ...output }) => ({ ...output, summary: result.summary })),
+          skipped
+        },
+        print() {
+          skipped.forEach(entry => console.log(`Skipped ${entry.file}: ${entry.reason}`));
+          outputs.forEach(output => {
+            const stats = output.result.summary?.processingStats;
+            const remaining = stats ? `, ${stats.remainingLogs.toLocaleString()} logs remaining` : '';
+            console.log(`✓ ${output.origin} from ${output.inputFiles.length} file(s)${remaining}`);
+            console.log(`  Saved to: ${output.outputFile}`);
+          });
+        }
+      };
+    }
+  },
+
+  cleanup: {
+    usage: 'napoleon cleanup [--max-age-hours <n>] [--pattern <text>] [--dry-run] [--json]',
+    description: 'Delete old result files and the stored results of runs past the retention limits',
+    options: {
+      'max-age-hours': { type: 'string' },
+      pattern: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    },
+    async run({ values, verbose }) {
+      const stats = await cleanupResultFiles({
+        maxAgeHours: parseNumber(values['max-age-hours'], 'max-age-hours') ?? 24,
+        pattern: values.pattern || null,
+        dryRun: values['dry-run'],
+        verbose
+      });
+      const runResults = await pruneAllRunResults({ dryRun: values['dry-run'] });
+
+      return {
+        data: { ...stats, runResults },
+        exitCode: stats.errors.length + runResults.errors.length > 0 ? EXIT_CODES.partial : EXIT_CODES.ok,
+        print() {
+          const verb = values['dry-run'] ? 'Would delete' : 'Deleted';
+          console.log(`${verb} the stored results of ${runResults.runsDeleted} runs (${(runResults.spaceFreed / 1024 / 1024).toFixed(2)} MB)`);
+        }
+      };
+    }
+  },
+
+  'cron run-once': {
+    usage: 'napoleon cron run-once [--webhook <url>] [--payload full|changes] [--strategy <name>] [--json]',
+    description: 'Run the scheduled analysis of all origins once and send it to the webhook',
+    options: {
+      webhook: { type: 'string' },
+      payload: { type: 'string' },
+      strategy: { type: 'string' }
+    },
+    async run({ values }) {
+      const payloadMode = values.payload || process.env.CRON_PAYLOAD_MODE || 'full';
+      if (!PAYLOAD_MODES.includes(payloadMode)) {
+        throw new UsageError(`--payload must be one of: ${PAYLOAD_MODES.join(', ')}`);
+      }
+
+      const webhookUrl = values.webhook || process.env.CRON_WEBHOOK_URL;
+      const analysisOptions = { strategy: values.strategy || process.env.CRON_STRATEGY || undefined };
+
+      const outcome = await runCronJob(webhookUrl, analysisOptions, payloadMode);
+      if (!outcome) {
+        return { data: null, exitCode: EXIT_CODES.failed, print() {} };
+      }
+
+      const { summary } = outcome.data;
+      const webhookFailed = Boolean(webhookUrl) && !outcome.webhookResult.sent;
+
+      return {
+        data: { summary, results: outcome.data.results.map(({ data, ...result }) => ({ ...result, summary: data?.summary })), webhook: outcome.webhookResult },
+        exitCode: summary.failed > 0 || summary.circuitOpen > 0 || webhookFailed ? EXIT_CODES.partial : EXIT_CODES.ok,
+        print() {}
+      };
+    }
+  }
+};
+
+function printHelp() {
+  console.log('Usage: napoleon <command> [options]\n');
+  console.log('Commands:');
+  Object.values(COMMANDS).forEach(command => {
+    console.log(`  ${command.usage}`);
+    console.log(`      ${command.description}`);
+  });
+  console.log('\nExit codes: 0 success, 1 failed, 2 invalid usage, 3 completed with failures');
+}
+
+/**
+ * Find the command for the leading words of the arguments ("roster sync" takes two)
+ */
+function resolveCommand(args) {
+  const twoWords = args.slice(0, 2).join(' ');
+  if (COMMANDS[twoWords]) return { name: twoWords, rest: args.slice(2) };
+  if (COMMANDS[args[0]]) return { name: args[0], rest: args.slice(1) };
+  return null;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Arguments after the executable (process.argv.slice(2))
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args = process.argv.slice(2)) {
+  if (args.length === 0 || args[0] === 'help' || args[0] === '--help' || args[0] === '-h') {
+    printHelp();
+    return args.length === 0 ? EXIT_CODES.usage : EXIT_CODES.ok;
+  }
+
+  const resolved = resolveCommand(args);
+  if (!resolved) {
+    console.error(`Unknown command "${args.slice(0, 2).join(' ')}". Run "napoleon help" for the list of commands.`);
+    return EXIT_CODES.usage;
+  }
+
+  const command = COMMANDS[resolved.name];
+  let values;
+  let positionals;
+
+  try {
+    ({ values, positionals } = parseArgs({
+      args: resolved.rest,
+      allowPositionals: true,
+      options: { ...JSON_OPTION, help: { type: 'boolean', short: 'h', default: false }, ...command.options }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.error(`Usage: ${command.usage}`);
+    return EXIT_CODES.usage;
+  }
+
+  if (values.help) {
+    console.log(`Usage: ${command.usage}\n\n${command.description}`);
+    return EXIT_CODES.ok;
+  }
+
+  // Keep stdout for the JSON document; the services log progress with console.log
+  const writeOutput = console.log.bind(console);
+  if (values.json) {
+    console.log = console.error;
+  }
+
+  try {
+    const outcome = await command.run({ values, positionals, verbose: !values.json });
+
+    if (values.json) {
+      writeOutput(JSON.stringify(outcome.data, null, 2));
+    } else {
+      outcome.print();
+    }
+
+    return outcome.exitCode ?? EXIT_CODES.ok;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      console.error(`Usage: ${command.usage}`);
+      return EXIT_CODES.usage;
+    }
+
+    console.error(`${resolved.name} failed:`, error.message);
+    return EXIT_CODES.failed;
+  } finally {
+    console.log = writeOutput;
+  }
+}
+
+main().then(exitCode => {
+  process.exitCode = exitCode;
+});
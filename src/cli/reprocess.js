@@ -0,0 +1,67 @@
+import { parseArgs } from 'util';
+import { reprocessRun, listRawRuns } from '../services/rawResultStore.js';
+import { assertProfile } from '../services/filterProfiles.js';
+
+/**
+ * Reprocess a stored run with the current filter rules, without fetching from Fortex
+ *
+ * Usage:
+ *   node src/cli/reprocess.js <origin> [runId] [--profile <name>] [--audit] [--list]
+ *
+ * Examples:
+ *   node src/cli/reprocess.js HERO2 --list                                   # Runs with stored raw results
+ *   node src/cli/reprocess.js HERO2                                          # Latest stored run
+ *   node src/cli/reprocess.js HERO2 20251110T123000Z-1a2b3c4d --profile keepSpeeding
+ */
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      profile: { type: 'string' },
+      audit: { type: 'boolean', default: false },
+      list: { type: 'boolean', default: false }
+    }
+  });
+
+  const [origin, requestedRunId] = positionals;
+  if (!origin) {
+    console.error('Usage: node src/cli/reprocess.js <origin> [runId] [--profile <name>] [--audit] [--list]');
+    process.exit(1);
+  }
+
+  const runIds = await listRawRuns(origin);
+
+  if (values.list) {
+    if (runIds.length === 0) {
+      console.log(`No stored raw results for ${origin} (run with KEEP_RAW_RESULTS=true or "keepRaw": true)`);
+    }
+    runIds.forEach(runId => console.log(runId));
+    return;
+  }
+
+  if (values.profile) {
+    assertProfile(values.profile);
+  }
+
+  const runId = requestedRunId || runIds[0];
+  if (!runId) {
+    console.error(`No stored raw results for ${origin} (run with KEEP_RAW_RESULTS=true or "keepRaw": true)`);
+    process.exit(1);
+  }
+
+  const reprocessed = await reprocessRun(origin, runId, { profile: values.profile, audit: values.audit, verbose: true });
+  if (!reprocessed) {
+    console.error(`No stored raw results for run ${runId} of ${origin}`);
+    process.exit(1);
+  }
+
+  const stats = reprocessed.result.summary.processingStats;
+  console.log(`✓ Reprocessed ${origin} run ${runId}: ${stats.remainingLogs.toLocaleString()} logs remaining`);
+  console.log(`  Saved to: ${reprocessed.file}`);
+}
+
+main().catch(error => {
+  console.error('Reprocessing failed:', error.message);
+  process.exit(1);
+});
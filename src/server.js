@@ -1,11 +1,30 @@
 import express from "express";
 import dotenv from "dotenv";
-import { authHero, getCompanies } from "./apis/hero.js";
-import { heroOrigins } from "./mock/heroOrigins.js";
+import { timingSafeEqual } from "crypto";
 import { runOriginAnalysisPipeline, quickAnalyze } from "./services/originAnalysisPipeline.js";
 import { cleanupResultFiles, cleanupOldResults } from "./utils/cleanupResults.js";
-import { runOriginAnalysisWithRetry, quickRetryAnalyze } from "./services/originAnalysisWithRetry.js";
+import { runOriginAnalysisWithRetry, quickRetryAnalyze, RETRY_MODES } from "./services/originAnalysisWithRetry.js";
+import { retryPolicyProblems } from "./services/retryPolicy.js";
 import { startCronScheduler } from "./services/cronAnalyzer.js";
+import { createProgressEmitter, PROGRESS_EVENT } from "./services/progressEvents.js";
+import { isCancellation } from "./utils/abort.js";
+import { createJob, getJob, listJobs, cancelJob, isJobFinished, serializeJob } from "./services/jobManager.js";
+import { startTelegramBot } from "./services/telegramBot.js";
+import { listRuns, getRun, getLatestRun } from "./services/runHistory.js";
+import { diffRuns, changesOnly } from "./services/violationDiff.js";
+import { getSpeedingReport, startSpeedingThresholdsWatcher } from "./services/speedingReport.js";
+import { getFilterAudit } from "./services/filterAudit.js";
+import { reprocessRun, pruneAllRunResults } from "./services/rawResultStore.js";
+import { listRules, addRule, updateRule, testMessage, startFilterRulesWatcher } from "./services/filterRules.js";
+import { hasProfile, listProfiles, startFilterProfilesWatcher } from "./services/filterProfiles.js";
+import { previewRuleChanges } from "./services/filterPreview.js";
+import { listDiscoveredMessages, startImportantMessagesWatcher } from "./services/messageDiscovery.js";
+import { syncAllRosters, syncOriginRoster, getRoster, getAllRosters, startRosterScheduler } from "./services/rosterSync.js";
+import { listOrigins, getOrigin, addOrigin, updateOrigin } from "./services/originRegistry.js";
+import { getTokenStatus, invalidateHeroToken } from "./services/heroTokenManager.js";
+import { getCircuitStatus, resetCircuit } from "./apis/fortex.js";
+import { STRATEGIES, FAN_OUT_MODES } from "./services/fortexBatch.js";
+import { listDeliveries, getDelivery, replayDelivery, startOutboxWorker, DELIVERY_STATUSES } from "./services/webhookOutbox.js";
 
 dotenv.config();
 
@@ -15,81 +34,215 @@ const PORT = process.env.PORT || 3000;
 // Middleware to parse JSON
 app.use(express.json());
 
-// Helper function to add delay between requests
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Build scheduling options (strategy + warm-up) from query params
+ * Example: ?strategy=warmup&warmupWaitMs=30000&warmupPoll=true&fanOut=pooled
+ * @param {Object} query - Express query object
+ * @returns {Object} { strategy, warmup } for the analysis services
+ */
+function parseStrategyQuery(query) {
+  const warmup = {};
+
+  if (query.warmupCompanyId) warmup.companyId = query.warmupCompanyId;
+  if (query.warmupWaitMs) warmup.waitMs = Number(query.warmupWaitMs);
+  if (query.warmupPoll !== undefined) warmup.poll = query.warmupPoll === 'true';
+  if (query.warmupPollIntervalMs) warmup.pollIntervalMs = Number(query.warmupPollIntervalMs);
+  if (query.warmupMaxWaitMs) warmup.maxWaitMs = Number(query.warmupMaxWaitMs);
+  if (query.fanOut) warmup.fanOut = query.fanOut;
+
+  return {
+    strategy: query.strategy || undefined,
+    warmup
+  };
+}
+
+/**
+ * Build retry policy fields from query params (see retryPolicy.js)
+ * Example: ?backoff=exponential&baseDelayMs=5000&budgetMs=1800000&stopWhenNoProgress=true&skipNonRetryable=true
+ * @param {Object} query - Express query object
+ * @returns {Object|undefined} Policy fields, or undefined when none are given
+ */
+function parseRetryPolicyQuery(query) {
+  const policy = {};
+
+  if (query.backoff) policy.backoff = query.backoff;
+  ['baseDelayMs', 'maxDelayMs', 'individualDelayMs', 'budgetMs'].forEach(field => {
+    if (query[field] !== undefined) policy[field] = Number(query[field]);
+  });
+  ['stopWhenNoProgress', 'skipNonRetryable'].forEach(field => {
+    if (query[field] !== undefined) policy[field] = query[field] === 'true';
+  });
+
+  return Object.keys(policy).length > 0 ? policy : undefined;
+}
+
+/**
+ * Read the audit flag from query params
+ * @param {Object} query - Express query object
+ * @returns {boolean|undefined} undefined when absent, so the FILTER_AUDIT default applies
+ */
+function parseAuditQuery(query) {
+  return query.audit === undefined ? undefined : query.audit === 'true';
+}
+
+/**
+ * Switch a response to Server-Sent Events
+ * Sends a heartbeat comment every 15s so proxies keep the connection open
+ * @param {Object} res - Express response
+ * @returns {Function} send(type, data) - Writes one event to the stream
+ */
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return (type, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+/**
+ * Reply 400 when a requested filter profile does not exist
+ * @param {Object} res - Express response
+ * @param {string} profile - Requested profile (may be undefined)
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectUnknownProfile(res, profile) {
+  if (!profile || hasProfile(profile)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: `Unknown filter profile "${profile}"`,
+    availableProfiles: listProfiles().profiles.map(p => p.name)
+  });
+  return true;
+}
+
+/**
+ * Reply 400 when request retry policy fields are invalid
+ * @param {Object} res - Express response
+ * @param {Object} retryPolicy - Requested policy fields (may be undefined)
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectInvalidRetryPolicy(res, retryPolicy) {
+  const problems = retryPolicyProblems(retryPolicy);
+  if (problems.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: "Invalid retry policy",
+    details: problems
+  });
+  return true;
+}
+
+/**
+ * Reply 400 when a requested maxRetries is not a non-negative integer (0 keeps the policy's value)
+ * @param {Object} res - Express response
+ * @param {*} maxRetries - Requested maxRetries (may be undefined)
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectInvalidMaxRetries(res, maxRetries) {
+  if (maxRetries === undefined || maxRetries === null || (Number.isInteger(maxRetries) && maxRetries >= 0)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: '"maxRetries" must be a non-negative integer'
+  });
+  return true;
+}
+
+/**
+ * Reply 400 when a requested scheduling strategy does not exist
+ * @param {Object} res - Express response
+ * @param {string} strategy - Requested strategy (may be undefined)
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectUnknownStrategy(res, strategy) {
+  if (!strategy || STRATEGIES.includes(strategy)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: `Unknown strategy "${strategy}"`,
+    availableStrategies: STRATEGIES
+  });
+  return true;
+}
+
+/**
+ * Reply 400 when requested warm-up options are invalid (unknown fanOut, non-numeric waits)
+ * @param {Object} res - Express response
+ * @param {Object} warmup - Requested warm-up options (may be undefined)
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectInvalidWarmup(res, warmup) {
+  if (warmup === undefined || warmup === null) return false;
+
+  const problems = [];
+  if (typeof warmup !== "object" || Array.isArray(warmup)) {
+    problems.push('"warmup" must be an object');
+  } else {
+    if (warmup.fanOut !== undefined && !FAN_OUT_MODES.includes(warmup.fanOut)) {
+      problems.push(`Unknown warm-up fan-out "${warmup.fanOut}". Available fan-outs: ${FAN_OUT_MODES.join(", ")}`);
+    }
+    ["waitMs", "pollIntervalMs", "maxWaitMs"].forEach(field => {
+      const value = warmup[field];
+      if (value !== undefined && !(typeof value === "number" && Number.isFinite(value) && value >= 0)) {
+        problems.push(`"${field}" must be a non-negative number`);
+      }
+    });
+    if (warmup.poll !== undefined && typeof warmup.poll !== "boolean") {
+      problems.push('"poll" must be a boolean');
+    }
+  }
+  if (problems.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: "Invalid warm-up options",
+    details: problems
+  });
+  return true;
+}
+
+/**
+ * Reply 400 when a requested retry mode does not exist
+ * @param {Object} res - Express response
+ * @param {string} retryMode - Requested retry mode (may be undefined)
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectUnknownRetryMode(res, retryMode) {
+  if (!retryMode || RETRY_MODES.includes(retryMode)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: `Unknown retry mode "${retryMode}"`,
+    availableModes: RETRY_MODES
+  });
+  return true;
+}
 
 // Authentication endpoint with pipeline to get companies from all origins
+// Results are persisted to the roster store used by the analysis pipeline
 app.get("/auth", async (_req, res) => {
   try {
-    const results = [];
-    let processedCount = 0;
-
-    console.log(`Starting to process ${heroOrigins.length} origins...`);
-
-    // Loop through all hero origins
-    for (const origin of heroOrigins) {
-      try {
-        console.log(`\n[${processedCount + 1}/${heroOrigins.length}] Processing origin: ${origin.origin}`);
-
-        // Step 1: Authenticate and get token for this origin
-        console.log(`  - Authenticating ${origin.email}...`);
-        const authData = await authHero(
-          origin.email,
-          origin.password,
-          null
-        );
-
-        const token = authData.accessToken || authData.token;
-        console.log(`  - Token received: ${token.substring(0, 20)}...`);
-
-        // Add a small delay before fetching companies
-        await delay(500);
-
-        // Step 2: Use the token to get companies
-        console.log(`  - Fetching companies...`);
-        const companies = await getCompanies(token);
-        console.log(`  - Found ${companies.length} companies`);
-
-        // Add to results with origin info
-        results.push({
-          origin: origin.origin,
-          companies: companies.map(company => ({
-            name: company.name,
-            id: company.companyId
-          })),
-          companiesCount: companies.length
-        });
-
-        processedCount++;
-
-        // Add delay between processing different origins
-        if (processedCount < heroOrigins.length) {
-          console.log(`  - Waiting before next origin...`);
-          await delay(1000);
-        }
-      } catch (originError) {
-        // If one origin fails, continue with others but log the error
-        console.error(`  - ERROR for ${origin.origin}:`, originError.message);
-        if (originError.response) {
-          console.error(`  - Response status:`, originError.response.status);
-          console.error(`  - Response data:`, originError.response.data);
-        }
-        results.push({
-          origin: origin.origin,
-          error: originError.message,
-          companies: [],
-          companiesCount: 0
-        });
-        processedCount++;
-      }
-    }
+    const syncResult = await syncAllRosters({ verbose: true });
 
-    console.log(`\nCompleted processing all ${processedCount} origins`);
+    console.log(`\nCompleted processing all ${syncResult.totalOrigins} origins`);
 
     res.json({
       success: true,
-      totalOrigins: heroOrigins.length,
-      results: results
+      totalOrigins: syncResult.totalOrigins,
+      syncedAt: syncResult.syncedAt,
+      results: syncResult.results
     });
   } catch (error) {
     console.error("Critical error in /auth endpoint:", error);
@@ -114,17 +267,28 @@ app.get("/health", (_req, res) => {
  * Quick analysis - processes everything in-memory, returns results
  * No files saved, optimal for production use
  *
- * Example: GET /api/analyze/HERO2
+ * Query params:
+ * - strategy: "parallel" | "warmup" (default: FORTEX_STRATEGY or "parallel")
+ * - warmupCompanyId, warmupWaitMs, warmupPoll, warmupPollIntervalMs, warmupMaxWaitMs, fanOut: warm-up options
+ * - profile: filter profile for this run, overriding the origin/company assignments (optional)
+ *
+ * Example: GET /api/analyze/HERO2?strategy=warmup&warmupWaitMs=30000
  */
 app.get("/api/analyze/:origin", async (req, res) => {
   const { origin } = req.params;
+  const { profile } = req.query;
+  const scheduling = parseStrategyQuery(req.query);
+
+  if (rejectUnknownProfile(res, profile)) return;
+  if (rejectUnknownStrategy(res, scheduling.strategy)) return;
+  if (rejectInvalidWarmup(res, scheduling.warmup)) return;
 
   try {
     console.log(`\n[API] Starting quick analysis for origin: ${origin}`);
     const startTime = Date.now();
 
     // Run pipeline in-memory (no files saved)
-    const result = await quickAnalyze(origin);
+    const result = await quickAnalyze(origin, { ...scheduling, profile });
 
     const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`[API] Analysis completed in ${executionTime}s`);
@@ -154,6 +318,10 @@ app.get("/api/analyze/:origin", async (req, res) => {
  * - saveProcessedToFile: boolean (default: false)
  * - outputDir: string (default: "./results")
  * - cleanupOldFiles: boolean (default: false)
+ * - concurrency: object (optional) - Worker pool overrides { maxConcurrency, initialConcurrency, rampUpAfter, throttleCooldownMs }
+ * - strategy: "parallel" | "warmup" (default: FORTEX_STRATEGY or "parallel")
+ * - warmup: object (optional) - { companyId, waitMs, poll, pollIntervalMs, maxWaitMs, fanOut }
+ * - profile: string (optional) - Filter profile for this run (also accepted as ?profile=)
  *
  * Example: POST /api/analyze/HERO2
  * Body: { "saveProcessedToFile": true, "cleanupOldFiles": true }
@@ -161,6 +329,11 @@ app.get("/api/analyze/:origin", async (req, res) => {
 app.post("/api/analyze/:origin", async (req, res) => {
   const { origin } = req.params;
   const options = req.body || {};
+  const profile = options.profile || req.query.profile;
+
+  if (rejectUnknownProfile(res, profile)) return;
+  if (rejectUnknownStrategy(res, options.strategy)) return;
+  if (rejectInvalidWarmup(res, options.warmup)) return;
 
   try {
     console.log(`\n[API] Starting custom analysis for origin: ${origin}`);
@@ -172,7 +345,11 @@ app.post("/api/analyze/:origin", async (req, res) => {
       verbose: options.verbose || false,
       saveRawToFile: options.saveRawToFile || false,
       saveProcessedToFile: options.saveProcessedToFile || false,
-      outputDir: options.outputDir || './results'
+      outputDir: options.outputDir || './results',
+      concurrency: options.concurrency,
+      strategy: options.strategy,
+      warmup: options.warmup,
+      profile
     });
 
     // Optional cleanup of old files
@@ -201,9 +378,54 @@ app.post("/api/analyze/:origin", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analyze/:origin/filtered
+ * What the filters removed in the origin's last audited run: per company and driver, the logs each rule
+ * removed (with samples) and the drivers dropped because no logs were left.
+ * Runs are audited with ?audit=true / { "audit": true } on the retry endpoints and jobs, or FILTER_AUDIT=true.
+ *
+ * Query params:
+ * - company: only companies whose id or name contains this text (optional)
+ * - driver: only drivers whose name contains this text (optional)
+ * - droppedOnly: boolean, only drivers that were dropped (default: false)
+ *
+ * Example: GET /api/analyze/HERO2/filtered?driver=John
+ */
+app.get("/api/analyze/:origin/filtered", async (req, res) => {
+  const { origin } = req.params;
+
+  try {
+    const audit = await getFilterAudit(origin, {
+      company: req.query.company,
+      driver: req.query.driver,
+      droppedOnly: req.query.droppedOnly === 'true'
+    });
+
+    if (!audit) {
+      return res.status(404).json({
+        success: false,
+        error: `No filter audit for origin "${origin}". Run an analysis with audit enabled (?audit=true or FILTER_AUDIT=true) first.`
+      });
+    }
+
+    res.json({
+      success: true,
+      audit
+    });
+  } catch (error) {
+    console.error(`[API] Error reading filter audit for ${origin}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
 /**
  * GET /api/cleanup
- * Preview what files would be cleaned up (dry run)
+ * Preview what files would be cleaned up (dry run), including the stored results of runs past the
+ * RAW_RESULTS_MAX_RUNS / RAW_RESULTS_MAX_AGE_DAYS limits (runResults)
  *
  * Query params:
  * - maxAgeHours: number (default: 24)
@@ -220,11 +442,13 @@ app.get("/api/cleanup", async (req, res) => {
       dryRun: true,
       verbose: false
     });
+    const runResults = await pruneAllRunResults({ dryRun: true });
 
     res.json({
       success: true,
       preview: true,
-      stats
+      stats,
+      runResults
     });
   } catch (error) {
     console.error(`[API] Cleanup preview failed:`, error.message);
@@ -237,7 +461,7 @@ app.get("/api/cleanup", async (req, res) => {
 
 /**
  * DELETE /api/cleanup
- * Actually delete old result files
+ * Actually delete old result files and the stored results of runs past the retention limits
  *
  * Query params:
  * - maxAgeHours: number (default: 24)
@@ -254,12 +478,15 @@ app.delete("/api/cleanup", async (req, res) => {
       dryRun: false,
       verbose: false
     });
+    const runResults = await pruneAllRunResults();
 
     console.log(`[API] Cleanup complete: ${stats.filesDeleted} files deleted, ${(stats.spaceFreed / 1024 / 1024).toFixed(2)} MB freed`);
+    console.log(`[API] Stored results of ${runResults.runsDeleted} old runs deleted, ${(runResults.spaceFreed / 1024 / 1024).toFixed(2)} MB freed`);
 
     res.json({
       success: true,
-      stats
+      stats,
+      runResults
     });
   } catch (error) {
     console.error(`[API] Cleanup failed:`, error.message);
@@ -272,12 +499,18 @@ app.delete("/api/cleanup", async (req, res) => {
 
 /**
  * GET /api/origins
- * Get list of available origins
+ * Get list of registered origins (enabled and disabled)
+ *
+ * Query params:
+ * - tag: string (optional) - Only origins with this tag
  */
-app.get("/api/origins", (_req, res) => {
+app.get("/api/origins", async (req, res) => {
   try {
-    const origins = heroOrigins.map(origin => ({
+    const origins = (await listOrigins({ includeDisabled: true, tag: req.query.tag })).map(origin => ({
       name: origin.origin,
+      displayName: origin.displayName,
+      enabled: origin.enabled,
+      tags: origin.tags,
       email: origin.email
     }));
 
@@ -294,6 +527,122 @@ app.get("/api/origins", (_req, res) => {
   }
 });
 
+// ============================================================================
+// ROSTER ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/roster
+ * Get the stored company roster for all origins
+ */
+app.get("/api/roster", async (_req, res) => {
+  try {
+    const rosters = await getAllRosters();
+
+    res.json({
+      success: true,
+      count: rosters.length,
+      rosters
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/roster/:origin
+ * Get the stored company roster for one origin, including the last detected changes
+ */
+app.get("/api/roster/:origin", async (req, res) => {
+  const { origin } = req.params;
+
+  try {
+    const roster = await getRoster(origin);
+
+    res.json({
+      success: true,
+      roster
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
+/**
+ * POST /api/roster/sync
+ * Sync company rosters for all origins from Hero
+ */
+app.post("/api/roster/sync", async (_req, res) => {
+  try {
+    console.log(`\n[API] Syncing rosters for all origins...`);
+    const result = await syncAllRosters({ verbose: false });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error(`[API] Roster sync failed:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/roster/:origin/sync
+ * Sync the company roster for one origin from Hero
+ *
+ * Example: POST /api/roster/HERO2/sync
+ */
+app.post("/api/roster/:origin/sync", async (req, res) => {
+  const { origin } = req.params;
+  let originConfig;
+
+  try {
+    originConfig = await getOrigin(origin);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+
+  if (!originConfig) {
+    return res.status(404).json({
+      success: false,
+      error: `Origin "${origin}" is not configured`,
+      origin
+    });
+  }
+
+  try {
+    console.log(`\n[API] Syncing roster for origin: ${origin}`);
+    const roster = await syncOriginRoster(originConfig, { verbose: false });
+
+    res.json({
+      success: true,
+      roster
+    });
+  } catch (error) {
+    console.error(`[API] Roster sync failed for ${origin}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
 // ============================================================================
 // RETRY ENDPOINTS (RECOMMENDED FOR PRODUCTION)
 // ============================================================================
@@ -304,26 +653,51 @@ app.get("/api/origins", (_req, res) => {
  * This is the RECOMMENDED endpoint for production use
  *
  * Query params:
- * - maxRetries: number (default: 6) - Maximum retry attempts
+ * - maxRetries: number (default: the origin's retry policy, else 6) - Maximum retry attempts
+ * - backoff, baseDelayMs, maxDelayMs, individualDelayMs, budgetMs, stopWhenNoProgress, skipNonRetryable: retry policy
+ *   fields for this run, over the origin's policy (see services/retryPolicy.js)
+ * - retryMode: "origin" | "targeted" (default: RETRY_MODE or "origin") - Re-run the whole origin or only the failed companies
  * - individualRetry: boolean (default: true) - Retry failed companies individually after max retries
+ * - maxConcurrency: number (default: FORTEX_MAX_CONCURRENCY or 6) - Max smart analyze requests in flight
+ * - strategy: "parallel" | "warmup" (default: FORTEX_STRATEGY or "parallel")
+ * - warmupCompanyId, warmupWaitMs, warmupPoll, warmupPollIntervalMs, warmupMaxWaitMs, fanOut: warm-up options
+ * - profile: filter profile for this run, overriding the origin/company assignments (optional)
+ * - audit: boolean (default: FILTER_AUDIT) - Record what each filter rule removed (see /api/analyze/:origin/filtered)
  *
  * Example: GET /api/analyze-retry/HERO2?maxRetries=6
  */
 app.get("/api/analyze-retry/:origin", async (req, res) => {
   const { origin } = req.params;
-  const maxRetries = parseInt(req.query.maxRetries) || 6;
+  const maxRetries = parseInt(req.query.maxRetries) || undefined;
+  const retryPolicy = parseRetryPolicyQuery(req.query);
   const individualRetry = req.query.individualRetry !== 'false';
+  const maxConcurrency = parseInt(req.query.maxConcurrency) || undefined;
+  const { profile, retryMode } = req.query;
+  const audit = parseAuditQuery(req.query);
+  const scheduling = parseStrategyQuery(req.query);
+
+  if (rejectUnknownProfile(res, profile)) return;
+  if (rejectUnknownRetryMode(res, retryMode)) return;
+  if (rejectInvalidRetryPolicy(res, retryPolicy)) return;
+  if (rejectUnknownStrategy(res, scheduling.strategy)) return;
+  if (rejectInvalidWarmup(res, scheduling.warmup)) return;
 
   try {
     console.log(`\n[API] Starting retry analysis for origin: ${origin}`);
-    console.log(`[API] Max retries: ${maxRetries}, Individual retry: ${individualRetry}`);
+    console.log(`[API] Max retries: ${maxRetries || 'per policy'}, Retry mode: ${retryMode || 'default'}, Individual retry: ${individualRetry}`);
     const startTime = Date.now();
 
     const result = await runOriginAnalysisWithRetry(origin, {
       maxRetries,
+      retryPolicy,
+      retryMode,
       verbose: false, // Disable verbose for API
       retryFailedIndividually: individualRetry,
-      saveProcessedToFile: false
+      saveProcessedToFile: false,
+      concurrency: { maxConcurrency },
+      ...scheduling,
+      profile,
+      audit
     });
 
     const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -345,15 +719,112 @@ app.get("/api/analyze-retry/:origin", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analyze-retry/:origin/stream
+ * Same as GET /api/analyze-retry/:origin, but streams progress as Server-Sent Events
+ * Closing the connection cancels the run
+ *
+ * Events: attempt, company, attempt-complete, processing, individual-start, individual-retry, summary,
+ * then "done" (or "error") before the stream closes
+ *
+ * Query params: same as GET /api/analyze-retry/:origin, plus
+ * - includeResult: boolean (default: false) - Include the full result in the "done" event
+ *
+ * Example: curl -N http://localhost:3000/api/analyze-retry/HERO2/stream
+ */
+app.get("/api/analyze-retry/:origin/stream", async (req, res) => {
+  const { origin } = req.params;
+  const maxRetries = parseInt(req.query.maxRetries) || undefined;
+  const retryPolicy = parseRetryPolicyQuery(req.query);
+  const individualRetry = req.query.individualRetry !== 'false';
+  const maxConcurrency = parseInt(req.query.maxConcurrency) || undefined;
+  const includeResult = req.query.includeResult === 'true';
+  const { profile, retryMode } = req.query;
+  const audit = parseAuditQuery(req.query);
+  const scheduling = parseStrategyQuery(req.query);
+
+  if (rejectUnknownProfile(res, profile)) return;
+  if (rejectUnknownRetryMode(res, retryMode)) return;
+  if (rejectInvalidRetryPolicy(res, retryPolicy)) return;
+  if (rejectUnknownStrategy(res, scheduling.strategy)) return;
+  if (rejectInvalidWarmup(res, scheduling.warmup)) return;
+
+  const send = openEventStream(res);
+  const controller = new AbortController();
+  const progress = createProgressEmitter();
+  let finished = false;
+
+  progress.on(PROGRESS_EVENT, (event) => send(event.type, event));
+
+  // Client went away: stop hammering Fortex for nobody
+  res.on('close', () => {
+    if (!finished) {
+      console.log(`[API] Stream client disconnected, cancelling analysis for ${origin}`);
+      controller.abort();
+    }
+  });
+
+  try {
+    console.log(`\n[API] Starting streamed retry analysis for origin: ${origin}`);
+    const startTime = Date.now();
+
+    const result = await runOriginAnalysisWithRetry(origin, {
+      maxRetries,
+      retryPolicy,
+      retryMode,
+      verbose: false,
+      retryFailedIndividually: individualRetry,
+      saveProcessedToFile: false,
+      concurrency: { maxConcurrency },
+      ...scheduling,
+      profile,
+      audit,
+      signal: controller.signal,
+      progress
+    });
+
+    const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`[API] Streamed retry analysis completed in ${executionTime}s`);
+
+    send('done', {
+      success: true,
+      executionTime: `${executionTime}s`,
+      summary: result.summary,
+      ...(includeResult ? { data: result } : {})
+    });
+  } catch (error) {
+    if (!isCancellation(error)) {
+      console.error(`[API] Streamed retry analysis failed for ${origin}:`, error.message);
+      send('error', {
+        success: false,
+        error: error.message,
+        origin
+      });
+    }
+  } finally {
+    finished = true;
+    progress.removeAllListeners();
+    res.end();
+  }
+});
+
 /**
  * POST /api/analyze-retry/:origin
  * Advanced retry analysis with full options
  *
  * Body options:
- * - maxRetries: number (default: 6)
+ * - maxRetries: number (default: the origin's retry policy, else 6)
+ * - retryPolicy: object (optional) - Retry policy fields for this run, over the origin's policy (see services/retryPolicy.js)
+ * - retryMode: "origin" | "targeted" (default: RETRY_MODE or "origin")
  * - verbose: boolean (default: false)
  * - retryFailedIndividually: boolean (default: true)
  * - saveProcessedToFile: boolean (default: false)
+ * - concurrency: object (optional) - Worker pool overrides { maxConcurrency, initialConcurrency, rampUpAfter, throttleCooldownMs }
+ * - strategy: "parallel" | "warmup" (default: FORTEX_STRATEGY or "parallel")
+ * - warmup: object (optional) - { companyId, waitMs, poll, pollIntervalMs, maxWaitMs, fanOut }
+ * - profile: string (optional) - Filter profile for this run (also accepted as ?profile=)
+ * - audit: boolean (default: FILTER_AUDIT) - Record what each filter rule removed (see /api/analyze/:origin/filtered)
+ * - keepRaw: boolean (default: KEEP_RAW_RESULTS) - Store the raw results for POST /api/reprocess/:origin/:runId
  *
  * Example: POST /api/analyze-retry/HERO2
  * Body: { "maxRetries": 10, "saveProcessedToFile": true }
@@ -361,6 +832,14 @@ app.get("/api/analyze-retry/:origin", async (req, res) => {
 app.post("/api/analyze-retry/:origin", async (req, res) => {
   const { origin } = req.params;
   const options = req.body || {};
+  const profile = options.profile || req.query.profile;
+
+  if (rejectUnknownProfile(res, profile)) return;
+  if (rejectUnknownRetryMode(res, options.retryMode)) return;
+  if (rejectInvalidRetryPolicy(res, options.retryPolicy)) return;
+  if (rejectInvalidMaxRetries(res, options.maxRetries)) return;
+  if (rejectUnknownStrategy(res, options.strategy)) return;
+  if (rejectInvalidWarmup(res, options.warmup)) return;
 
   try {
     console.log(`\n[API] Starting custom retry analysis for origin: ${origin}`);
@@ -368,10 +847,18 @@ app.post("/api/analyze-retry/:origin", async (req, res) => {
     const startTime = Date.now();
 
     const result = await runOriginAnalysisWithRetry(origin, {
-      maxRetries: options.maxRetries || 6,
+      maxRetries: options.maxRetries || undefined,
+      retryPolicy: options.retryPolicy,
+      retryMode: options.retryMode,
       verbose: options.verbose || false,
       retryFailedIndividually: options.retryFailedIndividually !== false,
-      saveProcessedToFile: options.saveProcessedToFile || false
+      saveProcessedToFile: options.saveProcessedToFile || false,
+      concurrency: options.concurrency,
+      strategy: options.strategy,
+      warmup: options.warmup,
+      profile,
+      audit: options.audit,
+      keepRaw: options.keepRaw
     });
 
     const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -393,34 +880,1049 @@ app.post("/api/analyze-retry/:origin", async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`\n${'='.repeat(80)}`);
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`${'='.repeat(80)}`);
-  console.log('\nAvailable Endpoints:');
-  console.log(`  Auth:          GET  http://localhost:${PORT}/auth`);
-  console.log(`  Health:        GET  http://localhost:${PORT}/health`);
-  console.log(`  Origins:       GET  http://localhost:${PORT}/api/origins`);
-  console.log(`${'─'.repeat(80)}`);
-  console.log(`  ⭐ RECOMMENDED (with auto-retry):`);
-  console.log(`  Analyze+Retry: GET  http://localhost:${PORT}/api/analyze-retry/:origin`);
-  console.log(`  Analyze+Retry: POST http://localhost:${PORT}/api/analyze-retry/:origin`);
-  console.log(`${'─'.repeat(80)}`);
-  console.log(`  Basic (single attempt):`);
-  console.log(`  Analyze:       GET  http://localhost:${PORT}/api/analyze/:origin`);
-  console.log(`  Analyze:       POST http://localhost:${PORT}/api/analyze/:origin`);
-  console.log(`${'─'.repeat(80)}`);
-  console.log(`  Cleanup:       GET  http://localhost:${PORT}/api/cleanup`);
-  console.log(`  Cleanup:       DEL  http://localhost:${PORT}/api/cleanup`);
-  console.log(`${'='.repeat(80)}\n`);
+// ============================================================================
+// BACKGROUND JOB ENDPOINTS
+// ============================================================================
 
-  // Initialize cron scheduler
-  startCronScheduler({
-    schedule: process.env.CRON_SCHEDULE || "0 */2 * * *",
-    webhookUrl: process.env.CRON_WEBHOOK_URL,
-    enabled: process.env.CRON_ENABLED === "true",
-    runOnStart: process.env.CRON_RUN_ON_START === "true"
+/**
+ * POST /api/jobs
+ * Start a retry analysis in the background and return immediately with a job id
+ *
+ * Body options:
+ * - origin: string (required)
+ * - maxRetries: number (default: the origin's retry policy, else 6)
+ * - retryFailedIndividually: boolean (default: true)
+ * - saveProcessedToFile: boolean (default: false)
+ * - retryPolicy, retryMode, concurrency, strategy, warmup, profile, audit, keepRaw: same as POST /api/analyze-retry/:origin
+ *
+ * Example: POST /api/jobs
+ * Body: { "origin": "HERO2", "maxRetries": 6 }
+ */
+app.post("/api/jobs", async (req, res) => {
+  const options = req.body || {};
+  const { origin } = options;
+
+  if (!origin) {
+    return res.status(400).json({
+      success: false,
+      error: "origin is required"
+    });
+  }
+
+  if (rejectUnknownProfile(res, options.profile)) return;
+  if (rejectUnknownRetryMode(res, options.retryMode)) return;
+  if (rejectInvalidRetryPolicy(res, options.retryPolicy)) return;
+  if (rejectInvalidMaxRetries(res, options.maxRetries)) return;
+  if (rejectUnknownStrategy(res, options.strategy)) return;
+  if (rejectInvalidWarmup(res, options.warmup)) return;
+
+  try {
+    await getRoster(origin);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+
+  try {
+    const job = createJob(origin, {
+      maxRetries: options.maxRetries || undefined,
+      retryPolicy: options.retryPolicy,
+      retryMode: options.retryMode,
+      verbose: false,
+      retryFailedIndividually: options.retryFailedIndividually !== false,
+      saveProcessedToFile: options.saveProcessedToFile || false,
+      concurrency: options.concurrency,
+      strategy: options.strategy,
+      warmup: options.warmup,
+      profile: options.profile,
+      audit: options.audit,
+      keepRaw: options.keepRaw,
+      source: "job"
+    });
+
+    res.status(202).json({
+      success: true,
+      job: serializeJob(job)
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message,
+      jobId: error.jobId
+    });
+  }
+});
+
+/**
+ * GET /api/jobs
+ * List recent jobs, newest first
+ *
+ * Query params:
+ * - origin: string (optional)
+ * - status: running | cancelling | completed | failed | cancelled (optional)
+ * - limit: number (default: 20)
+ */
+app.get("/api/jobs", (req, res) => {
+  const jobs = listJobs({
+    origin: req.query.origin,
+    status: req.query.status,
+    limit: parseInt(req.query.limit) || 20
+  });
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    jobs: jobs.map(job => serializeJob(job))
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, progress and (once completed) the final result
+ *
+ * Query params:
+ * - includeResult: boolean (default: true)
+ */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job "${req.params.id}" not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    job: serializeJob(job, { includeResult: req.query.includeResult !== 'false' })
+  });
+});
+
+/**
+ * GET /api/jobs/:id/stream
+ * Stream a job's progress as Server-Sent Events
+ * Starts with a "snapshot" event, ends with "job-finished". Closing the stream does not cancel the job.
+ */
+app.get("/api/jobs/:id/stream", (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job "${req.params.id}" not found`
+    });
+  }
+
+  const send = openEventStream(res);
+  send('snapshot', serializeJob(job));
+
+  if (isJobFinished(job)) {
+    send('job-finished', { jobId: job.id, status: job.status, error: job.error });
+    return res.end();
+  }
+
+  const onProgress = (event) => {
+    send(event.type, event);
+    if (event.type === 'job-finished') {
+      res.end();
+    }
+  };
+
+  job.events.on(PROGRESS_EVENT, onProgress);
+  res.on('close', () => job.events.off(PROGRESS_EVENT, onProgress));
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a running job mid-flight
+ */
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job "${req.params.id}" not found`
+    });
+  }
+
+  if (isJobFinished(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job "${job.id}" already ${job.status}`,
+      job: serializeJob(job)
+    });
+  }
+
+  cancelJob(job.id);
+  console.log(`[API] Cancelling job ${job.id} (${job.origin})`);
+
+  res.json({
+    success: true,
+    job: serializeJob(job)
+  });
+});
+
+// ============================================================================
+// RUN HISTORY ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/history/:origin
+ * List recorded runs for an origin, newest first
+ *
+ * Query params:
+ * - limit: number (default: 20)
+ * - since: ISO date/time, only runs recorded at or after it (optional)
+ * - until: ISO date/time, only runs recorded before it (optional)
+ *
+ * Example: GET /api/history/HERO2?since=2025-11-01&limit=50
+ */
+app.get("/api/history/:origin", async (req, res) => {
+  const { origin } = req.params;
+  const { since, until } = req.query;
+
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${name} date: ${value}`
+      });
+    }
+  }
+
+  try {
+    const runs = await listRuns(origin, {
+      limit: parseInt(req.query.limit) || 20,
+      since,
+      until
+    });
+
+    res.json({
+      success: true,
+      origin,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    console.error(`[API] Error reading history for ${origin}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
+/**
+ * GET /api/history/:origin/:runId
+ * Full record of one run: summary, retryMetadata, processingStats, remaining violations and failed companies
+ */
+app.get("/api/history/:origin/:runId", async (req, res) => {
+  const { origin, runId } = req.params;
+
+  try {
+    const run = await getRun(origin, runId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: `Run "${runId}" not found for origin "${origin}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    console.error(`[API] Error reading history for ${origin}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
+/**
+ * GET /api/diff/:origin
+ * Compare the remaining violations of two recorded runs: new, persisting and resolved per company/driver/log
+ *
+ * Query params:
+ * - to: runId (default: latest run)
+ * - from: runId (default: the run recorded before "to")
+ * - changesOnly: boolean, drop persisting violations (default: false)
+ *
+ * Example: GET /api/diff/HERO2?changesOnly=true
+ */
+app.get("/api/diff/:origin", async (req, res) => {
+  const { origin } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    const current = to ? await getRun(origin, to) : await getLatestRun(origin);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: to ? `Run "${to}" not found for origin "${origin}"` : `No recorded runs for origin "${origin}"`
+      });
+    }
+
+    const previous = from
+      ? await getRun(origin, from)
+      : await getLatestRun(origin, { before: current.recordedAt });
+    if (from && !previous) {
+      return res.status(404).json({
+        success: false,
+        error: `Run "${from}" not found for origin "${origin}"`
+      });
+    }
+
+    const diff = diffRuns(previous, current);
+
+    res.json({
+      success: true,
+      diff: req.query.changesOnly === 'true' ? changesOnly(diff) : diff
+    });
+  } catch (error) {
+    console.error(`[API] Error diffing runs for ${origin}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
+/**
+ * GET /api/speeding/:origin
+ * Speeding events (location, recorded speed, limit) per company and driver from the stored runs,
+ * bucketed by the bands in config/speedingThresholds.json
+ *
+ * Query params:
+ * - days: look back this many days (default: 7)
+ * - since: ISO date/time to start from instead of days (optional)
+ *
+ * Example: GET /api/speeding/HERO2?days=7
+ */
+app.get("/api/speeding/:origin", async (req, res) => {
+  const { origin } = req.params;
+  const { since } = req.query;
+  const days = req.query.days !== undefined ? Number(req.query.days) : 7;
+
+  if (since && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid since date: ${since}`
+    });
+  }
+  if (!Number.isFinite(days) || days <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid days: ${req.query.days}`
+    });
+  }
+
+  try {
+    const report = await getSpeedingReport(origin, { days, since });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error(`[API] Error building speeding report for ${origin}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
+/**
+ * POST /api/reprocess/:origin/:runId
+ * Re-apply the current filter rules to a run's stored raw results, without fetching from Fortex again
+ * Raw results are only stored for runs made with keepRaw (KEEP_RAW_RESULTS=true or "keepRaw": true)
+ *
+ * Body options:
+ * - profile: string (optional) - Filter profile for every company (default: the origin/company assignments)
+ * - audit: boolean (default: false) - Include a filter audit in the result
+ *
+ * Example: POST /api/reprocess/HERO2/20251110T123000Z-1a2b3c4d
+ * Body: { "profile": "keepSpeeding" }
+ */
+app.post("/api/reprocess/:origin/:runId", async (req, res) => {
+  const { origin, runId } = req.params;
+  const options = req.body || {};
+  const profile = options.profile || req.query.profile;
+
+  if (rejectUnknownProfile(res, profile)) return;
+
+  try {
+    const startTime = Date.now();
+    const reprocessed = await reprocessRun(origin, runId, { profile, audit: options.audit === true });
+
+    if (!reprocessed) {
+      return res.status(404).json({
+        success: false,
+        error: `No stored raw results for run "${runId}" of origin "${origin}"`
+      });
+    }
+
+    const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`[API] Reprocessed ${origin} run ${runId} in ${executionTime}s`);
+
+    res.json({
+      success: true,
+      executionTime: `${executionTime}s`,
+      file: reprocessed.file,
+      data: reprocessed.result
+    });
+  } catch (error) {
+    console.error(`[API] Reprocessing failed for ${origin} run ${runId}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      origin
+    });
+  }
+});
+
+// ============================================================================
+// FILTER RULE ENDPOINTS
+// ============================================================================
+
+/**
+ * Send a filter rule error: 400 for validation problems, 500 otherwise
+ */
+function sendFilterRuleError(res, error) {
+  res.status(error.validationErrors ? 400 : 500).json({
+    success: false,
+    error: error.message,
+    validationErrors: error.validationErrors
+  });
+}
+
+/**
+ * GET /api/filters/rules
+ * List all filter rules (enabled and disabled) from config/filterRules.json
+ */
+app.get("/api/filters/rules", (_req, res) => {
+  try {
+    const { file, loadedAt, rules } = listRules();
+
+    res.json({
+      success: true,
+      file,
+      loadedAt,
+      count: rules.length,
+      enabled: rules.filter(rule => rule.enabled).length,
+      rules
+    });
+  } catch (error) {
+    sendFilterRuleError(res, error);
+  }
+});
+
+/**
+ * POST /api/filters/rules
+ * Add a filter rule
+ *
+ * Body: { "key": "noPowerUpWarning", "match": "exact", "pattern": "NO POWER UP WARNING", "enabled": true }
+ * match: exact | prefix | contains | regex (regex rules may set "flags", e.g. "i")
+ * Requires the admin token: the rule applies to every origin
+ */
+app.post("/api/filters/rules", requireAdmin, async (req, res) => {
+  try {
+    const rule = await addRule(req.body);
+    console.log(`[API] Added filter rule ${rule.key}`);
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendFilterRuleError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/filters/rules/:key
+ * Change a filter rule, e.g. { "enabled": false } to disable it
+ */
+app.patch("/api/filters/rules/:key", requireAdmin, async (req, res) => {
+  const { key } = req.params;
+
+  try {
+    const rule = await updateRule(key, req.body || {});
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: `Filter rule "${key}" not found`
+      });
+    }
+
+    console.log(`[API] Updated filter rule ${key}`);
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendFilterRuleError(res, error);
+  }
+});
+
+/**
+ * GET /api/filters/profiles
+ * List filter profiles, their origin/company assignments and the rules each one applies
+ */
+app.get("/api/filters/profiles", (_req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...listProfiles()
+    });
+  } catch (error) {
+    sendFilterRuleError(res, error);
+  }
+});
+
+/**
+ * POST /api/filters/test
+ * Check which rules match a sample errorMessage, optionally together with an unsaved rule
+ *
+ * Body: { "errorMessage": "ODOMETER ERROR", "rule": { "key": "draft", "match": "prefix", "pattern": "ODOMETER" } }
+ */
+app.post("/api/filters/test", (req, res) => {
+  const { errorMessage, rule } = req.body || {};
+
+  if (typeof errorMessage !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: "errorMessage (string) is required"
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...testMessage(errorMessage, rule)
+    });
+  } catch (error) {
+    sendFilterRuleError(res, error);
+  }
+});
+
+/**
+ * POST /api/filters/preview
+ * What-if: apply proposed rule changes to the most recent stored raw results and compare with the current rules
+ * Nothing is saved. Origins need a run made with keepRaw (KEEP_RAW_RESULTS=true) to be previewed.
+ *
+ * Body:
+ * - add: rules to add (same shape as POST /api/filters/rules)
+ * - remove: rule keys to remove
+ * - modify: [{ "key": "...", ...fields to change }]
+ * - origin: only preview this origin (default: all origins)
+ * - profile: profile for every company (default: the origin/company assignments)
+ * - sampleSize: sample logs per rule (default: 3)
+ *
+ * Example: POST /api/filters/preview
+ * Body: { "modify": [{ "key": "speedHigherThanLimit", "enabled": false }], "origin": "HERO2" }
+ */
+app.post("/api/filters/preview", async (req, res) => {
+  const { add, remove, modify, origin, profile, sampleSize } = req.body || {};
+
+  if (rejectUnknownProfile(res, profile)) return;
+
+  try {
+    const preview = await previewRuleChanges({ add, remove, modify }, {
+      origin,
+      profile,
+      sampleSize: parseInt(sampleSize) || undefined
+    });
+
+    res.json({
+      success: true,
+      ...preview
+    });
+  } catch (error) {
+    sendFilterRuleError(res, error);
+  }
+});
+
+/**
+ * GET /api/discovered-messages
+ * Error messages that matched no filter rule and are not in config/importantMessages.json,
+ * grouped by normalized text (dates, times and numbers replaced), most frequent first
+ *
+ * Query parameters:
+ * - origin: only messages seen in this origin (optional)
+ * - since: ISO date/time, only messages first seen after it (optional)
+ * - includeHandled: "true" to include messages a rule or the allowlist now covers (default: false)
+ * - limit: maximum number of messages (default: 100)
+ */
+app.get("/api/discovered-messages", async (req, res) => {
+  const { origin, since } = req.query;
+
+  if (since && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid since date: ${since}`
+    });
+  }
+
+  try {
+    const messages = await listDiscoveredMessages({
+      origin,
+      since,
+      includeHandled: req.query.includeHandled === "true",
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    console.error("[API] Error reading discovered messages:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS (require ADMIN_TOKEN)
+// ============================================================================
+
+/**
+ * Require the admin token: "Authorization: Bearer <ADMIN_TOKEN>" or "X-Admin-Token: <ADMIN_TOKEN>"
+ * Admin endpoints are disabled (503) while ADMIN_TOKEN is not set
+ * Also guards the filter rule changes (POST/PATCH /api/filters/rules)
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return res.status(503).json({
+      success: false,
+      error: "Admin endpoints are disabled. Set ADMIN_TOKEN to enable them."
+    });
+  }
+
+  const header = req.get("authorization") || "";
+  const provided = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : req.get("x-admin-token") || "");
+  const expected = Buffer.from(adminToken);
+
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or missing admin token"
+    });
+  }
+
+  next();
+}
+
+/**
+ * Send an admin error: 400 for validation problems, 500 otherwise
+ */
+function sendAdminError(res, error) {
+  res.status(error.validationErrors ? 400 : 500).json({
+    success: false,
+    error: error.message,
+    validationErrors: error.validationErrors
+  });
+}
+
+/**
+ * GET /api/admin/origins
+ * Registered origins with their settings (passwords redacted)
+ */
+app.get("/api/admin/origins", requireAdmin, async (_req, res) => {
+  try {
+    const origins = await listOrigins({ includeDisabled: true });
+
+    res.json({
+      success: true,
+      count: origins.length,
+      origins
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/origins
+ * Register a new origin; it is picked up by the next roster sync and cron run without a restart
+ *
+ * Body: { "origin": "HERO6", "email": "...", "password": "...", "displayName": "Hero 6", "enabled": true, "tags": ["west"] }
+ */
+app.post("/api/admin/origins", requireAdmin, async (req, res) => {
+  try {
+    const origin = await addOrigin(req.body || {});
+    console.log(`[API] Origin added: ${origin.origin}`);
+
+    res.status(201).json({
+      success: true,
+      origin
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/admin/origins/:origin
+ * Update an origin (displayName, enabled, tags, email, password)
+ *
+ * Example: PATCH /api/admin/origins/HERO2 { "tags": ["east", "priority"] }
+ */
+app.patch("/api/admin/origins/:origin", requireAdmin, async (req, res) => {
+  const { origin } = req.params;
+
+  try {
+    const updated = await updateOrigin(origin, req.body || {});
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: `Origin "${origin}" is not configured`,
+        origin
+      });
+    }
+
+    if (req.body?.email !== undefined || req.body?.password !== undefined) {
+      invalidateHeroToken(origin);
+    }
+
+    console.log(`[API] Origin updated: ${origin} (${Object.keys(req.body || {}).join(", ")})`);
+    res.json({
+      success: true,
+      origin: updated
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/origins/:origin/disable
+ * POST /api/admin/origins/:origin/enable
+ * Take an origin out of (or back into) the scheduled roster sync and cron analysis
+ */
+app.post("/api/admin/origins/:origin/:action", requireAdmin, async (req, res) => {
+  const { origin, action } = req.params;
+
+  if (action !== "disable" && action !== "enable") {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown action "${action}". Use disable or enable`
+    });
+  }
+
+  try {
+    const updated = await updateOrigin(origin, { enabled: action === "enable" });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: `Origin "${origin}" is not configured`,
+        origin
+      });
+    }
+
+    console.log(`[API] Origin ${action}d: ${origin}`);
+    res.json({
+      success: true,
+      origin: updated
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/tokens
+ * Cached Hero token per registered origin (the tokens themselves are never returned)
+ */
+app.get("/api/admin/tokens", requireAdmin, async (_req, res) => {
+  try {
+    const statusByOrigin = new Map(getTokenStatus().map(status => [status.origin, status]));
+    const tokens = (await listOrigins({ includeDisabled: true })).map(({ origin, enabled }) => ({
+      enabled,
+      ...(statusByOrigin.get(origin) || { origin, hasToken: false })
+    }));
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      tokens
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/circuits
+ * Fortex circuit breaker per registered origin; origins that have made no calls yet are reported closed
+ */
+app.get("/api/admin/circuits", requireAdmin, async (_req, res) => {
+  try {
+    const statusByOrigin = new Map(getCircuitStatus().map(status => [status.origin, status]));
+    const circuits = (await listOrigins({ includeDisabled: true })).map(({ origin, enabled }) => ({
+      enabled,
+      ...(statusByOrigin.get(origin) || { origin, state: "closed", recentCalls: 0 })
+    }));
+
+    res.json({
+      success: true,
+      count: circuits.length,
+      open: circuits.filter(circuit => circuit.state !== "closed").length,
+      circuits
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/circuits/:origin/reset
+ * Close an origin's circuit breaker by hand, e.g. once Fortex is known to be healthy again
+ */
+app.post("/api/admin/circuits/:origin/reset", requireAdmin, (req, res) => {
+  const { origin } = req.params;
+
+  if (!resetCircuit(origin)) {
+    return res.status(404).json({
+      success: false,
+      error: `Origin "${origin}" has no circuit breaker (no Fortex calls yet)`,
+      origin
+    });
+  }
+
+  console.log(`[API] Circuit reset: ${origin}`);
+  res.json({
+    success: true,
+    circuit: getCircuitStatus().find(status => status.origin === origin)
+  });
+});
+
+/**
+ * GET /api/admin/webhooks
+ * Webhook deliveries of the outbox, newest first, without their payloads
+ *
+ * Query params:
+ * - status: pending, delivered or deadLetter
+ */
+app.get("/api/admin/webhooks", requireAdmin, async (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status "${status}". Use one of: ${DELIVERY_STATUSES.join(", ")}`
+    });
+  }
+
+  try {
+    const deliveries = await listDeliveries({ status });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:id
+ * One delivery, with its payload while it is pending or dead-lettered
+ */
+app.get("/api/admin/webhooks/:id", requireAdmin, async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: `Delivery "${req.params.id}" not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/replay
+ * Send a dead-lettered delivery again with a fresh set of attempts
+ *
+ * Body (optional):
+ * - url: Send to this URL instead of the original one
+ */
+app.post("/api/admin/webhooks/:id/replay", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { url } = req.body || {};
+
+  if (url !== undefined && (typeof url !== "string" || !/^https?:\/\//.test(url))) {
+    return res.status(400).json({
+      success: false,
+      error: '"url" must be an http(s) URL'
+    });
+  }
+
+  try {
+    const delivery = await getDelivery(id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: `Delivery "${id}" not found`
+      });
+    }
+
+    if (delivery.status !== "deadLetter") {
+      return res.status(409).json({
+        success: false,
+        error: `Delivery "${id}" is ${delivery.status}; only dead-lettered deliveries can be replayed`
+      });
+    }
+
+    console.log(`[API] Replaying webhook delivery ${id}`);
+    const result = await replayDelivery(id, { url });
+
+    res.json({
+      success: true,
+      sent: result.sent,
+      deliveryId: result.deliveryId,
+      deliveryStatus: result.deliveryStatus,
+      nextAttemptAt: result.nextAttemptAt,
+      error: result.error
+    });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log(`\n${'='.repeat(80)}`);
+  console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`${'='.repeat(80)}`);
+  console.log('\nAvailable Endpoints:');
+  console.log(`  Auth:          GET  http://localhost:${PORT}/auth`);
+  console.log(`  Health:        GET  http://localhost:${PORT}/health`);
+  console.log(`  Origins:       GET  http://localhost:${PORT}/api/origins`);
+  console.log(`  Roster:        GET  http://localhost:${PORT}/api/roster/:origin`);
+  console.log(`  Roster Sync:   POST http://localhost:${PORT}/api/roster/sync`);
+  console.log(`${'─'.repeat(80)}`);
+  console.log(`  ⭐ RECOMMENDED (with auto-retry):`);
+  console.log(`  Analyze+Retry: GET  http://localhost:${PORT}/api/analyze-retry/:origin`);
+  console.log(`  Analyze+Retry: POST http://localhost:${PORT}/api/analyze-retry/:origin`);
+  console.log(`  Live Progress: GET  http://localhost:${PORT}/api/analyze-retry/:origin/stream`);
+  console.log(`  Start Job:     POST http://localhost:${PORT}/api/jobs`);
+  console.log(`  Job Status:    GET  http://localhost:${PORT}/api/jobs/:id`);
+  console.log(`  Run History:   GET  http://localhost:${PORT}/api/history/:origin`);
+  console.log(`  Run Diff:      GET  http://localhost:${PORT}/api/diff/:origin`);
+  console.log(`  Speeding:      GET  http://localhost:${PORT}/api/speeding/:origin`);
+  console.log(`  Reprocess:     POST http://localhost:${PORT}/api/reprocess/:origin/:runId`);
+  console.log(`  Filter Rules:  GET  http://localhost:${PORT}/api/filters/rules`);
+  console.log(`  Rule Preview:  POST http://localhost:${PORT}/api/filters/preview`);
+  console.log(`  New Messages:  GET  http://localhost:${PORT}/api/discovered-messages`);
+  console.log(`  Admin Origins: GET  http://localhost:${PORT}/api/admin/origins`);
+  console.log(`  Hero Tokens:   GET  http://localhost:${PORT}/api/admin/tokens`);
+  console.log(`  Circuits:      GET  http://localhost:${PORT}/api/admin/circuits`);
+  console.log(`  Webhooks:      GET  http://localhost:${PORT}/api/admin/webhooks`);
+  console.log(`${'─'.repeat(80)}`);
+  console.log(`  Basic (single attempt):`);
+  console.log(`  Analyze:       GET  http://localhost:${PORT}/api/analyze/:origin`);
+  console.log(`  Analyze:       POST http://localhost:${PORT}/api/analyze/:origin`);
+  console.log(`  Filtered Logs: GET  http://localhost:${PORT}/api/analyze/:origin/filtered`);
+  console.log(`${'─'.repeat(80)}`);
+  console.log(`  Cleanup:       GET  http://localhost:${PORT}/api/cleanup`);
+  console.log(`  Cleanup:       DEL  http://localhost:${PORT}/api/cleanup`);
+  console.log(`${'='.repeat(80)}\n`);
+
+  // Load filter rules, profiles, known messages and speeding thresholds and reload them when their config files change;
+  // each file is loaded on its own so one broken file does not stop the others
+  const watchConfig = process.env.FILTER_RULES_WATCH !== "false";
+  try {
+    startFilterRulesWatcher({ enabled: watchConfig });
+  } catch (error) {
+    console.error("[FILTERS] Failed to load filter rules:", error.message);
+  }
+  try {
+    startFilterProfilesWatcher({ enabled: watchConfig });
+  } catch (error) {
+    console.error("[FILTERS] Failed to load filter profiles:", error.message);
+  }
+  try {
+    startImportantMessagesWatcher({ enabled: watchConfig });
+  } catch (error) {
+    console.error("[FILTERS] Failed to load important messages:", error.message);
+  }
+  try {
+    startSpeedingThresholdsWatcher({ enabled: watchConfig });
+  } catch (error) {
+    console.error("[SPEEDING] Failed to watch speeding thresholds:", error.message);
+  }
+
+  // Initialize cron scheduler
+  startCronScheduler({
+    schedule: process.env.CRON_SCHEDULE || "0 */2 * * *",
+    webhookUrl: process.env.CRON_WEBHOOK_URL,
+    enabled: process.env.CRON_ENABLED === "true",
+    runOnStart: process.env.CRON_RUN_ON_START === "true",
+    payloadMode: process.env.CRON_PAYLOAD_MODE || "full",
+    analysisOptions: {
+      strategy: process.env.CRON_STRATEGY || undefined,
+      warmup: {
+        waitMs: parseInt(process.env.CRON_WARMUP_WAIT_MS) || undefined,
+        poll: process.env.CRON_WARMUP_POLL ? process.env.CRON_WARMUP_POLL === "true" : undefined,
+        fanOut: process.env.CRON_WARMUP_FAN_OUT || undefined
+      }
+    }
+  });
+
+  // Retry webhook deliveries left pending (also those from before a restart)
+  startOutboxWorker({
+    schedule: process.env.WEBHOOK_OUTBOX_SCHEDULE || "* * * * *",
+    enabled: process.env.WEBHOOK_OUTBOX_ENABLED !== "false"
+  });
+
+  // Initialize roster sync scheduler
+  startRosterScheduler({
+    schedule: process.env.ROSTER_SYNC_SCHEDULE || "30 * * * *",
+    enabled: process.env.ROSTER_SYNC_ENABLED !== "false",
+    runOnStart: process.env.ROSTER_SYNC_ON_START === "true"
+  });
+
+  // Initialize Telegram bot
+  startTelegramBot({
+    token: process.env.TELEGRAM_BOT_TOKEN,
+    enabled: process.env.TELEGRAM_BOT_ENABLED === "true",
+    allowedChatIds: (process.env.TELEGRAM_ALLOWED_CHAT_IDS || "").split(",").map(id => id.trim()).filter(Boolean),
+    pollTimeout: parseInt(process.env.TELEGRAM_POLL_TIMEOUT) || 30
   });
 });
 
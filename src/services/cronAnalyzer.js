@@ -1,48 +1,100 @@
 import cron from "node-cron";
-import axios from "axios";
-import { quickRetryAnalyze } from "./originAnalysisWithRetry.js";
-import { heroOrigins } from "../mock/heroOrigins.js";
+import { runOriginAnalysisWithRetry } from "./originAnalysisWithRetry.js";
+import { listOrigins } from "./originRegistry.js";
+import { changesOnly } from "./violationDiff.js";
+import { listDiscoveredMessages } from "./messageDiscovery.js";
+import { isCircuitOpen, getCircuitStatus } from "../apis/fortex.js";
+import { enqueueWebhook } from "./webhookOutbox.js";
+
+const PAYLOAD_MODES = ["full", "changes"];
 
 /**
- * Analyzes all origins and sends results to webhook
+ * Analyzes all enabled origins of the registry and sends results to webhook
+ * @param {Object} analysisOptions - Extra options for runOriginAnalysisWithRetry (e.g. strategy, warmup)
  */
-async function analyzeAllOrigins() {
+async function analyzeAllOrigins(analysisOptions = {}) {
   console.log("\n" + "=".repeat(80));
   console.log(`[CRON] Starting scheduled analysis for all origins`);
   console.log(`[CRON] Time: ${new Date().toISOString()}`);
   console.log("=".repeat(80));
 
   const startTime = Date.now();
+  const startedAt = new Date(startTime).toISOString();
   const results = [];
+  // Read at the start of every run, so origins added or disabled at runtime apply to the next run
+  const origins = await listOrigins();
 
-  for (let i = 0; i < heroOrigins.length; i++) {
-    const origin = heroOrigins[i];
-    console.log(`\n[CRON] Processing ${i + 1}/${heroOrigins.length}: ${origin.origin}`);
+  for (let i = 0; i < origins.length; i++) {
+    const origin = origins[i];
+    console.log(`\n[CRON] Processing ${i + 1}/${origins.length}: ${origin.origin}`);
 
-    try {
-      const analysisResult = await quickRetryAnalyze(origin.origin);
+    // Fortex keeps failing for this origin: skip it until the breaker lets a probe through
+    if (isCircuitOpen(origin.origin)) {
+      const circuit = getCircuitStatus().find(entry => entry.origin === origin.origin);
+      console.log(`[CRON] ⏸ ${origin.origin} skipped, circuit open until ${circuit.retryAt || "the current probe finishes"}`);
 
       results.push({
         origin: origin.origin,
-        success: true,
+        success: false,
+        status: "circuitOpen",
         timestamp: new Date().toISOString(),
-        data: analysisResult
+        error: `Circuit open until ${circuit.retryAt || "the current probe finishes"}`,
+        circuit
       });
+      continue;
+    }
 
-      console.log(`[CRON] ✓ ${origin.origin} completed successfully`);
+    try {
+      const analysisResult = await runOriginAnalysisWithRetry(origin.origin, {
+        ...analysisOptions,
+        verbose: true,
+        retryFailedIndividually: true,
+        saveProcessedToFile: false,
+        source: "cron"
+      });
+
+      // The breaker tripped during the run: the companies not reached yet failed with "circuitOpen"
+      const circuitTripped = analysisResult.summary.retryMetadata?.stopReason === "circuitOpen"
+        || (analysisResult.failedResults || []).some(company => company.errorClass === "circuitOpen");
+
+      if (circuitTripped) {
+        const circuit = getCircuitStatus().find(entry => entry.origin === origin.origin);
+        console.log(`[CRON] ⏸ ${origin.origin} stopped early, circuit opened during the run`);
+
+        results.push({
+          origin: origin.origin,
+          success: false,
+          status: "circuitOpen",
+          timestamp: new Date().toISOString(),
+          error: "Circuit opened during the run",
+          circuit,
+          data: analysisResult
+        });
+      } else {
+        results.push({
+          origin: origin.origin,
+          success: true,
+          status: "completed",
+          timestamp: new Date().toISOString(),
+          data: analysisResult
+        });
+
+        console.log(`[CRON] ✓ ${origin.origin} completed successfully`);
+      }
     } catch (error) {
       console.error(`[CRON] ✗ ${origin.origin} failed:`, error.message);
 
       results.push({
         origin: origin.origin,
         success: false,
+        status: "failed",
         timestamp: new Date().toISOString(),
         error: error.message
       });
     }
 
     // Add delay between origins to avoid rate limiting
-    if (i < heroOrigins.length - 1) {
+    if (i < origins.length - 1) {
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
   }
@@ -50,15 +102,19 @@ async function analyzeAllOrigins() {
   const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
   const summary = {
-    totalOrigins: heroOrigins.length,
+    totalOrigins: origins.length,
     successful: results.filter(r => r.success).length,
-    failed: results.filter(r => !r.success).length,
+    failed: results.filter(r => r.status === "failed").length,
+    circuitOpen: results.filter(r => r.status === "circuitOpen").length,
+    skipped: results.filter(r => r.status === "circuitOpen" && !r.data).length,
     executionTime: `${executionTime}s`,
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    discoveredMessages: await summarizeDiscoveries(startedAt)
   };
 
   console.log("\n" + "=".repeat(80));
-  console.log(`[CRON] Analysis complete: ${summary.successful}/${summary.totalOrigins} successful in ${executionTime}s`);
+  console.log(`[CRON] Analysis complete: ${summary.successful}/${summary.totalOrigins} successful` +
+    (summary.circuitOpen > 0 ? `, ${summary.circuitOpen} circuit open (${summary.skipped} skipped)` : "") + ` in ${executionTime}s`);
   console.log("=".repeat(80));
 
   return {
@@ -68,7 +124,41 @@ async function analyzeAllOrigins() {
 }
 
 /**
- * Sends results to webhook endpoint
+ * Unknown error messages for the cron summary: message types first seen during this cron run,
+ * plus how many unhandled ones are still waiting for a decision
+ * @param {string} since - ISO time the cron run started
+ * @returns {Promise<Object|null>} { newCount, new, outstanding } or null if the registry is unavailable
+ */
+async function summarizeDiscoveries(since) {
+  try {
+    const discovered = await listDiscoveredMessages({ since });
+    const outstanding = await listDiscoveredMessages({ limit: Infinity });
+
+    if (discovered.length > 0) {
+      console.log(`[CRON] ${discovered.length} new unknown message types (see /api/discovered-messages)`);
+    }
+
+    return {
+      newCount: discovered.length,
+      new: discovered.map(entry => ({
+        message: entry.message,
+        category: entry.category,
+        severity: entry.severity,
+        count: entry.count,
+        origins: entry.origins,
+        sample: entry.sample.log.errorMessage
+      })),
+      outstanding: outstanding.length
+    };
+  } catch (error) {
+    console.error("[CRON] Failed to read discovered messages:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Sends results to webhook endpoint through the outbox (see webhookOutbox.js)
+ * The payload is stored first; if the first attempt fails it is retried in the background
  */
 async function sendToWebhook(data, webhookUrl) {
   if (!webhookUrl) {
@@ -78,51 +168,72 @@ async function sendToWebhook(data, webhookUrl) {
 
   try {
     console.log(`[CRON] Sending results to webhook: ${webhookUrl}`);
-
-    const response = await axios.post(webhookUrl, data, {
-      headers: {
-        "Content-Type": "application/json"
-      },
-      timeout: 30000 // 30 second timeout
-    });
-
-    console.log(`[CRON] ✓ Webhook sent successfully (status: ${response.status})`);
-
-    return {
-      sent: true,
-      status: response.status,
-      response: response.data
-    };
+    return await enqueueWebhook(webhookUrl, data);
   } catch (error) {
+    // The outbox itself could not be written; nothing was sent
     console.error(`[CRON] ✗ Webhook failed:`, error.message);
 
     return {
       sent: false,
-      error: error.message,
-      status: error.response?.status
+      error: error.message
     };
   }
 }
 
+/**
+ * Reduce a cron payload to what changed since each origin's previous run
+ * Origins without a diff (e.g. history disabled) keep their full result
+ * @param {Object} data - Result of analyzeAllOrigins
+ * @returns {Object} Payload with new and resolved violations only
+ */
+function toChangesPayload(data) {
+  return {
+    mode: "changes",
+    summary: data.summary,
+    results: data.results.map(result => {
+      if (!result.data?.changes) return result;
+
+      return {
+        ...result,
+        data: {
+          summary: result.data.summary,
+          changes: changesOnly(result.data.changes),
+          failedResults: result.data.failedResults
+        }
+      };
+    })
+  };
+}
+
 /**
  * Main cron job function
+ * @param {string} webhookUrl - Webhook URL to send results to
+ * @param {Object} analysisOptions - Extra options for each origin analysis
+ * @param {string} payloadMode - "full" snapshot or "changes" since the previous run (default: "full")
+ * @returns {Promise<Object|null>} { data, webhookResult }, or null after a critical error
  */
-async function runCronJob(webhookUrl) {
+async function runCronJob(webhookUrl, analysisOptions = {}, payloadMode = "full") {
   try {
     // Analyze all origins
-    const data = await analyzeAllOrigins();
+    const data = await analyzeAllOrigins(analysisOptions);
 
     // Send to webhook
-    const webhookResult = await sendToWebhook(data, webhookUrl);
+    const payload = payloadMode === "changes" ? toChangesPayload(data) : data;
+    const webhookResult = await sendToWebhook(payload, webhookUrl);
 
     // Log final status
     if (webhookResult.sent) {
       console.log(`[CRON] Job completed successfully and sent to webhook`);
+    } else if (webhookResult.deliveryStatus === "pending") {
+      console.log(`[CRON] Job completed, webhook delivery ${webhookResult.deliveryId} queued for retry at ${webhookResult.nextAttemptAt}`);
     } else {
       console.log(`[CRON] Job completed but webhook send failed: ${webhookResult.reason || webhookResult.error}`);
     }
+
+    return { data, webhookResult };
   } catch (error) {
     console.error(`[CRON] Critical error in cron job:`, error.message);
+    return null;
   }
 }
 
@@ -133,13 +244,17 @@ async function runCronJob(webhookUrl) {
 //  * @param {string} options.webhookUrl - Webhook URL to send results to
 //  * @param {boolean} options.enabled - Enable/disable cron job (default: true)
 //  * @param {boolean} options.runOnStart - Run immediately on start (default: false)
+//  * @param {Object} options.analysisOptions - Extra options for each origin analysis (e.g. strategy, warmup)
+//  * @param {string} options.payloadMode - Webhook payload: "full" or "changes" (default: "full")
 //  */
 export function startCronScheduler(options = {}) {
   const {
     schedule = "0 */2 * * *", // Every 2 hours by default
     webhookUrl,
     enabled = true,
-    runOnStart = false
+    runOnStart = false,
+    analysisOptions = {},
+    payloadMode = "full"
   } = options;
 
   if (!enabled) {
@@ -147,6 +262,11 @@ export function startCronScheduler(options = {}) {
     return null;
   }
 
+  if (!PAYLOAD_MODES.includes(payloadMode)) {
+    console.error(`[CRON] Invalid payload mode: ${payloadMode}. Use one of: ${PAYLOAD_MODES.join(", ")}`);
+    return null;
+  }
+
   if (!webhookUrl) {
     console.warn("[CRON] Warning: No webhook URL provided. Results will not be sent anywhere.");
   }
@@ -156,6 +276,8 @@ export function startCronScheduler(options = {}) {
   console.log(`[CRON] Schedule: ${schedule} (every 2 hours)`);
   console.log(`[CRON] Webhook URL: ${webhookUrl || "Not configured"}`);
   console.log(`[CRON] Run on start: ${runOnStart}`);
+  console.log(`[CRON] Payload mode: ${payloadMode}`);
+  console.log(`[CRON] Strategy: ${analysisOptions.strategy || process.env.FORTEX_STRATEGY || "parallel"}`);
   console.log("=".repeat(80) + "\n");
 
   // Validate cron expression
@@ -167,14 +289,14 @@ export function startCronScheduler(options = {}) {
   // Run immediately if requested
   if (runOnStart) {
     console.log("[CRON] Running initial analysis...");
-    runCronJob(webhookUrl).catch(error => {
+    runCronJob(webhookUrl, analysisOptions, payloadMode).catch(error => {
       console.error("[CRON] Error in initial run:", error);
     });
   }
 
   // Schedule the cron job
   const task = cron.schedule(schedule, () => {
-    runCronJob(webhookUrl);
+    runCronJob(webhookUrl, analysisOptions, payloadMode);
   }, {
     scheduled: true,
     timezone: "UTC"
@@ -186,4 +308,4 @@ export function startCronScheduler(options = {}) {
 }
 
 // Export individual functions for testing
-export { analyzeAllOrigins, sendToWebhook, runCronJob };
+export { analyzeAllOrigins, sendToWebhook, runCronJob, toChangesPayload, PAYLOAD_MODES };
@@ -0,0 +1,166 @@
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+
+/**
+ * Filter Audit
+ * Opt-in record of what the processor removed, so "why is driver X missing?" has an answer:
+ * per company and driver, how many logs each rule removed (with a few sample logs per rule),
+ * how many logs were kept, and whether the driver was dropped because nothing was left.
+ *
+ * The audit of the latest recorded run of each origin is stored in data/audit/<origin>.json.
+ */
+
+const AUDIT_DIR = 'audit';
+
+export const DEFAULT_SAMPLE_SIZE = 3;
+
+function auditFileName(origin) {
+  const safeName = origin.replace(/[^A-Za-z0-9_-]/g, '_');
+  return `${AUDIT_DIR}/${safeName}.json`;
+}
+
+function companyKey(company) {
+  return company.companyId || company.companyName;
+}
+
+/**
+ * Collects filter decisions during one processing run
+ * Seeding with the audit of an earlier pass keeps its removals: reprocessing (e.g. after individual retries)
+ * only sees logs that survived the first pass. Kept counts are always recounted.
+ *
+ * @param {Object} options - Collector options
+ * @param {number} options.sampleSize - Removed logs kept per driver and rule (default: 3)
+ * @param {Object} options.previous - Audit of an earlier pass over the same data (optional)
+ * @returns {Object} { removed(company, driver, log, rule), kept(company, driver, log), dropped(company, driver), build(meta) }
+ */
+export function createAuditCollector(options = {}) {
+  const { sampleSize = DEFAULT_SAMPLE_SIZE, previous } = options;
+  const companies = new Map();
+  const seenLogs = new WeakSet();
+
+  const companyEntry = (company) => {
+    const key = companyKey(company);
+    if (!companies.has(key)) {
+      companies.set(key, { companyId: company.companyId, companyName: company.companyName, drivers: new Map() });
+    }
+    return companies.get(key);
+  };
+
+  const driverEntry = (company, driver) => {
+    const drivers = companyEntry(company).drivers;
+    const key = driver.driverName || driver.driverId;
+    if (!drivers.has(key)) {
+      drivers.set(key, { driverName: driver.driverName, driverId: driver.driverId, kept: 0, removed: 0, dropped: false, byRule: {} });
+    }
+    return drivers.get(key);
+  };
+
+  (previous?.companies || []).forEach(company => {
+    company.drivers.forEach(driver => {
+      const entry = driverEntry(company, driver);
+      entry.removed = driver.removed;
+      entry.dropped = driver.dropped;
+      entry.byRule = JSON.parse(JSON.stringify(driver.byRule));
+    });
+  });
+
+  return {
+    removed(company, driver, log, rule) {
+      if (seenLogs.has(log)) return;
+      seenLogs.add(log);
+
+      const entry = driverEntry(company, driver);
+      const ruleEntry = entry.byRule[rule.key] || (entry.byRule[rule.key] = { name: rule.name, count: 0, samples: [] });
+
+      entry.removed++;
+      ruleEntry.count++;
+      if (ruleEntry.samples.length < sampleSize) {
+        ruleEntry.samples.push({ ...log });
+      }
+    },
+
+    kept(company, driver, log) {
+      if (seenLogs.has(log)) return;
+      seenLogs.add(log);
+
+      driverEntry(company, driver).kept++;
+    },
+
+    dropped(company, driver) {
+      driverEntry(company, driver).dropped = true;
+    },
+
+    /**
+     * @param {Object} meta - Extra fields for the audit (e.g. profile)
+     * @returns {Object} { ...meta, sampleSize, totals, companies }
+     */
+    build(meta = {}) {
+      const totals = { companies: 0, drivers: 0, removed: 0, kept: 0, droppedDrivers: 0 };
+
+      const companyList = Array.from(companies.values()).map(company => {
+        const drivers = Array.from(company.drivers.values());
+        const removed = drivers.reduce((sum, driver) => sum + driver.removed, 0);
+        const kept = drivers.reduce((sum, driver) => sum + driver.kept, 0);
+
+        totals.drivers += drivers.length;
+        totals.removed += removed;
+        totals.kept += kept;
+        totals.droppedDrivers += drivers.filter(driver => driver.dropped).length;
+
+        return { companyId: company.companyId, companyName: company.companyName, removed, kept, drivers };
+      });
+
+      totals.companies = companyList.length;
+
+      return {
+        ...meta,
+        generatedAt: new Date().toISOString(),
+        sampleSize,
+        totals,
+        companies: companyList
+      };
+    }
+  };
+}
+
+/**
+ * Store the audit of an origin's latest run
+ * @param {string} origin - The origin name
+ * @param {Object} audit - From createAuditCollector().build()
+ * @param {Object} meta - Run details stored alongside (e.g. { runId })
+ * @returns {Promise<string>} The file path
+ */
+export async function saveFilterAudit(origin, audit, meta = {}) {
+  return writeJsonFile(auditFileName(origin), { origin, ...meta, ...audit });
+}
+
+/**
+ * Audit of an origin's latest audited run
+ * @param {string} origin - The origin name
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.company - Only companies whose id or name contains this text (case-insensitive)
+ * @param {string} filters.driver - Only drivers whose name contains this text (case-insensitive)
+ * @param {boolean} filters.droppedOnly - Only drivers that were dropped
+ * @returns {Promise<Object|null>} The audit, or null if none was stored
+ */
+export async function getFilterAudit(origin, filters = {}) {
+  const audit = await readJsonFile(auditFileName(origin), null);
+  if (!audit) return null;
+
+  const { company, driver, droppedOnly = false } = filters;
+  if (!company && !driver && !droppedOnly) return audit;
+
+  const contains = (value, text) => (value || '').toLowerCase().includes(text.toLowerCase());
+
+  return {
+    ...audit,
+    companies: audit.companies
+      .filter(entry => !company || contains(entry.companyId, company) || contains(entry.companyName, company))
+      .map(entry => ({
+        ...entry,
+        drivers: entry.drivers
+          .filter(d => !driver || contains(d.driverName, driver))
+          .filter(d => !droppedOnly || d.dropped)
+      }))
+      .filter(entry => entry.drivers.length > 0)
+  };
+}
@@ -0,0 +1,226 @@
+import { listOrigins } from './originRegistry.js';
+import { listRules, getCompiledRules, validateRulesConfig, compileRule } from './filterRules.js';
+import { resolveProfileName, getProfileFilters, getProfileFiltersFor } from './filterProfiles.js';
+import { listRawRuns, loadRawResults } from './rawResultStore.js';
+
+/**
+ * Filter Preview
+ * "What would this rule change hide?" Applies a proposed rule set to the most recent stored raw results
+ * (see rawResultStore.js) and compares it with the current rules, without changing anything:
+ * logs newly removed or newly kept per rule, drivers that would vanish or reappear, and the change in
+ * filter efficiency. Each company keeps its filter profile, applied on top of the proposed rules.
+ *
+ * Proposed changes:
+ *   {
+ *     "add": [{ "key": "noPowerUpWarning", "match": "exact", "pattern": "NO POWER UP WARNING" }],
+ *     "remove": ["eventHasManualLocation"],
+ *     "modify": [{ "key": "speedHigherThanLimit", "enabled": false }]
+ *   }
+ */
+
+export const DEFAULT_SAMPLE_SIZE = 3;
+
+function validationError(message, problems) {
+  const error = new Error(`${message}: ${problems.join('; ')}`);
+  error.validationErrors = problems;
+  return error;
+}
+
+/**
+ * Build the proposed rule set from the current rules and a set of changes
+ * @param {Object} changes - { add, remove, modify }
+ * @returns {Object} { rules (compiled), changed: { added, removed, modified } }
+ */
+export function buildProposedRules(changes = {}) {
+  const { add = [], remove = [], modify = [] } = changes;
+  const problems = [];
+
+  if (!Array.isArray(add) || !Array.isArray(remove) || !Array.isArray(modify)) {
+    throw validationError('Invalid rule changes', ['"add", "remove" and "modify" must be arrays']);
+  }
+
+  const current = listRules().rules;
+  const currentKeys = new Set(current.map(rule => rule.key));
+
+  remove.forEach(key => {
+    if (!currentKeys.has(key)) problems.push(`remove: unknown rule "${key}"`);
+  });
+  modify.forEach((change, index) => {
+    if (!change || !currentKeys.has(change.key)) problems.push(`modify[${index}]: unknown rule "${change?.key}"`);
+  });
+  if (problems.length > 0) {
+    throw validationError('Invalid rule changes', problems);
+  }
+
+  const removed = new Set(remove);
+  const modified = new Map(modify.map(change => [change.key, change]));
+
+  const rules = current
+    .filter(rule => !removed.has(rule.key))
+    .map(rule => (modified.has(rule.key) ? { ...rule, ...modified.get(rule.key) } : rule))
+    .concat(add);
+
+  const configProblems = validateRulesConfig({ rules });
+  if (configProblems.length > 0) {
+    throw validationError('Invalid proposed rules', configProblems);
+  }
+
+  return {
+    rules: rules.map(compileRule),
+    changed: {
+      added: add.map(rule => rule.key),
+      removed: remove,
+      modified: modify.map(change => change.key)
+    }
+  };
+}
+
+function firstMatch(filters, errorMessage) {
+  return filters.find(filter => filter.test(errorMessage)) || null;
+}
+
+function addSample(byRule, rule, log, context, sampleSize) {
+  const entry = byRule[rule.key] || (byRule[rule.key] = { name: rule.name, count: 0, samples: [] });
+  entry.count++;
+  if (entry.samples.length < sampleSize) {
+    entry.samples.push({ ...context, log: { ...log } });
+  }
+}
+
+function efficiency(removed, total) {
+  return total > 0 ? Number(((removed / total) * 100).toFixed(2)) : 0;
+}
+
+/**
+ * Compare current and proposed rules on one raw result
+ * @param {Object} raw - Raw smartAnalyzeForOrigin output
+ * @param {Array<Object>} proposedRules - Compiled proposed rules
+ * @param {Object} options - { profile, sampleSize }
+ * @returns {Object} Preview for the origin
+ */
+export function previewOnResults(raw, proposedRules, options = {}) {
+  const { profile, sampleSize = DEFAULT_SAMPLE_SIZE } = options;
+  const origin = raw.summary?.origin;
+
+  const totals = { logs: 0, currentRemoved: 0, proposedRemoved: 0 };
+  const newlyRemoved = {};
+  const newlyKept = {};
+  const drivers = new Map();
+  const seenCompanies = new Set();
+
+  (raw.successfulResults || []).forEach(company => {
+    // Same de-duplication as the processor: the first copy of a company wins
+    const companyKey = company.companyId || company.companyName;
+    if (seenCompanies.has(companyKey)) return;
+    seenCompanies.add(companyKey);
+
+    const profileName = resolveProfileName(origin, company.companyId, profile);
+    const currentFilters = getProfileFilters(profileName);
+    const proposedFilters = getProfileFiltersFor(profileName, proposedRules);
+
+    (company.data || []).forEach(driver => {
+      const driverKey = `${companyKey}|${driver.driverName || driver.driverId}`;
+      if (!drivers.has(driverKey)) {
+        drivers.set(driverKey, {
+          companyId: company.companyId,
+          companyName: company.companyName,
+          driverName: driver.driverName,
+          currentRemaining: 0,
+          proposedRemaining: 0
+        });
+      }
+      const counts = drivers.get(driverKey);
+      const context = { companyId: company.companyId, companyName: company.companyName, driverName: driver.driverName };
+
+      (driver.logs || []).forEach(log => {
+        const current = firstMatch(currentFilters, log.errorMessage);
+        const proposed = firstMatch(proposedFilters, log.errorMessage);
+
+        totals.logs++;
+        if (current) totals.currentRemoved++; else counts.currentRemaining++;
+        if (proposed) totals.proposedRemoved++; else counts.proposedRemaining++;
+
+        if (!current && proposed) addSample(newlyRemoved, proposed, log, context, sampleSize);
+        if (current && !proposed) addSample(newlyKept, current, log, context, sampleSize);
+      });
+    });
+  });
+
+  const driverList = Array.from(drivers.values());
+  const currentEfficiency = efficiency(totals.currentRemoved, totals.logs);
+  const proposedEfficiency = efficiency(totals.proposedRemoved, totals.logs);
+
+  return {
+    origin,
+    totals: {
+      ...totals,
+      newlyRemoved: Object.values(newlyRemoved).reduce((sum, entry) => sum + entry.count, 0),
+      newlyKept: Object.values(newlyKept).reduce((sum, entry) => sum + entry.count, 0),
+      currentRemaining: totals.logs - totals.currentRemoved,
+      proposedRemaining: totals.logs - totals.proposedRemoved,
+      currentEfficiency,
+      proposedEfficiency,
+      efficiencyChange: Number((proposedEfficiency - currentEfficiency).toFixed(2))
+    },
+    // Keyed by the rule that would remove the log
+    newlyRemoved,
+    // Keyed by the rule that removes the log today
+    newlyKept,
+    vanishingDrivers: driverList.filter(d => d.currentRemaining > 0 && d.proposedRemaining === 0),
+    reappearingDrivers: driverList.filter(d => d.currentRemaining === 0 && d.proposedRemaining > 0)
+  };
+}
+
+/**
+ * Preview proposed rule changes on the most recent stored raw results
+ * @param {Object} changes - { add, remove, modify }
+ * @param {Object} options - Preview options
+ * @param {string} options.origin - Only this origin (default: every enabled origin in the registry)
+ * @param {string} options.profile - Profile for every company, as with ?profile= on the analyze endpoints
+ * @param {number} options.sampleSize - Sample logs per rule (default: 3)
+ * @returns {Promise<Object>} { changed, rulesLoadedAt, origins, missingOrigins, totals }
+ */
+export async function previewRuleChanges(changes, options = {}) {
+  const { origin, profile, sampleSize } = options;
+  const { rules, changed } = buildProposedRules(changes);
+
+  const origins = origin ? [origin] : (await listOrigins()).map(o => o.origin);
+  const previews = [];
+  const missingOrigins = [];
+
+  for (const name of origins) {
+    const [runId] = await listRawRuns(name);
+    const raw = runId ? await loadRawResults(name, runId) : null;
+
+    if (!raw) {
+      missingOrigins.push(name);
+      continue;
+    }
+
+    previews.push({ runId, ...previewOnResults(raw, rules, { profile, sampleSize }) });
+  }
+
+  const sum = (field) => previews.reduce((total, preview) => total + preview.totals[field], 0);
+  const logs = sum('logs');
+  const currentEfficiency = efficiency(sum('currentRemoved'), logs);
+  const proposedEfficiency = efficiency(sum('proposedRemoved'), logs);
+
+  return {
+    changed,
+    rulesLoadedAt: getCompiledRules().loadedAt,
+    totals: {
+      origins: previews.length,
+      logs,
+      newlyRemoved: sum('newlyRemoved'),
+      newlyKept: sum('newlyKept'),
+      vanishingDrivers: previews.reduce((total, preview) => total + preview.vanishingDrivers.length, 0),
+      reappearingDrivers: previews.reduce((total, preview) => total + preview.reappearingDrivers.length, 0),
+      currentEfficiency,
+      proposedEfficiency,
+      efficiencyChange: Number((proposedEfficiency - currentEfficiency).toFixed(2))
+    },
+    origins: previews,
+    // Origins without stored raw results (runs need keepRaw / KEEP_RAW_RESULTS=true)
+    missingOrigins
+  };
+}
@@ -0,0 +1,263 @@
+import path from 'path';
+import { resolveConfigPath, readConfigFileSync, watchConfigFile } from '../utils/configFile.js';
+import { getCompiledRules, validateRule, compileRule } from './filterRules.js';
+
+/**
+ * Filter Profiles
+ * Named variations of the global filter rules, assigned per origin and overridden per company
+ * (config/filterProfiles.json):
+ *
+ *   {
+ *     "defaultProfile": "default",
+ *     "profiles": {
+ *       "default": { "description": "All enabled rules" },
+ *       "keepSpeeding": { "disableRules": ["speedMuchHigherThanLimit", "speedHigherThanLimit"] }
+ *     },
+ *     "origins": { "HERO3": "keepSpeeding" },
+ *     "companies": { "Company:-h60w4_DUy": "default" }
+ *   }
+ *
+ * A profile starts from the enabled global rules, skips `disableRules`, applies globally disabled
+ * `enableRules`, and adds its own `extraRules` (same shape as filterRules.json rules).
+ * Resolution for a company: request override, then company assignment, then origin assignment, then defaultProfile.
+ */
+
+const PROFILE_FIELDS = ['description', 'disableRules', 'enableRules', 'extraRules'];
+
+const PROFILES_FILE = process.env.FILTER_PROFILES_FILE
+  ? path.resolve(process.env.FILTER_PROFILES_FILE)
+  : resolveConfigPath('filterProfiles.json');
+
+let profileSet = null;
+
+// Compiled rule lists per profile, rebuilt whenever rules or profiles reload
+const compiledCache = new Map();
+let compiledFor = { ruleSet: null, profileSet: null };
+
+/**
+ * Validate the profiles config
+ * Rule keys are not checked against filterRules.json here, so removing a rule never breaks profile loading
+ * @param {Object} config - Parsed config
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export function validateProfilesConfig(config) {
+  if (!config || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+    return ['config must be an object with a "profiles" object'];
+  }
+
+  const problems = [];
+  const names = Object.keys(config.profiles);
+
+  if (!config.profiles[config.defaultProfile]) {
+    problems.push(`defaultProfile "${config.defaultProfile}" is not a defined profile`);
+  }
+
+  names.forEach(name => {
+    const profile = config.profiles[name];
+    const label = `profiles.${name}`;
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+
+    ['disableRules', 'enableRules'].forEach(field => {
+      if (profile[field] !== undefined && (!Array.isArray(profile[field]) || profile[field].some(key => typeof key !== 'string'))) {
+        problems.push(`${label}.${field} must be an array of rule keys`);
+      }
+    });
+
+    if (profile.extraRules !== undefined) {
+      if (!Array.isArray(profile.extraRules)) {
+        problems.push(`${label}.extraRules must be an array of rules`);
+      } else {
+        profile.extraRules.forEach((rule, index) => {
+          problems.push(...validateRule(rule, `${label}.extraRules[${index}]`));
+        });
+      }
+    }
+
+    const unknownFields = Object.keys(profile).filter(field => !PROFILE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      problems.push(`${label}: unknown field(s) ${unknownFields.join(', ')}`);
+    }
+  });
+
+  ['origins', 'companies'].forEach(section => {
+    Object.entries(config[section] || {}).forEach(([target, profileName]) => {
+      if (!config.profiles[profileName]) {
+        problems.push(`${section}.${target} uses unknown profile "${profileName}"`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Read and validate the profiles file
+ * Without a profiles file every origin uses a single "default" profile (all enabled rules)
+ * @returns {Object} Profiles config with loadedAt
+ */
+function loadProfileSet() {
+  let config;
+  try {
+    config = readConfigFileSync(PROFILES_FILE);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    config = { defaultProfile: 'default', profiles: { default: {} } };
+  }
+
+  const problems = validateProfilesConfig(config);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid filter profiles in ${PROFILES_FILE}: ${problems.join('; ')}`);
+    error.validationErrors = problems;
+    throw error;
+  }
+
+  return {
+    defaultProfile: config.defaultProfile,
+    profiles: config.profiles,
+    origins: config.origins || {},
+    companies: config.companies || {},
+    loadedAt: new Date().toISOString()
+  };
+}
+
+function ensureLoaded() {
+  if (!profileSet) {
+    profileSet = loadProfileSet();
+  }
+  return profileSet;
+}
+
+/**
+ * Check whether a profile exists
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+export function hasProfile(name) {
+  return Boolean(ensureLoaded().profiles[name]);
+}
+
+/**
+ * Throw a descriptive error for an unknown profile
+ * @param {string} name - Profile name
+ */
+export function assertProfile(name) {
+  if (!hasProfile(name)) {
+    throw new Error(`Unknown filter profile "${name}". Available profiles: ${Object.keys(profileSet.profiles).join(', ')}`);
+  }
+}
+
+/**
+ * Profile name that applies to a company
+ * @param {string} origin - The origin name
+ * @param {string} companyId - The company id (optional)
+ * @param {string} override - Profile requested for this run (optional, wins over assignments)
+ * @returns {string} Profile name
+ */
+export function resolveProfileName(origin, companyId, override) {
+  const { defaultProfile, origins, companies } = ensureLoaded();
+
+  if (override) {
+    assertProfile(override);
+    return override;
+  }
+
+  return (companyId && companies[companyId]) || origins[origin] || defaultProfile;
+}
+
+/**
+ * Compiled filter rules for a profile
+ * @param {string} name - Profile name
+ * @returns {Array<Object>} Rules with { key, name, test(errorMessage) }
+ */
+export function getProfileFilters(name) {
+  assertProfile(name);
+
+  const ruleSet = getCompiledRules();
+  if (compiledFor.ruleSet !== ruleSet || compiledFor.profileSet !== profileSet) {
+    compiledCache.clear();
+    compiledFor = { ruleSet, profileSet };
+  }
+
+  if (!compiledCache.has(name)) {
+    compiledCache.set(name, applyProfile(profileSet.profiles[name], ruleSet.rules));
+  }
+
+  return compiledCache.get(name);
+}
+
+/**
+ * Filters a profile would apply on top of another rule set (e.g. a proposed one)
+ * @param {string} name - Profile name
+ * @param {Array<Object>} rules - Compiled rules (enabled and disabled)
+ * @returns {Array<Object>} Rules with { key, name, test(errorMessage) }
+ */
+export function getProfileFiltersFor(name, rules) {
+  assertProfile(name);
+  return applyProfile(profileSet.profiles[name], rules);
+}
+
+function applyProfile(profile, rules) {
+  const disabled = new Set(profile.disableRules || []);
+  const enabled = new Set(profile.enableRules || []);
+
+  return rules
+    .filter(rule => (rule.enabled || enabled.has(rule.key)) && !disabled.has(rule.key))
+    .concat((profile.extraRules || []).map(compileRule));
+}
+
+/**
+ * Profiles with their assignments and effective rule keys
+ * @returns {Object} { file, loadedAt, defaultProfile, origins, companies, profiles }
+ */
+export function listProfiles() {
+  const { defaultProfile, profiles, origins, companies, loadedAt } = ensureLoaded();
+  const ruleKeys = new Set(getCompiledRules().rules.map(rule => rule.key));
+
+  return {
+    file: PROFILES_FILE,
+    loadedAt,
+    defaultProfile,
+    origins,
+    companies,
+    profiles: Object.entries(profiles).map(([name, profile]) => {
+      const referenced = [...(profile.disableRules || []), ...(profile.enableRules || [])];
+      return {
+        name,
+        ...profile,
+        rules: getProfileFilters(name).map(rule => rule.key),
+        // Keys that no longer exist in filterRules.json
+        unknownRuleKeys: referenced.filter(key => !ruleKeys.has(key))
+      };
+    })
+  };
+}
+
+/**
+ * Reload the profiles whenever the file changes; an invalid file keeps the previous profiles
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Enable/disable watching (default: true)
+ * @returns {Object|null} { close } handle
+ */
+export function startFilterProfilesWatcher(options = {}) {
+  const { enabled = true } = options;
+
+  ensureLoaded();
+  console.log(`[FILTERS] Loaded ${Object.keys(profileSet.profiles).length} filter profiles (default: ${profileSet.defaultProfile})`);
+
+  if (!enabled) {
+    return null;
+  }
+
+  return watchConfigFile(PROFILES_FILE, () => {
+    try {
+      profileSet = loadProfileSet();
+      console.log(`[FILTERS] Reloaded ${Object.keys(profileSet.profiles).length} filter profiles`);
+    } catch (error) {
+      console.error(`[FILTERS] Keeping previous profiles: ${error.message}`);
+    }
+  });
+}
@@ -0,0 +1,341 @@
+import path from 'path';
+import { resolveConfigPath, readConfigFileSync, writeConfigFile, watchConfigFile } from '../utils/configFile.js';
+
+/**
+ * Filter Rules
+ * The noise messages removed by the processor live in config/filterRules.json:
+ *
+ *   { "rules": [{ "key": "odometerError", "name": "ODOMETER ERROR", "match": "exact", "pattern": "ODOMETER ERROR", "enabled": true }] }
+ *
+ * match is one of exact | prefix | contains | regex (regex rules may set "flags", e.g. "i").
+ * Messages are trimmed before matching. The file is validated on load and reloaded when it changes;
+ * an invalid edit is rejected and the previous rules stay active.
+ */
+
+export const MATCH_TYPES = ['exact', 'prefix', 'contains', 'regex'];
+
+const RULE_FIELDS = ['key', 'name', 'match', 'pattern', 'flags', 'enabled', 'description'];
+
+const RULES_FILE = process.env.FILTER_RULES_FILE
+  ? path.resolve(process.env.FILTER_RULES_FILE)
+  : resolveConfigPath('filterRules.json');
+
+let ruleSet = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Validation error carrying every problem found
+ */
+function validationError(message, problems) {
+  const error = new Error(`${message}: ${problems.join('; ')}`);
+  error.validationErrors = problems;
+  return error;
+}
+
+/**
+ * Check a single rule
+ * @param {Object} rule - Rule definition
+ * @param {string} label - How to refer to the rule in messages
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export function validateRule(rule, label = 'rule') {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${label} must be an object`];
+  }
+
+  const problems = [];
+
+  if (typeof rule.key !== 'string' || !/^[A-Za-z0-9_-]+$/.test(rule.key)) {
+    problems.push(`${label}: "key" must be a non-empty string of letters, digits, "_" or "-"`);
+  }
+  if (!MATCH_TYPES.includes(rule.match)) {
+    problems.push(`${label}: "match" must be one of ${MATCH_TYPES.join(', ')}`);
+  }
+  if (typeof rule.pattern !== 'string' || rule.pattern.trim() === '') {
+    problems.push(`${label}: "pattern" must be a non-empty string`);
+  }
+  if (rule.name !== undefined && typeof rule.name !== 'string') {
+    problems.push(`${label}: "name" must be a string`);
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    problems.push(`${label}: "enabled" must be true or false`);
+  }
+
+  if (rule.flags !== undefined) {
+    if (rule.match !== 'regex') {
+      problems.push(`${label}: "flags" only applies to regex rules`);
+    } else if (typeof rule.flags !== 'string' || /[gy]/.test(rule.flags)) {
+      // Stateful flags would make RegExp.test depend on the previous message
+      problems.push(`${label}: "flags" must be a string without "g" or "y"`);
+    }
+  }
+
+  if (rule.match === 'regex' && typeof rule.pattern === 'string' && problems.length === 0) {
+    try {
+      new RegExp(rule.pattern, rule.flags || '');
+    } catch (error) {
+      problems.push(`${label}: invalid regex: ${error.message}`);
+    }
+  }
+
+  const unknownFields = Object.keys(rule).filter(field => !RULE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    problems.push(`${label}: unknown field(s) ${unknownFields.join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a whole rules config
+ * @param {Object} config - Parsed config ({ rules: [...] })
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export function validateRulesConfig(config) {
+  if (!config || !Array.isArray(config.rules)) {
+    return ['config must be an object with a "rules" array'];
+  }
+
+  const problems = [];
+  const seenKeys = new Set();
+
+  config.rules.forEach((rule, index) => {
+    problems.push(...validateRule(rule, `rules[${index}]${rule?.key ? ` (${rule.key})` : ''}`));
+
+    if (rule?.key) {
+      if (seenKeys.has(rule.key)) {
+        problems.push(`rules[${index}]: duplicate key "${rule.key}"`);
+      }
+      seenKeys.add(rule.key);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Compile a validated rule into a matcher
+ * @param {Object} rule - Rule definition
+ * @returns {Object} Rule with a test(errorMessage) function
+ */
+export function compileRule(rule) {
+  const { pattern } = rule;
+  let matches;
+
+  switch (rule.match) {
+    case 'exact':
+      matches = (message) => message === pattern;
+      break;
+    case 'prefix':
+      matches = (message) => message.startsWith(pattern);
+      break;
+    case 'contains':
+      matches = (message) => message.includes(pattern);
+      break;
+    case 'regex': {
+      const regex = new RegExp(pattern, rule.flags || '');
+      matches = (message) => regex.test(message);
+      break;
+    }
+    default:
+      throw new Error(`Unknown match type "${rule.match}"`);
+  }
+
+  return {
+    ...rule,
+    name: rule.name || pattern,
+    enabled: rule.enabled !== false,
+    test: (errorMessage) => Boolean(errorMessage) && matches(errorMessage.trim())
+  };
+}
+
+/**
+ * Read, validate and compile the rules file
+ * @returns {Object} { rules, loadedAt }
+ */
+function loadRuleSet() {
+  const config = readConfigFileSync(RULES_FILE);
+  const problems = validateRulesConfig(config);
+
+  if (problems.length > 0) {
+    throw validationError(`Invalid filter rules in ${RULES_FILE}`, problems);
+  }
+
+  return {
+    rules: config.rules.map(compileRule),
+    loadedAt: new Date().toISOString()
+  };
+}
+
+function ensureLoaded() {
+  if (!ruleSet) {
+    ruleSet = loadRuleSet();
+  }
+  return ruleSet;
+}
+
+/**
+ * Public shape of a rule (without the compiled matcher)
+ */
+function serializeRule(rule) {
+  // Stable field order keeps the rules file readable after API edits
+  return Object.fromEntries(
+    RULE_FIELDS.filter(field => rule[field] !== undefined).map(field => [field, rule[field]])
+  );
+}
+
+/**
+ * Enabled rules, compiled, in file order
+ * @returns {Array<Object>} Rules with { key, name, test(errorMessage) }
+ */
+export function getActiveFilters() {
+  return ensureLoaded().rules.filter(rule => rule.enabled);
+}
+
+/**
+ * All rules (enabled and disabled), compiled, in file order
+ * @returns {Object} { rules, loadedAt }
+ */
+export function getCompiledRules() {
+  return ensureLoaded();
+}
+
+/**
+ * All rules (enabled and disabled)
+ * @returns {Object} { file, loadedAt, rules }
+ */
+export function listRules() {
+  const { rules, loadedAt } = ensureLoaded();
+  return {
+    file: RULES_FILE,
+    loadedAt,
+    rules: rules.map(serializeRule)
+  };
+}
+
+/**
+ * Apply a change to the rules file and reload
+ * @param {Function} change - Receives the current rule definitions, returns the new ones
+ * @returns {Promise<void>}
+ */
+function updateRulesFile(change) {
+  const task = writeQueue.catch(() => {}).then(async () => {
+    const current = ensureLoaded().rules.map(serializeRule);
+    const config = { rules: change(current) };
+
+    const problems = validateRulesConfig(config);
+    if (problems.length > 0) {
+      throw validationError('Invalid filter rules', problems);
+    }
+
+    await writeConfigFile(RULES_FILE, config);
+    ruleSet = {
+      rules: config.rules.map(compileRule),
+      loadedAt: new Date().toISOString()
+    };
+  });
+
+  writeQueue = task;
+  return task;
+}
+
+/**
+ * Add a rule
+ * @param {Object} rule - Rule definition
+ * @returns {Promise<Object>} The stored rule
+ */
+export async function addRule(rule) {
+  const problems = validateRule(rule);
+  if (problems.length > 0) {
+    throw validationError('Invalid filter rule', problems);
+  }
+
+  const stored = { ...rule, enabled: rule.enabled !== false };
+  await updateRulesFile(rules => [...rules, stored]);
+  return stored;
+}
+
+/**
+ * Update a rule (e.g. { enabled: false } to disable it)
+ * @param {string} key - Rule key
+ * @param {Object} changes - Fields to change; the key itself cannot change
+ * @returns {Promise<Object|null>} The updated rule, or null if not found
+ */
+export async function updateRule(key, changes = {}) {
+  if (changes.key !== undefined && changes.key !== key) {
+    throw validationError('Invalid filter rule update', ['"key" cannot be changed']);
+  }
+
+  if (!ensureLoaded().rules.some(rule => rule.key === key)) {
+    return null;
+  }
+
+  let updated = null;
+  await updateRulesFile(rules => rules.map(rule => {
+    if (rule.key !== key) return rule;
+    updated = { ...rule, ...changes, key };
+    return updated;
+  }));
+
+  return updated;
+}
+
+/**
+ * Check which rules match a sample errorMessage
+ * @param {string} errorMessage - Sample message as returned by Fortex
+ * @param {Object} candidate - Optional unsaved rule to test as well
+ * @returns {Object} { removed, removedBy, matches, candidate }
+ */
+export function testMessage(errorMessage, candidate) {
+  const matches = ensureLoaded().rules
+    .filter(rule => rule.test(errorMessage))
+    .map(serializeRule);
+
+  const removedBy = matches.find(rule => rule.enabled) || null;
+  const result = {
+    errorMessage,
+    removed: Boolean(removedBy),
+    removedBy: removedBy?.key || null,
+    matches
+  };
+
+  if (candidate) {
+    const problems = validateRule(candidate, 'candidate rule');
+    if (problems.length > 0) {
+      throw validationError('Invalid candidate rule', problems);
+    }
+    result.candidate = {
+      ...candidate,
+      matches: compileRule(candidate).test(errorMessage)
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Reload the rules whenever the file changes
+ * An invalid file is logged and ignored so processing keeps using the last good rules
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Enable/disable watching (default: true)
+ * @returns {Object|null} { close } handle
+ */
+export function startFilterRulesWatcher(options = {}) {
+  const { enabled = true } = options;
+
+  ensureLoaded();
+  console.log(`[FILTERS] Loaded ${ruleSet.rules.length} filter rules from ${RULES_FILE}`);
+
+  if (!enabled) {
+    return null;
+  }
+
+  return watchConfigFile(RULES_FILE, () => {
+    try {
+      ruleSet = loadRuleSet();
+      console.log(`[FILTERS] Reloaded ${ruleSet.rules.length} filter rules`);
+    } catch (error) {
+      console.error(`[FILTERS] Keeping previous rules: ${error.message}`);
+    }
+  });
+}
@@ -1,4 +1,8 @@
-import { smartAnalyze } from "../apis/fortex.js";
+import { smartAnalyze, classifyFortexError } from "../apis/fortex.js";
+import { getRoster, getAllRosters } from "./rosterSync.js";
+import { runAdaptivePool } from "../utils/adaptivePool.js";
+import { delay, isCancellation } from "../utils/abort.js";
+import { emitProgress } from "./progressEvents.js";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -6,17 +10,95 @@ import { fileURLToPath } from "url";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const STRATEGIES = ["parallel", "warmup"];
+const FAN_OUT_MODES = ["sequential", "pooled"];
+
+const envNumber = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
 /**
- * Executes smart analyze for all companies in a specific origin with parallel processing
+ * Resolve worker pool settings for an origin
+ * Explicit options win over FORTEX_MAX_CONCURRENCY_<ORIGIN>, which wins over the global env defaults
+ * @param {string} origin - The origin name
+ * @param {Object} overrides - Pool options passed by the caller
+ * @returns {Object} Options for runAdaptivePool
+ */
+function resolveConcurrencyOptions(origin, overrides = {}) {
+  const originKey = origin.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+
+  return {
+    maxConcurrency: overrides.maxConcurrency
+      ?? envNumber(`FORTEX_MAX_CONCURRENCY_${originKey}`)
+      ?? envNumber("FORTEX_MAX_CONCURRENCY")
+      ?? 6,
+    initialConcurrency: overrides.initialConcurrency ?? envNumber("FORTEX_INITIAL_CONCURRENCY"),
+    minConcurrency: overrides.minConcurrency ?? 1,
+    rampUpAfter: overrides.rampUpAfter ?? envNumber("FORTEX_RAMP_UP_AFTER") ?? 2,
+    throttleCooldownMs: overrides.throttleCooldownMs ?? envNumber("FORTEX_THROTTLE_COOLDOWN_MS") ?? 5000,
+  };
+}
+
+/**
+ * Resolve warm-up settings, falling back to the FORTEX_WARMUP_* env defaults
+ * @param {Object} overrides - Warm-up options passed by the caller
+ * @returns {Object} Warm-up settings
+ */
+function resolveWarmupOptions(overrides = {}) {
+  const fanOut = overrides.fanOut || process.env.FORTEX_WARMUP_FAN_OUT || "sequential";
+  if (!FAN_OUT_MODES.includes(fanOut)) {
+    throw new Error(`Unknown warm-up fan-out "${fanOut}". Available fan-outs: ${FAN_OUT_MODES.join(", ")}`);
+  }
+
+  return {
+    companyId: overrides.companyId || null,
+    waitMs: overrides.waitMs ?? envNumber("FORTEX_WARMUP_WAIT_MS") ?? 30000,
+    poll: overrides.poll ?? process.env.FORTEX_WARMUP_POLL === "true",
+    pollIntervalMs: overrides.pollIntervalMs ?? envNumber("FORTEX_WARMUP_POLL_INTERVAL_MS") ?? 10000,
+    maxWaitMs: overrides.maxWaitMs ?? envNumber("FORTEX_WARMUP_MAX_WAIT_MS") ?? 180000,
+    fanOut,
+  };
+}
+
+/**
+ * Executes smart analyze for all companies in a specific origin through an adaptive worker pool
  * @param {string} origin - The origin name (e.g., "HERO", "HERO2", "HERO3", etc.)
  * @param {Object} options - Optional configuration
  * @param {boolean} options.saveToFile - Whether to save results to a JSON file (default: false)
  * @param {string} options.outputDir - Directory to save results (default: "./results")
  * @param {boolean} options.verbose - Enable detailed console logging (default: true)
+ * @param {Object} options.concurrency - Worker pool overrides (maxConcurrency, initialConcurrency, rampUpAfter, throttleCooldownMs)
+ * @param {string} options.strategy - "parallel" (fan out through the pool) or "warmup" (default: FORTEX_STRATEGY or "parallel")
+ * @param {Object} options.warmup - Warm-up overrides for the "warmup" strategy
+ * @param {string} options.warmup.companyId - Company used to warm up the origin (default: first company)
+ * @param {number} options.warmup.waitMs - Fixed wait after the warm-up request (default: 30000)
+ * @param {boolean} options.warmup.poll - Poll the warm-up company until it succeeds instead of a fixed wait (default: false)
+ * @param {number} options.warmup.pollIntervalMs - Delay between readiness polls (default: 10000)
+ * @param {number} options.warmup.maxWaitMs - Give up polling after this long (default: 180000)
+ * @param {string} options.warmup.fanOut - "sequential" or "pooled" fetches after warm-up (default: "sequential")
+ * @param {AbortSignal} options.signal - Cancels in-flight requests and stops the run when aborted
+ * @param {EventEmitter} options.progress - Receives a "company" progress event after each company completes
+ * @param {Array<string>} options.companyIds - Only analyze these roster companies (default: the whole roster)
  * @returns {Promise<Object>} Aggregated results with success/failure statistics
  */
 async function smartAnalyzeForOrigin(origin, options = {}) {
-  const { saveToFile = false, outputDir = "./results", verbose = true } = options;
+  const {
+    saveToFile = false,
+    outputDir = "./results",
+    verbose = true,
+    concurrency = {},
+    strategy = process.env.FORTEX_STRATEGY || "parallel",
+    warmup = {},
+    signal,
+    progress,
+    companyIds
+  } = options;
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy "${strategy}". Available strategies: ${STRATEGIES.join(", ")}`);
+  }
+  const warmupOptions = strategy === "warmup" ? resolveWarmupOptions(warmup) : null;
 
   try {
     if (verbose) {
@@ -25,25 +107,20 @@ async function smartAnalyzeForOrigin(origin, options = {}) {
       console.log(`${'='.repeat(80)}\n`);
     }
 
-    // Read the auth response file
-    const authFilePath = path.join(__dirname, "../../authEndpointResponse.json");
-    const authData = JSON.parse(await fs.readFile(authFilePath, "utf-8"));
-
-    // Find the specific origin
-    const originData = authData.results.find((result) => result.origin === origin);
+    // Companies come from the synced roster store
+    const originData = await getRoster(origin);
 
-    if (!originData) {
-      throw new Error(
-        `Origin "${origin}" not found. Available origins: ${authData.results
-          .map((r) => r.origin)
-          .join(", ")}`
-      );
-    }
-
-    const companies = originData.companies;
+    const requestedIds = companyIds ? new Set(companyIds) : null;
+    const companies = requestedIds
+      ? originData.companies.filter((c) => requestedIds.has(c.id))
+      : originData.companies;
 
     if (verbose) {
-      console.log(`Found ${companies.length} companies in ${origin}`);
+      console.log(
+        requestedIds
+          ? `Requesting ${companies.length} of ${originData.companies.length} companies in ${origin}`
+          : `Found ${companies.length} companies in ${origin}`
+      );
       console.log(
         `Estimated completion time: ${Math.ceil((companies.length * 30) / 60)} - ${Math.ceil(
           (companies.length * 40) / 60
@@ -54,61 +131,158 @@ async function smartAnalyzeForOrigin(origin, options = {}) {
     // Track start time
     const startTime = Date.now();
 
-    if (verbose) {
-      console.log(`Launching ${companies.length} parallel requests...\n`);
-    }
-
     // Progress tracking
     let completedCount = 0;
     let successCount = 0;
     let failedCount = 0;
 
-    // Execute all smartAnalyze calls in parallel
-    // Promise.all() waits for ALL promises to complete, not just the first one
-    const promises = companies.map((company, index) => {
-      return smartAnalyze(origin, company.id)
+    const logCompletion = (company, error = null) => {
+      emitProgress(progress, {
+        type: "company",
+        origin,
+        companyId: company.id,
+        companyName: company.name,
+        status: error ? "failed" : "success",
+        error: error?.message,
+        completed: completedCount,
+        total: companies.length,
+        successful: successCount,
+        failed: failedCount,
+      });
+
+      if (!verbose) return;
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(
+        error
+          ? `[${completedCount}/${companies.length}] ✗ ${company.name} (${company.id}) - ${elapsed}s - ${error.message}`
+          : `[${completedCount}/${companies.length}] ✓ ${company.name} (${company.id}) - ${elapsed}s`
+      );
+    };
+
+    const toResult = (company, outcome) => outcome.status === "fulfilled"
+      ? {
+        status: "success",
+        companyName: company.name,
+        companyId: company.id,
+        data: outcome.value,
+      }
+      : {
+        status: "failed",
+        companyName: company.name,
+        companyId: company.id,
+        error: outcome.reason.message,
+        errorClass: classifyFortexError(outcome.reason),
+        httpStatus: outcome.reason.response?.status ?? null,
+        errorDetails: outcome.reason.response?.data || null,
+      };
+
+    // Warm-up strategy: load the origin on Fortex with one company before fanning out
+    const resultsById = new Map();
+    let fanOutCompanies = companies;
+    let poolOptions = resolveConcurrencyOptions(origin, concurrency);
+    let strategySummary = { name: strategy };
+
+    if (strategy === "warmup" && companies.length > 0) {
+      const warmupCompany = companies.find((c) => c.id === warmupOptions.companyId) || companies[0];
+      const warmupStart = Date.now();
+      let warmupAttempts = 0;
+      let warmupOutcome = null;
+
+      if (verbose) {
+        console.log(`Warming up ${origin} with ${warmupCompany.name} (${warmupCompany.id})...`);
+      }
+
+      const tryWarmup = async () => {
+        warmupAttempts++;
+        try {
+          warmupOutcome = { status: "fulfilled", value: await smartAnalyze(origin, warmupCompany.id, { signal }) };
+        } catch (error) {
+          signal?.throwIfAborted();
+          warmupOutcome = { status: "rejected", reason: error };
+        }
+        return warmupOutcome.status === "fulfilled";
+      };
+
+      let ready = await tryWarmup();
+
+      if (warmupOptions.poll) {
+        // Readiness polling: keep asking for the warm-up company until Fortex answers
+        while (!ready && Date.now() - warmupStart < warmupOptions.maxWaitMs) {
+          if (verbose) {
+            console.log(`  Origin not ready yet (${warmupOutcome.reason.message}), polling again in ${warmupOptions.pollIntervalMs / 1000}s...`);
+          }
+          await delay(warmupOptions.pollIntervalMs, signal);
+          ready = await tryWarmup();
+        }
+      } else if (warmupOptions.waitMs > 0) {
+        if (verbose) {
+          console.log(`  Waiting ${warmupOptions.waitMs / 1000}s for ${origin} to load...`);
+        }
+        await delay(warmupOptions.waitMs, signal);
+      }
+
+      // A failed warm-up company gets another chance in the fan-out
+      if (ready) {
+        completedCount++;
+        successCount++;
+        logCompletion(warmupCompany);
+        resultsById.set(warmupCompany.id, toResult(warmupCompany, warmupOutcome));
+        fanOutCompanies = companies.filter((c) => c !== warmupCompany);
+      }
+
+      if (warmupOptions.fanOut === "sequential") {
+        poolOptions = { ...poolOptions, maxConcurrency: 1, initialConcurrency: 1 };
+      }
+
+      strategySummary = {
+        name: strategy,
+        warmupCompanyId: warmupCompany.id,
+        warmupMode: warmupOptions.poll ? "poll" : "wait",
+        warmupAttempts,
+        warmupSucceeded: ready,
+        warmupTime: `${((Date.now() - warmupStart) / 1000).toFixed(2)}s`,
+        fanOut: warmupOptions.fanOut,
+      };
+    }
+
+    if (verbose) {
+      console.log(
+        `Launching ${fanOutCompanies.length} requests (max ${poolOptions.maxConcurrency} in flight)...\n`
+      );
+    }
+
+    // The pool keeps a bounded number of requests in flight, ramps up while Fortex keeps up
+    // and halves the concurrency when it answers with 429/5xx or times out
+    const { results: settled, stats: poolStats } = await runAdaptivePool(
+      fanOutCompanies,
+      (company) => smartAnalyze(origin, company.id, { signal })
         .then((data) => {
           completedCount++;
           successCount++;
-          if (verbose) {
-            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-            console.log(
-              `[${completedCount}/${companies.length}] ✓ ${company.name} (${company.id}) - ${elapsed}s`
-            );
-          }
-          return {
-            status: "success",
-            companyName: company.name,
-            companyId: company.id,
-            data: data,
-          };
+          logCompletion(company);
+          return data;
         })
         .catch((error) => {
-          completedCount++;
-          failedCount++;
-          if (verbose) {
-            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-            console.log(
-              `[${completedCount}/${companies.length}] ✗ ${company.name} (${company.id}) - ${elapsed}s - ${error.message}`
-            );
+          if (!signal?.aborted) {
+            completedCount++;
+            failedCount++;
+            logCompletion(company, error);
           }
-          return {
-            status: "failed",
-            companyName: company.name,
-            companyId: company.id,
-            error: error.message,
-            errorDetails: error.response?.data || null,
-          };
-        });
-    });
+          throw error;
+        }),
+      { ...poolOptions, signal }
+    );
 
-    // IMPORTANT: Promise.all() waits for ALL promises to complete
-    // Even if one company takes 20s and another takes 40s, this will wait for all 40s
-    if (verbose) {
-      console.log(`Waiting for all ${companies.length} companies to complete...\n`);
-    }
+    // Partial results of a cancelled run are discarded
+    signal?.throwIfAborted();
+
+    settled.forEach((outcome, index) => {
+      const company = fanOutCompanies[index];
+      resultsById.set(company.id, toResult(company, outcome));
+    });
 
-    const results = await Promise.all(promises);
+    // Keep roster order in the output
+    const results = companies.map((company) => resultsById.get(company.id));
 
     if (verbose) {
       console.log(`\nAll ${companies.length} companies have finished processing.`);
@@ -130,6 +304,15 @@ async function smartAnalyzeForOrigin(origin, options = {}) {
       successRate: `${((successResults.length / companies.length) * 100).toFixed(2)}%`,
       executionTime: `${executionTime}s`,
       averageTimePerCompany: `${(executionTime / companies.length).toFixed(2)}s`,
+      concurrency: {
+        initial: poolStats.initialConcurrency,
+        max: poolStats.maxConcurrency,
+        peak: poolStats.peakConcurrency,
+        final: poolStats.finalConcurrency,
+        rampUps: poolStats.rampUps,
+        throttleEvents: poolStats.throttleEvents,
+      },
+      strategy: strategySummary,
     };
 
     // Log results
@@ -142,6 +325,7 @@ async function smartAnalyzeForOrigin(origin, options = {}) {
       console.log(`Failed: ${summary.failed}`);
       console.log(`Total Execution Time: ${summary.executionTime}`);
       console.log(`Average Time per Company: ${summary.averageTimePerCompany}`);
+      console.log(`Concurrency: ${summary.concurrency.initial} → peak ${summary.concurrency.peak} (max ${summary.concurrency.max}), throttled ${summary.concurrency.throttleEvents}x`);
       console.log(`${'='.repeat(80)}\n`);
 
       if (failedResults.length > 0) {
@@ -149,7 +333,7 @@ async function smartAnalyzeForOrigin(origin, options = {}) {
         console.log(`${'-'.repeat(80)}`);
         failedResults.forEach((result, index) => {
           console.log(`${index + 1}. ${result.companyName} (${result.companyId})`);
-          console.log(`   Error: ${result.error}`);
+          console.log(`   Error (${result.errorClass}): ${result.error}`);
         });
         console.log(`\n`);
       }
@@ -192,7 +376,9 @@ async function smartAnalyzeForOrigin(origin, options = {}) {
       allResults: results,
     };
   } catch (error) {
-    console.error(`\nCritical Error in smartAnalyzeForOrigin:`, error.message);
+    if (!isCancellation(error)) {
+      console.error(`\nCritical Error in smartAnalyzeForOrigin:`, error.message);
+    }
     throw error;
   }
 }
@@ -251,11 +437,10 @@ async function smartAnalyzeForMultipleOrigins(origins, options = {}) {
  */
 async function smartAnalyzeForAllOrigins(options = {}) {
   try {
-    // Read the auth response file to get all origins
-    const authFilePath = path.join(__dirname, "../../authEndpointResponse.json");
-    const authData = JSON.parse(await fs.readFile(authFilePath, "utf-8"));
+    // Get all origins from the roster store
+    const rosters = await getAllRosters();
 
-    const allOrigins = authData.results.map((result) => result.origin);
+    const allOrigins = rosters.map((roster) => roster.origin);
 
     return await smartAnalyzeForMultipleOrigins(allOrigins, options);
   } catch (error) {
@@ -265,18 +450,18 @@ async function smartAnalyzeForAllOrigins(options = {}) {
 }
 
 /**
- * Gets available origins from the auth data file
+ * Gets available origins from the roster store
  * @returns {Promise<Array>} Array of origin names with company counts
  */
 async function getAvailableOrigins() {
   try {
-    const authFilePath = path.join(__dirname, "../../authEndpointResponse.json");
-    const authData = JSON.parse(await fs.readFile(authFilePath, "utf-8"));
+    const rosters = await getAllRosters();
 
-    return authData.results.map((result) => ({
-      origin: result.origin,
-      companiesCount: result.companiesCount,
-      companies: result.companies,
+    return rosters.map((roster) => ({
+      origin: roster.origin,
+      companiesCount: roster.companiesCount,
+      companies: roster.companies,
+      syncedAt: roster.syncedAt,
     }));
   } catch (error) {
     console.error(`Error reading origins data:`, error.message);
@@ -289,4 +474,6 @@ export {
   smartAnalyzeForMultipleOrigins,
   smartAnalyzeForAllOrigins,
   getAvailableOrigins,
+  STRATEGIES,
+  FAN_OUT_MODES,
 };
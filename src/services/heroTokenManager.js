@@ -0,0 +1,179 @@
+import { createHash } from "crypto";
+import { authHero } from "../apis/hero.js";
+
+/**
+ * Hero Token Manager
+ * Caches the Hero accessToken per origin instead of logging in for every call. The expiry is read from the
+ * JWT `exp` claim; a token is refreshed when it is within HERO_TOKEN_REFRESH_MARGIN_MS of expiring, so
+ * calls never start with a token that is about to run out. Tokens without a readable expiry are kept for
+ * HERO_TOKEN_DEFAULT_TTL_MS.
+ *
+ * withHeroToken() runs a Hero call with the cached token; on a 401 it logs in again and retries once.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const REFRESH_MARGIN_MS = envNumber("HERO_TOKEN_REFRESH_MARGIN_MS", 5 * 60 * 1000);
+const DEFAULT_TTL_MS = envNumber("HERO_TOKEN_DEFAULT_TTL_MS", 30 * 60 * 1000);
+
+// Hero needs a moment after a login before the new token is accepted
+const POST_LOGIN_DELAY_MS = 500;
+
+const tokens = new Map();
+const pendingLogins = new Map();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the expiry of a JWT
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry in ms since epoch, or null if the token has no readable exp claim
+ */
+export function decodeTokenExpiry(token) {
+  const payload = typeof token === "string" ? token.replace(/^Bearer\s+/i, "").split(".")[1] : null;
+  if (!payload) return null;
+
+  try {
+    const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    return typeof exp === "number" ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a Hero call failed because the token was not accepted
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean}
+ */
+export function isUnauthorized(error) {
+  return error?.response?.status === 401;
+}
+
+function needsRefresh(entry, originConfig) {
+  return !entry?.accessToken
+    || entry.email !== originConfig.email
+    || Date.now() >= entry.expiresAt - REFRESH_MARGIN_MS;
+}
+
+async function login(originConfig, reason) {
+  const entry = tokens.get(originConfig.origin) || {
+    origin: originConfig.origin,
+    loginCount: 0,
+    reauthOn401Count: 0
+  };
+
+  try {
+    const authData = await authHero(originConfig.email, originConfig.password, null);
+    const accessToken = authData.accessToken || authData.token;
+    if (!accessToken) {
+      throw new Error("Authentication response did not contain a token");
+    }
+
+    const expiry = decodeTokenExpiry(accessToken);
+
+    Object.assign(entry, {
+      accessToken,
+      email: originConfig.email,
+      obtainedAt: new Date().toISOString(),
+      expiresAt: expiry ?? Date.now() + DEFAULT_TTL_MS,
+      expiryKnown: expiry !== null,
+      lastLoginReason: reason,
+      lastError: null
+    });
+    entry.loginCount++;
+    if (reason === "unauthorized") entry.reauthOn401Count++;
+    tokens.set(originConfig.origin, entry);
+
+    await delay(POST_LOGIN_DELAY_MS);
+    return accessToken;
+  } catch (error) {
+    entry.accessToken = null;
+    entry.lastError = { message: error.message, status: error.response?.status ?? null, at: new Date().toISOString() };
+    tokens.set(originConfig.origin, entry);
+    throw error;
+  }
+}
+
+/**
+ * Get a valid access token for an origin, logging in when there is none or it is about to expire
+ * Concurrent callers for the same origin share one login
+ * @param {Object} originConfig - Origin credentials ({ origin, email, password })
+ * @param {Object} options - Token options
+ * @param {boolean} options.forceRefresh - Log in even if the cached token is still valid (default: false)
+ * @param {string} options.reason - Why a login is forced, kept in the token status (default: "forced")
+ * @returns {Promise<string>} Access token
+ */
+export async function getHeroToken(originConfig, options = {}) {
+  const { forceRefresh = false, reason = "forced" } = options;
+  const entry = tokens.get(originConfig.origin);
+
+  if (!forceRefresh && !needsRefresh(entry, originConfig)) {
+    return entry.accessToken;
+  }
+
+  if (!pendingLogins.has(originConfig.origin)) {
+    const loginReason = forceRefresh ? reason : entry?.accessToken ? "expiring" : "initial";
+    const pending = login(originConfig, loginReason).finally(() => pendingLogins.delete(originConfig.origin));
+    pendingLogins.set(originConfig.origin, pending);
+  }
+
+  return pendingLogins.get(originConfig.origin);
+}
+
+/**
+ * Run a Hero call with the origin's cached token
+ * A 401 means the token was revoked or expired early: log in again and retry the call once
+ * @param {Object} originConfig - Origin credentials ({ origin, email, password })
+ * @param {Function} call - async (accessToken) => result
+ * @returns {Promise<*>} Result of the call
+ */
+export async function withHeroToken(originConfig, call) {
+  const token = await getHeroToken(originConfig);
+
+  try {
+    return await call(token);
+  } catch (error) {
+    if (!isUnauthorized(error)) throw error;
+
+    console.log(`[HERO] ${originConfig.origin}: token rejected (401), logging in again`);
+    const freshToken = await getHeroToken(originConfig, { forceRefresh: true, reason: "unauthorized" });
+    return call(freshToken);
+  }
+}
+
+/**
+ * Drop the cached token of an origin (e.g. after its credentials changed)
+ * @param {string} origin - The origin name
+ */
+export function invalidateHeroToken(origin) {
+  const entry = tokens.get(origin);
+  if (entry) entry.accessToken = null;
+}
+
+/**
+ * Token status per origin, without the tokens themselves
+ * @returns {Array<Object>} Status entries
+ */
+export function getTokenStatus() {
+  const now = Date.now();
+
+  return Array.from(tokens.values()).map(entry => ({
+    origin: entry.origin,
+    hasToken: Boolean(entry.accessToken),
+    // Lets two statuses be compared without exposing the token
+    fingerprint: entry.accessToken ? createHash("sha256").update(entry.accessToken).digest("hex").slice(0, 12) : null,
+    obtainedAt: entry.obtainedAt || null,
+    expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+    expiresInSeconds: entry.accessToken ? Math.max(0, Math.round((entry.expiresAt - now) / 1000)) : null,
+    expiryKnown: entry.expiryKnown ?? null,
+    refreshDue: entry.accessToken ? now >= entry.expiresAt - REFRESH_MARGIN_MS : null,
+    loginCount: entry.loginCount,
+    reauthOn401Count: entry.reauthOn401Count,
+    lastLoginReason: entry.lastLoginReason || null,
+    lastError: entry.lastError
+  }));
+}
@@ -0,0 +1,234 @@
+import { randomUUID } from 'crypto';
+import { runOriginAnalysisWithRetry } from './originAnalysisWithRetry.js';
+import { isCancellation } from '../utils/abort.js';
+import { createProgressEmitter, emitProgress, PROGRESS_EVENT } from './progressEvents.js';
+
+/**
+ * Background Job Manager
+ * Runs long origin analyses outside the HTTP request and keeps their status in memory
+ */
+
+const MAX_FINISHED_JOBS = parseInt(process.env.JOBS_HISTORY_LIMIT) || 50;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+/**
+ * Drop the oldest finished jobs beyond the history limit
+ */
+function pruneFinishedJobs() {
+  const finished = Array.from(jobs.values())
+    .filter(job => FINISHED_STATUSES.includes(job.status))
+    .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt));
+
+  while (finished.length > MAX_FINISHED_JOBS) {
+    jobs.delete(finished.shift().id);
+  }
+}
+
+/**
+ * Apply a progress event from the retry pipeline to the job's progress snapshot
+ * @param {Object} job - Job record
+ * @param {Object} event - Progress event
+ */
+function applyProgress(job, event) {
+  const progress = job.progress;
+
+  switch (event.type) {
+    case 'attempt':
+      progress.phase = 'origin-retry';
+      progress.attempt = event.attempt;
+      progress.maxRetries = event.maxRetries;
+      progress.completed = 0;
+      progress.successful = 0;
+      progress.failed = 0;
+      break;
+
+    case 'company':
+      progress.completed = event.completed;
+      progress.total = event.total;
+      progress.successful = event.successful;
+      progress.failed = event.failed;
+      break;
+
+    case 'attempt-complete':
+      progress.bestSuccessful = event.bestSuccessful;
+      break;
+
+    case 'processing':
+      progress.phase = 'processing';
+      break;
+
+    case 'individual-retry':
+      progress.phase = 'individual-retry';
+      progress.individualRetry = {
+        completed: event.index,
+        total: event.total
+      };
+      break;
+
+    default:
+      break;
+  }
+
+  progress.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Start a retry analysis for an origin in the background
+ * @param {string} origin - The origin name
+ * @param {Object} options - Options for runOriginAnalysisWithRetry (signal and progress are managed here)
+ * @returns {Object} The created job
+ */
+export function createJob(origin, options = {}) {
+  const running = Array.from(jobs.values())
+    .find(job => job.origin === origin && !FINISHED_STATUSES.includes(job.status));
+
+  if (running) {
+    const error = new Error(`A job for origin "${origin}" is already ${running.status} (${running.id})`);
+    error.jobId = running.id;
+    throw error;
+  }
+
+  const controller = new AbortController();
+  const progress = createProgressEmitter();
+  const job = {
+    id: randomUUID(),
+    origin,
+    options,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: {
+      phase: 'starting',
+      attempt: 0,
+      maxRetries: options.maxRetries || 6,
+      completed: 0,
+      total: null,
+      successful: 0,
+      failed: 0,
+      updatedAt: new Date().toISOString()
+    },
+    result: null,
+    error: null,
+    controller,
+    // Live progress events, also streamed by GET /api/jobs/:id/stream
+    events: progress
+  };
+
+  jobs.set(job.id, job);
+  progress.on(PROGRESS_EVENT, (event) => applyProgress(job, event));
+
+  runOriginAnalysisWithRetry(origin, {
+    ...options,
+    signal: controller.signal,
+    progress
+  })
+    .then((result) => {
+      job.status = 'completed';
+      job.result = result;
+      job.progress.phase = 'done';
+      console.log(`[JOBS] ${job.id} (${origin}) completed: ${result.summary.successful}/${result.summary.totalCompanies} successful`);
+    })
+    .catch((error) => {
+      if (isCancellation(error)) {
+        job.status = 'cancelled';
+        console.log(`[JOBS] ${job.id} (${origin}) cancelled`);
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        console.error(`[JOBS] ${job.id} (${origin}) failed:`, error.message);
+      }
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      emitProgress(progress, { type: 'job-finished', jobId: job.id, status: job.status, error: job.error });
+      progress.removeAllListeners();
+      pruneFinishedJobs();
+    });
+
+  console.log(`[JOBS] Started job ${job.id} for origin ${origin}`);
+
+  return job;
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} Job record
+ */
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.origin - Only jobs for this origin
+ * @param {string} filters.status - Only jobs with this status
+ * @param {number} filters.limit - Maximum number of jobs (default: 20)
+ * @returns {Array} Job records
+ */
+export function listJobs(filters = {}) {
+  const { origin, status, limit = 20 } = filters;
+
+  return Array.from(jobs.values())
+    .filter(job => !origin || job.origin === origin)
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Cancel a running job
+ * In-flight Fortex requests are aborted and no further attempts are started
+ * @param {string} id - Job id
+ * @returns {Object|null} Job record, or null if not found
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (!FINISHED_STATUSES.includes(job.status)) {
+    job.status = 'cancelling';
+    job.controller.abort();
+  }
+
+  return job;
+}
+
+/**
+ * Check whether a job has finished (completed, failed or cancelled)
+ * @param {Object} job - Job record
+ * @returns {boolean}
+ */
+export function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Convert a job to its public JSON shape
+ * @param {Object} job - Job record
+ * @param {Object} options - Serialization options
+ * @param {boolean} options.includeResult - Include the full analysis result (default: false)
+ * @returns {Object} Serializable job
+ */
+export function serializeJob(job, options = {}) {
+  const { includeResult = false } = options;
+
+  return {
+    id: job.id,
+    origin: job.origin,
+    status: job.status,
+    options: job.options,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    summary: job.result?.summary || null,
+    error: job.error,
+    ...(includeResult ? { result: job.result } : {})
+  };
+}
@@ -0,0 +1,239 @@
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+import { resolveConfigPath, readConfigFileSync, watchConfigFile } from '../utils/configFile.js';
+import { getCompiledRules, validateRulesConfig, compileRule, testMessage } from './filterRules.js';
+import { classifyMessage } from './violationTaxonomy.js';
+
+/**
+ * Unknown Message Discovery
+ * Remaining logs whose errorMessage matches no filter rule (enabled or not) and no entry of the
+ * important-messages allowlist (config/importantMessages.json) are recorded in data/discoveredMessages.json,
+ * so new Fortex message types get noticed before reviewers complain about noise.
+ *
+ * Messages are grouped by a normalized form: dates, times and numbers are replaced by placeholders,
+ * so "DRIVING VIOLATION AT Nov 07, 03:43:00 pm" and the same message on another day count as one.
+ */
+
+const REGISTRY_FILE = 'discoveredMessages.json';
+
+const ALLOWLIST_FILE = process.env.IMPORTANT_MESSAGES_FILE
+  ? path.resolve(process.env.IMPORTANT_MESSAGES_FILE)
+  : resolveConfigPath('importantMessages.json');
+
+const MONTHS = 'JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC';
+
+let registryCache = null;
+let allowlist = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Normalize a message so variants of the same message type group together
+ * @param {string} errorMessage - Message as returned by Fortex
+ * @returns {string} Normalized message
+ */
+export function normalizeMessage(errorMessage) {
+  return (errorMessage || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\d{1,2}:\d{2}(:\d{2})?\s*(AM|PM)?/g, '<TIME>')
+    .replace(new RegExp(`\\b(${MONTHS})[A-Z]*\\.? \\d{1,2}\\b`, 'g'), '<DATE>')
+    .replace(/\d+(\.\d+)?/g, '<N>')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Load the important-messages allowlist (same rule shape as filterRules.json)
+ * A missing file means an empty allowlist
+ */
+function loadAllowlist() {
+  let config;
+  try {
+    config = readConfigFileSync(ALLOWLIST_FILE);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const problems = validateRulesConfig({ rules: config.messages });
+  if (problems.length > 0) {
+    throw new Error(`Invalid important messages in ${ALLOWLIST_FILE}: ${problems.join('; ')}`);
+  }
+
+  return config.messages.map(compileRule).filter(rule => rule.enabled);
+}
+
+function getAllowlist() {
+  if (!allowlist) {
+    allowlist = loadAllowlist();
+  }
+  return allowlist;
+}
+
+/**
+ * Check whether a remaining message is unknown (no filter rule, not allowlisted)
+ * @param {string} errorMessage - Message as returned by Fortex
+ * @returns {boolean}
+ */
+export function isUnknownMessage(errorMessage) {
+  if (!errorMessage || !errorMessage.trim()) return false;
+
+  const known = getCompiledRules().rules.some(rule => rule.test(errorMessage))
+    || getAllowlist().some(rule => rule.test(errorMessage));
+
+  return !known;
+}
+
+/**
+ * Collects unknown messages seen during one processing run
+ * The processor visits shared company objects more than once, so each log is only counted once
+ * @returns {Object} { observe(log, context), discoveries() }
+ */
+export function createDiscoveryCollector() {
+  const seenLogs = new WeakSet();
+  const found = new Map();
+
+  return {
+    observe(log, context) {
+      if (seenLogs.has(log)) return;
+      seenLogs.add(log);
+
+      if (!isUnknownMessage(log.errorMessage)) return;
+
+      const message = normalizeMessage(log.errorMessage);
+      const entry = found.get(message);
+      if (entry) {
+        entry.count++;
+        return;
+      }
+
+      found.set(message, {
+        message,
+        count: 1,
+        sample: {
+          companyId: context.companyId,
+          companyName: context.companyName,
+          driverName: context.driverName,
+          log: { ...log }
+        }
+      });
+    },
+
+    discoveries() {
+      return Array.from(found.values());
+    }
+  };
+}
+
+async function loadRegistry() {
+  if (!registryCache) {
+    registryCache = await readJsonFile(REGISTRY_FILE, { updatedAt: null, messages: {} });
+  }
+  return registryCache;
+}
+
+/**
+ * Merge one run's discoveries into the registry
+ * @param {string} origin - The origin name
+ * @param {Array} discoveries - From createDiscoveryCollector().discoveries()
+ * @returns {Promise<void>}
+ */
+export function recordDiscoveries(origin, discoveries) {
+  if (discoveries.length === 0) return writeQueue;
+
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      const registry = await loadRegistry();
+      const now = new Date().toISOString();
+
+      discoveries.forEach(({ message, count, sample }) => {
+        const entry = registry.messages[message];
+
+        if (!entry) {
+          registry.messages[message] = {
+            message,
+            ...classifyMessage(sample.log.errorMessage),
+            firstSeenAt: now,
+            firstSeenOrigin: origin,
+            lastSeenAt: now,
+            count,
+            origins: { [origin]: count },
+            sample: { origin, ...sample }
+          };
+          console.log(`[DISCOVERY] New message type from ${origin}: ${message}`);
+          return;
+        }
+
+        entry.lastSeenAt = now;
+        entry.count += count;
+        entry.origins[origin] = (entry.origins[origin] || 0) + count;
+      });
+
+      registry.updatedAt = now;
+      await writeJsonFile(REGISTRY_FILE, registry);
+    });
+
+  return writeQueue;
+}
+
+/**
+ * Wait for pending registry writes
+ * @returns {Promise<void>}
+ */
+export function flushDiscoveries() {
+  return writeQueue.catch(() => {});
+}
+
+/**
+ * List discovered messages, most frequent first
+ * Entries that a filter rule or the allowlist now covers are flagged, so they can be ignored
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.origin - Only messages seen in this origin
+ * @param {string} filters.since - Only messages first seen at or after this ISO time
+ * @param {boolean} filters.includeHandled - Include messages that are now filtered or allowlisted (default: false)
+ * @param {number} filters.limit - Maximum number of messages (default: 100)
+ * @returns {Promise<Array>} Registry entries
+ */
+export async function listDiscoveredMessages(filters = {}) {
+  const { origin, since, includeHandled = false, limit = 100 } = filters;
+  const registry = await loadRegistry();
+  const sinceIso = since ? new Date(since).toISOString() : null;
+
+  return Object.values(registry.messages)
+    .filter(entry => !origin || entry.origins[origin])
+    .filter(entry => !sinceIso || entry.firstSeenAt >= sinceIso)
+    .map(entry => {
+      const sampleMessage = entry.sample.log.errorMessage;
+      return {
+        ...entry,
+        handledBy: isUnknownMessage(sampleMessage) ? null : (testMessage(sampleMessage).removedBy || 'allowlist')
+      };
+    })
+    .filter(entry => includeHandled || !entry.handledBy)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+/**
+ * Reload the allowlist whenever its file changes; an invalid file keeps the previous allowlist
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Enable/disable watching (default: true)
+ * @returns {Object|null} { close } handle
+ */
+export function startImportantMessagesWatcher(options = {}) {
+  const { enabled = true } = options;
+
+  getAllowlist();
+  if (!enabled) {
+    return null;
+  }
+
+  return watchConfigFile(ALLOWLIST_FILE, () => {
+    try {
+      allowlist = loadAllowlist();
+      console.log(`[DISCOVERY] Reloaded ${allowlist.length} important messages`);
+    } catch (error) {
+      console.error(`[DISCOVERY] Keeping previous important messages: ${error.message}`);
+    }
+  });
+}
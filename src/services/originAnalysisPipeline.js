@@ -1,5 +1,6 @@
 import { smartAnalyzeForOrigin } from './fortexBatch.js';
 import { processSmartAnalyzeResults } from './smartAnalyzeProcessor.js';
+import { isCancellation } from '../utils/abort.js';
 
 /**
  * Full pipeline for origin analysis
@@ -11,6 +12,15 @@ import { processSmartAnalyzeResults } from './smartAnalyzeProcessor.js';
  * @param {boolean} options.saveRawToFile - Save unprocessed results to file (default: false)
  * @param {boolean} options.saveProcessedToFile - Save processed results to file (default: false)
  * @param {string} options.outputDir - Directory to save results (default: "./results")
+ * @param {Object} options.concurrency - Worker pool overrides passed to smartAnalyzeForOrigin
+ * @param {string} options.strategy - Scheduling strategy: "parallel" or "warmup" (see smartAnalyzeForOrigin)
+ * @param {Object} options.warmup - Warm-up options for the "warmup" strategy
+ * @param {AbortSignal} options.signal - Cancels the run when aborted
+ * @param {EventEmitter} options.progress - Progress emitter for the batch and processor stages
+ * @param {string} options.profile - Filter profile overriding the origin/company assignments (see filterProfiles.js)
+ * @param {Object} options.discovery - Unknown message collector passed to the processor (see messageDiscovery.js)
+ * @param {boolean} options.audit - Record what each filter rule removed per company and driver (see filterAudit.js)
+ * @param {Function} options.onRawResults - Receives a copy of the raw smartAnalyzeForOrigin output before processing
  * @returns {Promise<Object>} Processed results with full statistics
  */
 export async function runOriginAnalysisPipeline(origin, options = {}) {
@@ -18,7 +28,16 @@ export async function runOriginAnalysisPipeline(origin, options = {}) {
     verbose = true,
     saveRawToFile = false,
     saveProcessedToFile = false,
-    outputDir = './results'
+    outputDir = './results',
+    concurrency,
+    strategy,
+    warmup,
+    signal,
+    progress,
+    profile,
+    discovery,
+    audit,
+    onRawResults
   } = options;
 
   try {
@@ -36,7 +55,12 @@ export async function runOriginAnalysisPipeline(origin, options = {}) {
     const rawResults = await smartAnalyzeForOrigin(origin, {
       verbose,
       saveToFile: saveRawToFile,
-      outputDir
+      outputDir,
+      concurrency,
+      strategy,
+      warmup,
+      signal,
+      progress
     });
 
     if (verbose) {
@@ -45,8 +69,13 @@ export async function runOriginAnalysisPipeline(origin, options = {}) {
       console.log('═'.repeat(80));
     }
 
+    // The processor filters in place, so callers that keep the raw output get their own copy
+    if (onRawResults) {
+      onRawResults(structuredClone(rawResults));
+    }
+
     // PHASE 2: Process results (in-memory)
-    const processedResults = processSmartAnalyzeResults(rawResults, { verbose });
+    const processedResults = processSmartAnalyzeResults(rawResults, { verbose, progress, profile, discovery, audit });
 
     // Calculate total pipeline execution time
     const totalExecutionTime = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -108,7 +137,9 @@ export async function runOriginAnalysisPipeline(origin, options = {}) {
     return processedResults;
 
   } catch (error) {
-    console.error(`\n❌ Pipeline failed for origin ${origin}:`, error.message);
+    if (!isCancellation(error)) {
+      console.error(`\n❌ Pipeline failed for origin ${origin}:`, error.message);
+    }
     throw error;
   }
 }
@@ -116,10 +147,12 @@ export async function runOriginAnalysisPipeline(origin, options = {}) {
 /**
  * Convenience function for quick analysis with default settings
  * @param {string} origin - The origin name
+ * @param {Object} options - Extra pipeline options (e.g. strategy, warmup, concurrency)
  * @returns {Promise<Object>} Processed results
  */
-export async function quickAnalyze(origin) {
+export async function quickAnalyze(origin, options = {}) {
   return runOriginAnalysisPipeline(origin, {
+    ...options,
     verbose: true,
     saveRawToFile: false,
     saveProcessedToFile: false
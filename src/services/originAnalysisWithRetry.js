@@ -1,103 +1,477 @@
 import { runOriginAnalysisPipeline } from './originAnalysisPipeline.js';
-import { smartAnalyze } from '../apis/fortex.js';
+import { smartAnalyzeForOrigin } from './fortexBatch.js';
+import { processSmartAnalyzeResults } from './smartAnalyzeProcessor.js';
+import { smartAnalyze, classifyFortexError, isCircuitOpen } from '../apis/fortex.js';
+import { delay, isCancellation } from '../utils/abort.js';
+import { emitProgress } from './progressEvents.js';
+import { recordRun, getLatestRun } from './runHistory.js';
+import { diffRuns } from './violationDiff.js';
+import { createDiscoveryCollector, recordDiscoveries } from './messageDiscovery.js';
+import { saveFilterAudit } from './filterAudit.js';
+import { saveRunResults } from './rawResultStore.js';
+import { getOrigin } from './originRegistry.js';
+import {
+  resolveRetryPolicy,
+  retryDelayMs,
+  remainingBudgetMs,
+  isRetryableFailure,
+  STOP_REASONS
+} from './retryPolicy.js';
+
+/**
+ * Count failed companies per error class (see classifyFortexError in apis/fortex.js)
+ * @param {Array<Object>} failedResults - Failed company entries
+ * @returns {Object} { timeout: 2, server: 1, ... }
+ */
+function countErrorClasses(failedResults = []) {
+  return failedResults.reduce((counts, company) => {
+    const errorClass = company.errorClass || 'unknown';
+    counts[errorClass] = (counts[errorClass] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+function formatErrorClasses(counts) {
+  const parts = Object.entries(counts).map(([errorClass, count]) => `${count} ${errorClass}`);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+/**
+ * Pause before the next origin-level attempt, as long as the policy's budget leaves room for it
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} attempt - The attempt that just finished
+ * @param {Object} options - { startTime, signal, verbose }
+ * @returns {Promise<boolean>} false when the budget is used up and no further attempt should start
+ */
+async function pauseBeforeNextAttempt(policy, attempt, options) {
+  const { startTime, signal, verbose } = options;
+  const pause = retryDelayMs(policy, attempt);
+
+  if (pause >= remainingBudgetMs(policy, startTime)) {
+    return false;
+  }
+
+  if (verbose && pause > 0) {
+    console.log(`Next attempt in ${(pause / 1000).toFixed(1)}s (${policy.backoff} backoff)`);
+  }
+  await delay(pause, signal);
+  return true;
+}
+
+/**
+ * Retry modes for phase 1:
+ * - origin    every attempt re-runs the whole origin and the attempt with the most successes is kept
+ * - targeted  successes are carried forward per company and each attempt only re-requests the companies
+ *             that are still failing; every company records the attempt that produced it (mergedFrom)
+ */
+export const RETRY_MODES = ['origin', 'targeted'];
+
+/**
+ * Phase 1 in "targeted" mode
+ * The first attempt requests every roster company, later attempts only the still-failed ones. A company's
+ * latest success is never thrown away by a later, worse attempt.
+ *
+ * @param {string} origin - The origin name
+ * @param {Object} options - policy, verbose, concurrency, strategy, warmup, signal, progress, and the run's startTime
+ * @returns {Promise<Object>} { raw, attempts, throttleEvents, rounds, stopReason } where raw is the merged
+ *   smartAnalyzeForOrigin output of all attempts
+ */
+async function runTargetedAttempts(origin, options) {
+  const { policy, verbose, concurrency, strategy, warmup, signal, progress, startTime } = options;
+  const maxAttempts = policy.maxAttempts;
+
+  const successes = new Map();
+  const failures = new Map();
+  const rounds = [];
+  // Company ids in roster order and the batch summary, both from the first attempt
+  let order = null;
+  let firstSummary = null;
+  let attempt = 0;
+  let throttleEvents = 0;
+  let stopReason = null;
+
+  while (attempt < maxAttempts) {
+    signal?.throwIfAborted();
+    if (attempt > 0 && isCircuitOpen(origin)) {
+      stopReason = 'circuitOpen';
+      break;
+    }
+    if (attempt > 0 && !(await pauseBeforeNextAttempt(policy, attempt, { startTime, signal, verbose }))) {
+      stopReason = 'budgetExhausted';
+      break;
+    }
+    attempt++;
+
+    // Failures the policy does not retry stay in the result as they are
+    const companyIds = order
+      ? order.filter(id => failures.has(id) && isRetryableFailure(policy, failures.get(id)))
+      : undefined;
+
+    emitProgress(progress, { type: 'attempt', origin, attempt, maxRetries: maxAttempts, requested: companyIds ? companyIds.length : null });
+
+    if (verbose) {
+      console.log(`\n${'─'.repeat(80)}`);
+      console.log(`ATTEMPT ${attempt}/${maxAttempts}${companyIds ? ` (${companyIds.length} still-failed companies)` : ''}`);
+      console.log(`${'─'.repeat(80)}\n`);
+    }
+
+    try {
+      const raw = await smartAnalyzeForOrigin(origin, {
+        verbose,
+        concurrency,
+        strategy,
+        warmup,
+        signal,
+        progress,
+        companyIds
+      });
+
+      throttleEvents += raw.summary.concurrency?.throttleEvents || 0;
+
+      if (!order) {
+        order = raw.allResults.map(company => company.companyId);
+        firstSummary = raw.summary;
+      }
+
+      const mergedFrom = { phase: 'origin', attempt, fetchedAt: new Date().toISOString() };
+      let recovered = 0;
+
+      raw.allResults.forEach(company => {
+        if (company.status === 'success') {
+          if (failures.delete(company.companyId)) recovered++;
+          successes.set(company.companyId, { ...company, mergedFrom });
+        } else {
+          failures.set(company.companyId, { ...company, mergedFrom });
+        }
+      });
+
+      rounds.push({
+        attempt,
+        requested: raw.summary.totalCompanies,
+        successful: raw.summary.successful,
+        failed: raw.summary.failed,
+        recovered
+      });
+
+      emitProgress(progress, {
+        type: 'attempt-complete',
+        origin,
+        attempt,
+        maxRetries: maxAttempts,
+        successful: raw.summary.successful,
+        failed: raw.summary.failed,
+        bestSuccessful: successes.size
+      });
+
+      if (verbose) {
+        console.log(`\nAttempt ${attempt} Summary:`);
+        console.log(`  ✓ Successful: ${raw.summary.successful}${companyIds ? ` (${recovered} recovered)` : ''}`);
+        console.log(`  ✗ Failed: ${raw.summary.failed}${formatErrorClasses(countErrorClasses(raw.failedResults))}`);
+        console.log(`  Carried forward: ${successes.size}/${order.length} successful`);
+      }
+
+      if (failures.size === 0) {
+        stopReason = 'allSucceeded';
+        if (verbose) {
+          console.log(`\n🎉 All companies successful after attempt ${attempt}!`);
+        }
+        break;
+      }
+
+      // An empty attempt means the remaining failures left the roster since the first attempt
+      if (companyIds && (raw.allResults.length === 0 || (policy.stopWhenNoProgress && recovered === 0))) {
+        stopReason = 'noProgress';
+        break;
+      }
+
+      if (![...failures.values()].some(company => isRetryableFailure(policy, company))) {
+        stopReason = 'onlyNonRetryable';
+        break;
+      }
+
+      if (verbose && attempt < maxAttempts) {
+        console.log(`\n⚠️  ${failures.size} companies still failing. Retrying only those...`);
+      }
+
+    } catch (error) {
+      if (isCancellation(error)) {
+        throw error; // Cancelled runs stop immediately
+      }
+      console.error(`Attempt ${attempt} failed with error:`, error.message);
+      if (!order) {
+        throw error; // If first attempt fails completely, throw
+      }
+    }
+  }
+
+  const allResults = order
+    .map(id => successes.get(id) || failures.get(id))
+    .filter(Boolean);
+  const successfulResults = allResults.filter(company => company.status === 'success');
+  const failedResults = allResults.filter(company => company.status === 'failed');
+  const executionTime = (Date.now() - options.startTime) / 1000;
+
+  return {
+    raw: {
+      summary: {
+        ...firstSummary,
+        totalCompanies: allResults.length,
+        successful: successfulResults.length,
+        failed: failedResults.length,
+        successRate: `${((successfulResults.length / Math.max(allResults.length, 1)) * 100).toFixed(2)}%`,
+        executionTime: `${executionTime.toFixed(2)}s`,
+        averageTimePerCompany: `${(executionTime / Math.max(allResults.length, 1)).toFixed(2)}s`
+      },
+      successfulResults,
+      failedResults,
+      allResults
+    },
+    attempts: attempt,
+    throttleEvents,
+    rounds,
+    stopReason: stopReason || 'maxAttempts'
+  };
+}
 
 /**
  * Run origin analysis with automatic retries until all companies succeed
  *
  * @param {string} origin - The origin name
  * @param {Object} options - Configuration options
- * @param {number} options.maxRetries - Maximum number of full origin retries (default: 6)
+ * @param {number} options.maxRetries - Maximum number of full origin retries; overrides the policy's maxAttempts
+ * @param {Object} options.retryPolicy - Retry policy fields for this run, layered over the origin's policy (see retryPolicy.js)
+ * @param {string} options.retryMode - "origin" or "targeted" (see RETRY_MODES; default: RETRY_MODE env var, else "origin")
  * @param {boolean} options.verbose - Enable detailed logging (default: true)
  * @param {boolean} options.retryFailedIndividually - After max retries, retry failed companies one by one (default: true)
  * @param {boolean} options.saveProcessedToFile - Save final results to file (default: false)
+ * @param {Object} options.concurrency - Worker pool overrides passed to smartAnalyzeForOrigin
+ * @param {string} options.strategy - Scheduling strategy: "parallel" or "warmup" (see smartAnalyzeForOrigin)
+ * @param {Object} options.warmup - Warm-up options for the "warmup" strategy
+ * @param {AbortSignal} options.signal - Cancels the run (including in-flight requests) when aborted
+ * @param {EventEmitter} options.progress - Progress emitter (see progressEvents.js for the event types)
+ * @param {string} options.profile - Filter profile overriding the origin/company assignments (see filterProfiles.js)
+ * @param {boolean} options.recordHistory - Store the final result in the run history and diff it against the previous run (default: true)
+ * @param {string} options.source - What started the run, stored with the history record (default: "api")
+ * @param {boolean} options.audit - Record what each filter rule removed per company and driver; stored as the origin's
+ *   latest audit when the run is recorded (default: FILTER_AUDIT env var, else false)
+ * @param {boolean} options.keepRaw - Store the raw Fortex results next to the processed result so the run can be
+ *   reprocessed later (see rawResultStore.js; default: KEEP_RAW_RESULTS env var, else false)
  * @returns {Promise<Object>} Final processed results with all companies
  */
 export async function runOriginAnalysisWithRetry(origin, options = {}) {
   const {
-    maxRetries = 6,
+    maxRetries,
+    retryPolicy,
+    retryMode = process.env.RETRY_MODE || 'origin',
     verbose = true,
     retryFailedIndividually = true,
-    saveProcessedToFile = false
+    saveProcessedToFile = false,
+    concurrency,
+    strategy,
+    warmup,
+    signal,
+    progress,
+    profile,
+    recordHistory = true,
+    source = 'api',
+    audit = process.env.FILTER_AUDIT === 'true',
+    keepRaw = process.env.KEEP_RAW_RESULTS === 'true'
   } = options;
 
+  if (!RETRY_MODES.includes(retryMode)) {
+    throw new Error(`Unknown retry mode "${retryMode}". Available modes: ${RETRY_MODES.join(', ')}`);
+  }
+
+  const originEntry = await getOrigin(origin);
+  const policy = resolveRetryPolicy(
+    originEntry?.retryPolicy,
+    retryPolicy,
+    maxRetries !== undefined ? { maxAttempts: maxRetries } : null
+  );
+  const maxAttempts = policy.maxAttempts;
+
   if (verbose) {
     console.log('\n' + '═'.repeat(80));
     console.log(`ORIGIN ANALYSIS WITH RETRY: ${origin}`);
     console.log('═'.repeat(80));
-    console.log(`Max retries: ${maxRetries}`);
+    console.log(`Max retries: ${maxAttempts}`);
+    console.log(`Retry mode: ${retryMode}`);
+    console.log(`Backoff: ${policy.backoff} from ${policy.baseDelayMs / 1000}s, budget: ${policy.budgetMs === null ? 'none' : `${policy.budgetMs / 1000}s`}`);
     console.log(`Individual retry: ${retryFailedIndividually ? 'enabled' : 'disabled'}`);
+    console.log(`Strategy: ${strategy || process.env.FORTEX_STRATEGY || 'parallel'}`);
     console.log('═'.repeat(80) + '\n');
   }
 
   const startTime = Date.now();
+  const startedAt = new Date(startTime).toISOString();
   let bestResult = null;
+  let bestDiscovery = null;
+  let bestRaw = null;
   let attempt = 0;
+  let throttleEvents = 0;
+  let rounds = null;
+  let stopReason = null;
+
+  if (retryMode === 'targeted') {
+    // Phase 1: Re-request only the still-failed companies, carrying successes forward
+    const targeted = await runTargetedAttempts(origin, {
+      policy, verbose, concurrency, strategy, warmup, signal, progress, startTime
+    });
+
+    attempt = targeted.attempts;
+    throttleEvents = targeted.throttleEvents;
+    rounds = targeted.rounds;
+    stopReason = targeted.stopReason;
+
+    // The merged data is processed once; the processor filters in place, so keep the raw copy first
+    bestRaw = keepRaw ? structuredClone(targeted.raw) : null;
+    bestDiscovery = createDiscoveryCollector();
+    bestResult = processSmartAnalyzeResults(targeted.raw, { verbose, progress, profile, discovery: bestDiscovery, audit });
+  } else {
+    // Phase 1: Retry entire origin until no failures or max retries
+    while (attempt < maxAttempts) {
+      signal?.throwIfAborted();
+      // Fortex is failing for this origin: further attempts would only be rejected by the breaker
+      if (attempt > 0 && isCircuitOpen(origin)) {
+        stopReason = 'circuitOpen';
+        break;
+      }
+      if (attempt > 0 && !(await pauseBeforeNextAttempt(policy, attempt, { startTime, signal, verbose }))) {
+        stopReason = 'budgetExhausted';
+        break;
+      }
+      attempt++;
 
-  // Phase 1: Retry entire origin until no failures or max retries
-  while (attempt < maxRetries) {
-    attempt++;
+      emitProgress(progress, { type: 'attempt', origin, attempt, maxRetries: maxAttempts });
 
-    if (verbose) {
-      console.log(`\n${'─'.repeat(80)}`);
-      console.log(`ATTEMPT ${attempt}/${maxRetries}`);
-      console.log(`${'─'.repeat(80)}\n`);
-    }
+      if (verbose) {
+        console.log(`\n${'─'.repeat(80)}`);
+        console.log(`ATTEMPT ${attempt}/${maxAttempts}`);
+        console.log(`${'─'.repeat(80)}\n`);
+      }
 
-    try {
-      const result = await runOriginAnalysisPipeline(origin, {
-        verbose,
-        saveRawToFile: false,
-        saveProcessedToFile: false
-      });
+      // Unknown messages are collected per attempt and only recorded for the kept result
+      const discovery = createDiscoveryCollector();
+      let attemptRaw = null;
 
-      // Keep track of best result (most successful companies)
-      if (!bestResult || result.summary.successful > bestResult.summary.successful) {
-        bestResult = result;
-      }
+      try {
+        const result = await runOriginAnalysisPipeline(origin, {
+          verbose,
+          saveRawToFile: false,
+          saveProcessedToFile: false,
+          concurrency,
+          strategy,
+          warmup,
+          signal,
+          progress,
+          profile,
+          discovery,
+          audit,
+          onRawResults: keepRaw ? (raw) => { attemptRaw = raw; } : undefined
+        });
 
-      const failedCount = result.summary.failed;
+        throttleEvents += result.summary.concurrency?.throttleEvents || 0;
 
-      if (verbose) {
-        console.log(`\nAttempt ${attempt} Summary:`);
-        console.log(`  ✓ Successful: ${result.summary.successful}`);
-        console.log(`  ✗ Failed: ${failedCount}`);
-        console.log(`  Success rate: ${result.summary.successRate}`);
-      }
+        const previousBestSuccessful = bestResult ? bestResult.summary.successful : null;
+
+        // Keep track of best result (most successful companies)
+        if (!bestResult || result.summary.successful > bestResult.summary.successful) {
+          bestResult = result;
+          bestDiscovery = discovery;
+          bestRaw = attemptRaw;
+        }
+
+        const failedCount = result.summary.failed;
+
+        emitProgress(progress, {
+          type: 'attempt-complete',
+          origin,
+          attempt,
+          maxRetries: maxAttempts,
+          successful: result.summary.successful,
+          failed: failedCount,
+          bestSuccessful: bestResult.summary.successful
+        });
 
-      // If no failures, we're done!
-      if (failedCount === 0) {
         if (verbose) {
-          console.log(`\n🎉 All companies successful on attempt ${attempt}!`);
+          console.log(`\nAttempt ${attempt} Summary:`);
+          console.log(`  ✓ Successful: ${result.summary.successful}`);
+          console.log(`  ✗ Failed: ${failedCount}${formatErrorClasses(countErrorClasses(result.failedResults))}`);
+          console.log(`  Success rate: ${result.summary.successRate}`);
         }
-        break;
-      }
 
-      if (verbose && attempt < maxRetries) {
-        console.log(`\n⚠️  ${failedCount} companies failed. Retrying entire origin...`);
-        await delay(2000); // Small delay before retry
-      }
+        // If no failures, we're done!
+        if (failedCount === 0) {
+          stopReason = 'allSucceeded';
+          if (verbose) {
+            console.log(`\n🎉 All companies successful on attempt ${attempt}!`);
+          }
+          break;
+        }
 
-    } catch (error) {
-      console.error(`Attempt ${attempt} failed with error:`, error.message);
-      if (!bestResult) {
-        throw error; // If first attempt fails completely, throw
+        // No attempt after the first beat the kept one
+        if (policy.stopWhenNoProgress && previousBestSuccessful !== null && result.summary.successful <= previousBestSuccessful) {
+          stopReason = 'noProgress';
+          break;
+        }
+
+        if (!bestResult.failedResults.some(company => isRetryableFailure(policy, company))) {
+          stopReason = 'onlyNonRetryable';
+          break;
+        }
+
+        if (verbose && attempt < maxAttempts) {
+          console.log(`\n⚠️  ${failedCount} companies failed. Retrying entire origin...`);
+        }
+
+      } catch (error) {
+        if (isCancellation(error)) {
+          throw error; // Cancelled runs stop immediately
+        }
+        console.error(`Attempt ${attempt} failed with error:`, error.message);
+        if (!bestResult) {
+          throw error; // If first attempt fails completely, throw
+        }
       }
     }
   }
 
+  stopReason = stopReason || 'maxAttempts';
+
   // Phase 2: Individual retry for remaining failures (if enabled)
-  if (retryFailedIndividually && bestResult.summary.failed > 0) {
+  const failedCompanies = bestResult.failedResults.filter(company => isRetryableFailure(policy, company));
+  const skippedNonRetryable = bestResult.failedResults.length - failedCompanies.length;
+  let individualStopReason = null;
+
+  if (retryFailedIndividually && failedCompanies.length > 0) {
     if (verbose) {
       console.log('\n' + '═'.repeat(80));
       console.log(`INDIVIDUAL RETRY PHASE`);
       console.log('═'.repeat(80));
-      console.log(`Retrying ${bestResult.summary.failed} failed companies individually...\n`);
+      console.log(`Retrying ${failedCompanies.length} failed companies individually...`);
+      if (skippedNonRetryable > 0) {
+        console.log(`Skipping ${skippedNonRetryable} non-retryable failures (${policy.nonRetryableClasses.join(', ')})`);
+      }
+      console.log('');
     }
 
-    const failedCompanies = bestResult.failedResults;
     const individualRetries = [];
+    // Targeted runs record where every company's data came from, including this phase
+    const individualProvenance = () => retryMode === 'targeted'
+      ? { mergedFrom: { phase: 'individual', attempt: null, fetchedAt: new Date().toISOString() } }
+      : {};
+
+    emitProgress(progress, { type: 'individual-start', origin, total: failedCompanies.length });
 
     for (let i = 0; i < failedCompanies.length; i++) {
+      signal?.throwIfAborted();
+      if (remainingBudgetMs(policy, startTime) <= 0 || isCircuitOpen(origin)) {
+        individualStopReason = isCircuitOpen(origin) ? 'circuitOpen' : 'budgetExhausted';
+        if (verbose) {
+          console.log(`Stopping: ${STOP_REASONS[individualStopReason]}, ${failedCompanies.length - i} companies not retried`);
+        }
+        break;
+      }
       const company = failedCompanies[i];
 
       if (verbose) {
@@ -105,13 +479,14 @@ export async function runOriginAnalysisWithRetry(origin, options = {}) {
       }
 
       try {
-        const data = await smartAnalyze(origin, company.companyId);
+        const data = await smartAnalyze(origin, company.companyId, { signal });
 
         individualRetries.push({
           status: 'success',
           companyName: company.companyName,
           companyId: company.companyId,
-          data: data
+          data: data,
+          ...individualProvenance()
         });
 
         if (verbose) {
@@ -119,26 +494,45 @@ export async function runOriginAnalysisWithRetry(origin, options = {}) {
         }
 
       } catch (error) {
+        signal?.throwIfAborted();
         if (verbose) {
-          console.log(`  ✗ Still failed: ${error.message}`);
+          console.log(`  ✗ Still failed (${classifyFortexError(error)}): ${error.message}`);
         }
         individualRetries.push({
           status: 'failed',
           companyName: company.companyName,
           companyId: company.companyId,
-          error: error.message
+          error: error.message,
+          errorClass: classifyFortexError(error),
+          httpStatus: error.response?.status ?? null,
+          errorDetails: error.response?.data || null,
+          ...individualProvenance()
         });
       }
 
+      emitProgress(progress, {
+        type: 'individual-retry',
+        origin,
+        index: i + 1,
+        total: failedCompanies.length,
+        companyId: company.companyId,
+        companyName: company.companyName,
+        status: individualRetries[individualRetries.length - 1].status
+      });
+
       // Small delay between individual retries
       if (i < failedCompanies.length - 1) {
-        await delay(1000);
+        await delay(policy.individualDelayMs, signal);
       }
     }
 
     // Merge individual successes back into bestResult
     const newSuccesses = individualRetries.filter(r => r.status === 'success');
-    const stillFailed = individualRetries.filter(r => r.status === 'failed');
+    // Companies that were skipped or not reached keep their phase 1 failure
+    const retriedById = new Map(individualRetries.map(r => [r.companyId, r]));
+    const stillFailed = bestResult.failedResults
+      .map(company => retriedById.get(company.companyId) || company)
+      .filter(company => company.status === 'failed');
 
     if (newSuccesses.length > 0) {
       if (verbose) {
@@ -157,9 +551,18 @@ export async function runOriginAnalysisWithRetry(origin, options = {}) {
         ...bestResult.failedResults
       ];
 
+      // Same merge on the kept raw results, before the processor filters the new successes in place
+      if (bestRaw) {
+        bestRaw.successfulResults.push(...structuredClone(newSuccesses));
+        bestRaw.failedResults = structuredClone(stillFailed);
+        bestRaw.allResults = [...bestRaw.successfulResults, ...bestRaw.failedResults];
+        bestRaw.summary.successful = bestRaw.successfulResults.length;
+        bestRaw.summary.failed = bestRaw.failedResults.length;
+      }
+
       // Reprocess the merged data through filters
-      const { processSmartAnalyzeResults } = await import('./smartAnalyzeProcessor.js');
-      bestResult = processSmartAnalyzeResults(bestResult, { verbose });
+      bestDiscovery = createDiscoveryCollector();
+      bestResult = processSmartAnalyzeResults(bestResult, { verbose, progress, profile, discovery: bestDiscovery, audit });
 
       // Update summary
       bestResult.summary.successful = bestResult.successfulResults.length;
@@ -172,11 +575,25 @@ export async function runOriginAnalysisWithRetry(origin, options = {}) {
   // Calculate total execution time
   const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
+  // Everything recovered in phase 2 overrides the phase 1 reason, and so does a phase 2 cut short
+  const finalStopReason = bestResult.summary.failed === 0
+    ? 'allSucceeded'
+    : individualStopReason || stopReason;
+
   // Add retry metadata to summary
   bestResult.summary.retryMetadata = {
+    mode: retryMode,
     totalAttempts: attempt,
-    maxRetries,
+    maxRetries: maxAttempts,
     individualRetryUsed: retryFailedIndividually,
+    stopReason: finalStopReason,
+    stopDetail: STOP_REASONS[finalStopReason],
+    skippedNonRetryable,
+    policy,
+    throttleEvents,
+    // Why the remaining companies failed, per error class
+    failureClasses: countErrorClasses(bestResult.failedResults),
+    ...(rounds ? { rounds } : {}),
     totalExecutionTime: `${totalTime}s`
   };
 
@@ -200,13 +617,67 @@ export async function runOriginAnalysisWithRetry(origin, options = {}) {
     }
   }
 
+  // Record the run; a history failure must not lose the analysis itself
+  if (recordHistory) {
+    try {
+      // Classify violations as new / persisting / resolved against the previous run
+      const previousRun = await getLatestRun(origin);
+      bestResult.changes = diffRuns(previousRun, bestResult);
+      bestResult.summary.changes = {
+        previousRunId: bestResult.changes.previousRunId,
+        ...bestResult.changes.totals
+      };
+    } catch (error) {
+      console.error(`Failed to compare ${origin} with the previous run:`, error.message);
+    }
+
+    try {
+      const runId = await recordRun(bestResult, { source, startedAt });
+      if (bestResult.changes) {
+        bestResult.changes.currentRunId = runId;
+      }
+      if (verbose) {
+        console.log(`✓ Run recorded in history: ${runId}`);
+      }
+    } catch (error) {
+      console.error(`Failed to record run history for ${origin}:`, error.message);
+    }
+
+    if (bestRaw && bestResult.summary.runId) {
+      try {
+        await saveRunResults(origin, bestResult.summary.runId, { raw: bestRaw, processed: bestResult });
+        if (verbose) {
+          console.log(`✓ Raw and processed results stored for reprocessing`);
+        }
+      } catch (error) {
+        console.error(`Failed to store raw results for ${origin}:`, error.message);
+      }
+    }
+
+    if (bestResult.filterAudit) {
+      try {
+        await saveFilterAudit(origin, bestResult.filterAudit, { runId: bestResult.summary.runId || null });
+      } catch (error) {
+        console.error(`Failed to save filter audit for ${origin}:`, error.message);
+      }
+    }
+  }
+
+  // Unknown error messages of the kept result only, so retries do not inflate the counts
+  try {
+    await recordDiscoveries(origin, bestDiscovery.discoveries());
+  } catch (error) {
+    console.error(`Failed to record unknown messages for ${origin}:`, error.message);
+  }
+
   // Final summary
   if (verbose) {
     console.log('\n' + '═'.repeat(80));
     console.log('FINAL SUMMARY');
     console.log('═'.repeat(80));
     console.log(`Origin:                ${origin}`);
-    console.log(`Total attempts:        ${attempt}/${maxRetries}`);
+    console.log(`Total attempts:        ${attempt}/${maxAttempts}`);
+    console.log(`Stopped because:       ${STOP_REASONS[finalStopReason]}`);
     console.log(`Total execution time:  ${totalTime}s`);
     console.log(`Companies total:       ${bestResult.summary.totalCompanies}`);
     console.log(`Companies successful:  ${bestResult.summary.successful}`);
@@ -220,10 +691,15 @@ export async function runOriginAnalysisWithRetry(origin, options = {}) {
       console.log(`Logs remaining:        ${stats.remainingLogs.toLocaleString()}`);
     }
 
+    if (bestResult.summary.changes) {
+      const changes = bestResult.summary.changes;
+      console.log(`Since previous run:    ${changes.new} new, ${changes.persisting} persisting, ${changes.resolved} resolved`);
+    }
+
     if (bestResult.summary.failed > 0) {
       console.log(`\n⚠️  WARNING: ${bestResult.summary.failed} companies still failed after all retries:`);
       bestResult.failedResults.forEach((company, index) => {
-        console.log(`  ${index + 1}. ${company.companyName} - ${company.error}`);
+        console.log(`  ${index + 1}. ${company.companyName} - ${company.errorClass || 'unknown'}: ${company.error}`);
       });
     } else {
       console.log(`\n🎉 SUCCESS: All companies processed successfully!`);
@@ -232,14 +708,9 @@ export async function runOriginAnalysisWithRetry(origin, options = {}) {
     console.log('═'.repeat(80) + '\n');
   }
 
-  return bestResult;
-}
+  emitProgress(progress, { type: 'summary', origin, summary: bestResult.summary });
 
-/**
- * Helper function to add delay
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return bestResult;
 }
 
 /**
@@ -0,0 +1,287 @@
+import { readJsonFile, writeJsonFile } from "../utils/dataStore.js";
+import { retryPolicyProblems } from "./retryPolicy.js";
+
+/**
+ * Origin Registry
+ * The Hero origins this server works with, stored in data/origins.json and editable at runtime
+ * (see the /api/admin/origins endpoints):
+ *
+ *   {
+ *     "origin": "HERO2",
+ *     "displayName": "Hero 2 (East)",
+ *     "enabled": true,
+ *     "tags": ["east"],
+ *     "email": "...",
+ *     "password": "...",
+ *     "retryPolicy": { "backoff": "exponential", "budgetMs": 1800000 }
+ *   }
+ *
+ * On first use the registry is seeded from the numbered ORIGINn / EMAILn / PASSWORDn environment variables
+ * (any number of them); afterwards the store is the source of truth. Disabled origins are skipped by the
+ * scheduled jobs (roster sync, cron analysis) but can still be analyzed on request. `retryPolicy` (optional) holds
+ * the origin's retry policy fields (see retryPolicy.js); requests can override them per run.
+ *
+ * The file holds the passwords in plain text and must be treated as a secret; every save writes it with owner-only
+ * permissions (0600). Entries returned by this module
+ * carry `hasPassword` instead; only getOriginCredentials() hands out the login.
+ */
+
+const ORIGINS_FILE = "origins.json";
+// Owner-only: the file holds the Hero passwords
+const ORIGINS_FILE_MODE = 0o600;
+
+const ORIGIN_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const UPDATABLE_FIELDS = ["displayName", "enabled", "tags", "email", "password", "retryPolicy"];
+
+let registryCache = null;
+let registryLoad = null;
+let writeQueue = Promise.resolve();
+
+function validationError(message, problems) {
+  const error = new Error(`${message}: ${problems.join("; ")}`);
+  error.validationErrors = problems;
+  return error;
+}
+
+/**
+ * Origins from the numbered environment variables, in numeric order
+ * @returns {Array<Object>} Registry entries
+ */
+function originsFromEnv() {
+  return Object.keys(process.env)
+    .map(name => name.match(/^ORIGIN(\d+)$/))
+    .filter(match => match && process.env[match[0]])
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b)
+    .map(index => ({
+      origin: process.env[`ORIGIN${index}`],
+      displayName: process.env[`ORIGIN${index}`],
+      enabled: true,
+      tags: [],
+      email: process.env[`EMAIL${index}`] || "",
+      password: process.env[`PASSWORD${index}`] || ""
+    }));
+}
+
+/**
+ * Fill in optional fields a hand-edited entry may leave out
+ * @param {Object} entry - Stored entry
+ * @returns {Object} Entry with enabled, tags, displayName and retryPolicy set
+ */
+function normalizeEntry(entry) {
+  return {
+    ...entry,
+    displayName: entry.displayName || entry.origin,
+    enabled: entry.enabled ?? true,
+    tags: Array.isArray(entry.tags) ? entry.tags : [],
+    retryPolicy: entry.retryPolicy ?? null
+  };
+}
+
+/**
+ * Load the registry, seeding it from the environment on first use
+ * @returns {Promise<Object>} Registry ({ updatedAt, origins: [entry] })
+ */
+function loadRegistry() {
+  if (registryCache) return Promise.resolve(registryCache);
+
+  // Concurrent first calls share one load, so none of them ends up with a registry object that is later replaced
+  if (!registryLoad) {
+    registryLoad = readRegistry()
+      .finally(() => {
+        registryLoad = null;
+      });
+  }
+  return registryLoad;
+}
+
+async function readRegistry() {
+  const stored = await readJsonFile(ORIGINS_FILE);
+  if (stored) {
+    registryCache = { ...stored, origins: (stored.origins || []).map(normalizeEntry) };
+    return registryCache;
+  }
+
+  const now = new Date().toISOString();
+  registryCache = {
+    updatedAt: null,
+    origins: originsFromEnv().map(entry => ({ ...entry, createdAt: now, updatedAt: now }))
+  };
+
+  if (registryCache.origins.length > 0) {
+    console.log(`[ORIGINS] Seeded origin registry with ${registryCache.origins.length} origins from ORIGINn environment variables`);
+    await saveRegistry();
+  }
+
+  return registryCache;
+}
+
+/**
+ * Persist the registry (writes are serialized)
+ */
+function saveRegistry() {
+  registryCache.updatedAt = new Date().toISOString();
+  const snapshot = JSON.parse(JSON.stringify(registryCache));
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => writeJsonFile(ORIGINS_FILE, snapshot, { mode: ORIGINS_FILE_MODE }));
+  return writeQueue;
+}
+
+/**
+ * Validate origin fields
+ * @param {Object} fields - Fields to check
+ * @param {boolean} partial - Only check the fields that are present (updates)
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateOriginFields(fields, partial) {
+  const problems = [];
+  const present = (field) => fields[field] !== undefined;
+
+  if (!partial || present("origin")) {
+    if (typeof fields.origin !== "string" || !ORIGIN_NAME_PATTERN.test(fields.origin)) {
+      problems.push('"origin" must be a name of letters, digits, "_" or "-"');
+    }
+  }
+
+  ["email", "password"].forEach(field => {
+    if ((!partial || present(field)) && (typeof fields[field] !== "string" || !fields[field])) {
+      problems.push(`"${field}" must be a non-empty string`);
+    }
+  });
+
+  if (present("displayName") && (typeof fields.displayName !== "string" || !fields.displayName.trim())) {
+    problems.push('"displayName" must be a non-empty string');
+  }
+  if (present("enabled") && typeof fields.enabled !== "boolean") {
+    problems.push('"enabled" must be true or false');
+  }
+  if (present("tags") && (!Array.isArray(fields.tags) || fields.tags.some(tag => typeof tag !== "string"))) {
+    problems.push('"tags" must be an array of strings');
+  }
+  if (present("retryPolicy")) {
+    problems.push(...retryPolicyProblems(fields.retryPolicy));
+  }
+
+  return problems;
+}
+
+/**
+ * List registered origins, in registry order
+ * Entries never include the password (see getOriginCredentials)
+ * @param {Object} filters - Optional filters
+ * @param {boolean} filters.includeDisabled - Also return disabled origins (default: false)
+ * @param {string} filters.tag - Only origins with this tag
+ * @returns {Promise<Array<Object>>} Origin entries (copies)
+ */
+export async function listOrigins(filters = {}) {
+  const { includeDisabled = false, tag } = filters;
+  const registry = await loadRegistry();
+
+  return registry.origins
+    .filter(entry => includeDisabled || entry.enabled)
+    .filter(entry => !tag || entry.tags.includes(tag))
+    .map(redactOrigin);
+}
+
+/**
+ * Get one origin, enabled or not
+ * @param {string} origin - The origin name
+ * @returns {Promise<Object|null>} Origin entry (copy), or null if it is not registered
+ */
+export async function getOrigin(origin) {
+  const registry = await loadRegistry();
+  const entry = registry.origins.find(o => o.origin === origin);
+  return entry ? redactOrigin(entry) : null;
+}
+
+/**
+ * Hero login of an origin; the only way the password leaves the registry
+ * @param {string} origin - The origin name
+ * @returns {Promise<Object|null>} { origin, email, password }, or null if it is not registered
+ */
+export async function getOriginCredentials(origin) {
+  const registry = await loadRegistry();
+  const entry = registry.origins.find(o => o.origin === origin);
+  return entry ? { origin: entry.origin, email: entry.email, password: entry.password } : null;
+}
+
+/**
+ * Register a new origin
+ * @param {Object} input - { origin, email, password, displayName, enabled, tags, retryPolicy }
+ * @returns {Promise<Object>} The new entry
+ */
+export async function addOrigin(input = {}) {
+  const problems = validateOriginFields(input, false);
+  const unknownFields = Object.keys(input).filter(field => field !== "origin" && !UPDATABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    problems.push(`unknown field(s) ${unknownFields.join(", ")}`);
+  }
+  if (problems.length > 0) {
+    throw validationError("Invalid origin", problems);
+  }
+
+  const registry = await loadRegistry();
+  if (registry.origins.some(o => o.origin === input.origin)) {
+    throw validationError("Invalid origin", [`origin "${input.origin}" already exists`]);
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    origin: input.origin,
+    displayName: input.displayName?.trim() || input.origin,
+    enabled: input.enabled ?? true,
+    tags: input.tags || [],
+    email: input.email,
+    password: input.password,
+    retryPolicy: input.retryPolicy || null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  registry.origins.push(entry);
+  await saveRegistry();
+
+  return redactOrigin(entry);
+}
+
+/**
+ * Update an origin (the name itself cannot change)
+ * @param {string} origin - The origin name
+ * @param {Object} changes - Any of displayName, enabled, tags, email, password, retryPolicy (null clears it)
+ * @returns {Promise<Object|null>} The updated entry, or null if the origin is not registered
+ */
+export async function updateOrigin(origin, changes = {}) {
+  const problems = validateOriginFields(changes, true);
+  const unknownFields = Object.keys(changes).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    problems.push(`cannot update field(s) ${unknownFields.join(", ")}`);
+  }
+  if (problems.length > 0) {
+    throw validationError("Invalid origin changes", problems);
+  }
+
+  const registry = await loadRegistry();
+  const entry = registry.origins.find(o => o.origin === origin);
+  if (!entry) return null;
+
+  UPDATABLE_FIELDS
+    .filter(field => changes[field] !== undefined)
+    .forEach(field => {
+      entry[field] = field === "displayName" ? changes[field].trim() : changes[field];
+    });
+  entry.updatedAt = new Date().toISOString();
+  await saveRegistry();
+
+  return redactOrigin(entry);
+}
+
+/**
+ * Copy of an origin entry without its password, safe for API responses and logs
+ * @param {Object} entry - Stored origin entry
+ * @returns {Object} Entry with hasPassword instead of password
+ */
+function redactOrigin(entry) {
+  const { password, ...rest } = entry;
+  return { ...rest, tags: [...entry.tags], hasPassword: Boolean(password) };
+}
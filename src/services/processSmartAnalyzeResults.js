@@ -1,358 +1,234 @@
-import fs from 'fs';
+import fs from 'fs/promises';
 import path from 'path';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
+import { processSmartAnalyzeResults } from './smartAnalyzeProcessor.js';
+import { assertProfile } from './filterProfiles.js';
+import { mergeRawResults, rawResultProblem } from './resultMerge.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 /**
- * Process smart analyze results through multiple filters
- * Usage: node src/services/processSmartAnalyzeResults.js <input-file> [output-file]
+ * Process saved smart analyze result files with the same processor the server uses (smartAnalyzeProcessor.js)
+ * Several files, or a directory of them, are merged per origin first (see resultMerge.js).
+ *
+ * Usage:
+ *   node src/services/processSmartAnalyzeResults.js <input-file> [output-file]
+ *   node src/services/processSmartAnalyzeResults.js <file|dir...> [--output <file>] [--output-dir <dir>]
+ *
+ * Also available as `napoleon process` (see src/cli/napoleon.js)
  */
 
-// Get input/output files from command line arguments
-const args = process.argv.slice(2);
-if (args.length === 0) {
-  console.error('Usage: node src/services/processSmartAnalyzeResults.js <input-file> [output-file]');
-  console.error('Example: node src/services/processSmartAnalyzeResults.js src/services/results/HERO2_smart_analyze_2025-11-07T21-02-08-898Z.json');
-  process.exit(1);
-}
+const PROCESSED_SUFFIX = '_processed.json';
 
-const inputFile = path.resolve(args[0]);
-const outputFile = args[1]
-  ? path.resolve(args[1])
-  : inputFile.replace('.json', '_processed.json');
-
-console.log('='.repeat(80));
-console.log('SMART ANALYZE RESULTS PROCESSOR');
-console.log('='.repeat(80));
-console.log(`Input:  ${inputFile}`);
-console.log(`Output: ${outputFile}`);
-console.log('='.repeat(80));
-
-// Check if input file exists
-if (!fs.existsSync(inputFile)) {
-  console.error(`Error: Input file not found: ${inputFile}`);
-  process.exit(1);
+/**
+ * Default output path: the input file name with a "_processed" suffix
+ * @param {string} inputFile - Input file path
+ * @returns {string} Output file path
+ */
+export function defaultOutputFile(inputFile) {
+  return inputFile.replace(/\.json$/, '') + PROCESSED_SUFFIX;
 }
 
-// Read input file
-console.log('\n[1/5] Reading input file...');
-const data = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
-console.log(`✓ File loaded (${(fs.statSync(inputFile).size / 1024 / 1024).toFixed(2)} MB)`);
-
-// Statistics
-let stats = {
-  totalLogsProcessed: 0,
-  totalLogsRemoved: 0,
-  warningsRemoved: {
-    sequentialIdBreak: 0,
-    // Add more warning types here
-  },
-  companiesProcessed: 0,
-  driversProcessed: 0
-};
+async function readResultFile(inputFile) {
+  try {
+    return JSON.parse(await fs.readFile(inputFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Input file not found: ${inputFile}`);
+    if (error instanceof SyntaxError) throw new Error(`Invalid JSON in ${inputFile}: ${error.message}`);
+    throw error;
+  }
+}
 
 /**
- * FILTER 1: Remove duplicate companies
+ * Expand directories into the raw result files they contain (earlier output files are skipped)
+ * @param {Array<string>} inputs - Files and directories
+ * @returns {Promise<Object>} { files, fromDirectory }
  */
-console.log('\n[2/5] Removing duplicate companies...');
-function removeDuplicateCompanies(results) {
-  if (!results || results.length === 0) return results;
-
-  const originalCount = results.length;
-  const uniqueCompanies = new Map();
+async function expandInputs(inputs) {
+  const files = [];
+  let fromDirectory = false;
+
+  for (const input of inputs.map(entry => path.resolve(entry))) {
+    let stat;
+    try {
+      stat = await fs.stat(input);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error(`Input file not found: ${input}`);
+      throw error;
+    }
 
-  results.forEach(company => {
-    const key = company.companyId || company.companyName;
-    if (!uniqueCompanies.has(key)) {
-      uniqueCompanies.set(key, company);
+    if (stat.isDirectory()) {
+      fromDirectory = true;
+      const entries = (await fs.readdir(input))
+        .filter(file => file.endsWith('.json') && !file.endsWith(PROCESSED_SUFFIX))
+        .sort();
+      files.push(...entries.map(file => path.join(input, file)));
+    } else {
+      files.push(input);
     }
-  });
+  }
 
-  const unique = Array.from(uniqueCompanies.values());
-  const duplicatesRemoved = originalCount - unique.length;
+  return { files: [...new Set(files)], fromDirectory };
+}
 
-  if (duplicatesRemoved > 0) {
-    console.log(`  → Removed ${duplicatesRemoved} duplicate companies`);
+/**
+ * Read a raw smartAnalyzeForOrigin result file, process it and write the processed result
+ * @param {string} inputFile - Raw result file
+ * @param {Object} options - Processing options
+ * @param {string} options.outputFile - Output file (default: <input>_processed.json)
+ * @param {string} options.profile - Filter profile for every company (default: the origin/company assignments)
+ * @param {boolean} options.audit - Also build a filter audit (default: false)
+ * @param {boolean} options.verbose - Enable detailed console logging (default: true)
+ * @returns {Promise<Object>} { result, inputFile, outputFile }
+ */
+export async function processResultFile(inputFile, options = {}) {
+  const { profile, audit = false, verbose = true } = options;
+  const input = path.resolve(inputFile);
+  const outputFile = path.resolve(options.outputFile || defaultOutputFile(input));
+
+  if (profile) {
+    assertProfile(profile);
   }
 
-  return unique;
-}
+  const data = await readResultFile(input);
 
-// Apply to all result arrays
-if (data.successfulResults) {
-  data.successfulResults = removeDuplicateCompanies(data.successfulResults);
-}
-if (data.allResults) {
-  data.allResults = removeDuplicateCompanies(data.allResults);
-}
-if (data.failedResults) {
-  data.failedResults = removeDuplicateCompanies(data.failedResults);
+  if (verbose) {
+    console.log(`Input:  ${input}`);
+    console.log(`Output: ${outputFile}`);
+  }
+
+  // Saved files can be days old; their messages must not show up as newly discovered
+  const result = processSmartAnalyzeResults(data, { verbose, profile, audit, discover: false });
+
+  await fs.writeFile(outputFile, JSON.stringify(result, null, 2));
+
+  return { result, inputFile: input, outputFile };
 }
-console.log('✓ Duplicate removal complete');
 
 /**
- * FILTER 2: Remove duplicate drivers within companies
+ * Process one or more raw result files
+ * A single file is processed as is. Several files, or a directory, are merged per origin and each origin is
+ * written to one consolidated file (<origin>_merged_processed.json), with every company's source file recorded
+ * in its mergedFrom field.
+ *
+ * @param {Array<string>} inputs - Raw result files and/or directories containing them
+ * @param {Object} options - Processing options
+ * @param {string} options.outputFile - Output file (only when the inputs hold a single origin)
+ * @param {string} options.outputDir - Directory for merged output files (default: directory of the first input file)
+ * @param {string} options.profile - Filter profile for every company (default: the origin/company assignments)
+ * @param {boolean} options.audit - Also build a filter audit (default: false)
+ * @param {boolean} options.verbose - Enable detailed console logging (default: true)
+ * @returns {Promise<Object>} { outputs: [{ origin, inputFiles, outputFile, result }], skipped: [{ file, reason }] }
  */
-console.log('\n[3/5] Removing duplicate drivers...');
-function removeDuplicateDrivers(results) {
-  if (!results) return;
-
-  let totalDuplicates = 0;
-
-  results.forEach(company => {
-    if (!company.data) return;
-
-    const uniqueDrivers = new Map();
-    const originalCount = company.data.length;
-
-    company.data.forEach(driver => {
-      const key = driver.driverName || driver.driverId;
-      if (!uniqueDrivers.has(key)) {
-        uniqueDrivers.set(key, driver);
-      } else {
-        // Merge logs from duplicate driver
-        const existing = uniqueDrivers.get(key);
-        if (driver.logs && existing.logs) {
-          existing.logs = [...existing.logs, ...driver.logs];
-        }
-      }
-    });
-
-    company.data = Array.from(uniqueDrivers.values());
-    const removed = originalCount - company.data.length;
-    if (removed > 0) {
-      totalDuplicates += removed;
-    }
-  });
+export async function processResultFiles(inputs, options = {}) {
+  const { outputFile, outputDir, profile, audit = false, verbose = true } = options;
+  const { files, fromDirectory } = await expandInputs(inputs);
 
-  if (totalDuplicates > 0) {
-    console.log(`  → Removed ${totalDuplicates} duplicate drivers`);
+  if (files.length === 0) {
+    throw new Error(`No result files found in: ${inputs.join(', ')}`);
   }
-}
 
-removeDuplicateDrivers(data.successfulResults);
-removeDuplicateDrivers(data.allResults);
-removeDuplicateDrivers(data.failedResults);
-console.log('✓ Duplicate driver removal complete');
+  if (files.length === 1 && !fromDirectory) {
+    const processed = await processResultFile(files[0], { outputFile, profile, audit, verbose });
+    return {
+      outputs: [{ origin: processed.result.summary?.origin, inputFiles: [processed.inputFile], outputFile: processed.outputFile, result: processed.result }],
+      skipped: []
+    };
+  }
 
-/**
- * FILTER 3: Filter out specific error messages
- */
-console.log('\n[4/5] Filtering error messages...');
-
-const ERROR_FILTERS = [
-  {
-    name: 'SEQUENTIAL ID BREAK WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'SEQUENTIAL ID BREAK WARNING',
-    key: 'sequentialIdBreak'
-  },
-  {
-    name: 'ENGINE HOURS HAVE CHANGED AFTER SHUT DOWN WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'ENGINE HOURS HAVE CHANGED AFTER SHUT DOWN WARNING',
-    key: 'engineHoursAfterShutdown'
-  },
-  {
-    name: 'ODOMETER ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'ODOMETER ERROR',
-    key: 'odometerError'
-  },
-  {
-    name: 'DIAGNOSTIC EVENT',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'DIAGNOSTIC EVENT',
-    key: 'diagnosticEvent'
-  },
-  { 
-    name: 'LOCATION CHANGED ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'LOCATION CHANGED ERROR',
-    key: 'locationChangedError'
-  },
-  { 
-    name: 'INCORRECT INTERMEDIATE PLACEMENT ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'INCORRECT INTERMEDIATE PLACEMENT ERROR',
-    key: 'incorrectIntermediatePlacementError'
-  },
-  { 
-    name: 'ENGINE HOURS WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'ENGINE HOURS WARNING',
-    key: 'engineHoursWarning'
-  },
-  { 
-    name: 'NO SHUT DOWN ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'NO SHUT DOWN ERROR',
-    key: 'noShutdownError'
-  },
-  { 
-    name: 'EXCESSIVE LOG IN WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'EXCESSIVE LOG IN WARNING',
-    key: 'excessiveLogInWarning'
-  },
-  { 
-    name: 'EXCESSIVE LOG OUT WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'EXCESSIVE LOG OUT WARNING',
-    key: 'excessiveLogOutWarning'
-  },
-  { 
-    name: 'TWO IDENTICAL STATUSES ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'TWO IDENTICAL STATUSES ERROR',
-    key: 'twoIdenticalStatusesError'
-  },
-  { 
-    name: 'DRIVING ORIGIN WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'DRIVING ORIGIN WARNING',
-    key: 'drivingOriginWarning'
-  },
-  { 
-    name: 'NO DATA IN ODOMETER OR ENGINE HOURS ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'NO DATA IN ODOMETER OR ENGINE HOURS ERROR',
-    key: 'noDataInOdometerOrEngineHours'
-  },
-  { 
-    name: 'LOCATION ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'LOCATION ERROR',
-    key: 'locationError'
-  },
-  { 
-    name: 'LOCATION DID NOT CHANGE WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'LOCATION DID NOT CHANGE WARNING',
-    key: 'locationDidNotChangeWarning'
-  },
-  { 
-    name: 'MISSING INTERMEDIATE ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'MISSING INTERMEDIATE ERROR',
-    key: 'missingIntermediateError'
-  },
-  {
-    name: 'INCORRECT STATUS PLACEMENT ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'INCORRECT STATUS PLACEMENT ERROR',
-    key: 'incorrectStatusPlacementError'
-  },
-  {
-    name: 'THE SPEED WAS MUCH HIGHER THAN THE SPEED LIMIT IN',
-    match: (errorMessage) => errorMessage && errorMessage.trim().startsWith('THE SPEED WAS MUCH HIGHER THAN THE SPEED LIMIT IN'),
-    key: 'speedMuchHigherThanLimit'
-  },
-  {
-    name: 'THE SPEED WAS HIGHER THAN THE SPEED',
-    match: (errorMessage) => errorMessage && errorMessage.trim().startsWith('THE SPEED WAS HIGHER THAN THE SPEED'),
-    key: 'speedHigherThanLimit'
-  },
-  {
-    name: 'EVENT HAS MANUAL LOCATION',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'EVENT HAS MANUAL LOCATION',
-    key: 'eventHasManualLocation'
-  },
-  {
-    name: 'NO POWER UP ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'NO POWER UP ERROR',
-    key: 'noPowerUpError'
-  },
-  {
-    name: 'UNIDENTIFIED DRIVER EVENT',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'UNIDENTIFIED DRIVER EVENT',
-    key: 'unidentifiedDriverEvent'
-  },
-];
-
-function filterErrorMessages(results) {
-  if (!results) return;
-
-  results.forEach(company => {
-    if (!company.data) return;
-
-    stats.companiesProcessed++;
-
-    company.data.forEach(driver => {
-      if (!driver.logs || !Array.isArray(driver.logs)) return;
-
-      stats.driversProcessed++;
-      const originalLength = driver.logs.length;
-      stats.totalLogsProcessed += originalLength;
-
-      // Apply all filters
-      driver.logs = driver.logs.filter(log => {
-        // Check each filter
-        for (const filter of ERROR_FILTERS) {
-          if (filter.match(log.errorMessage)) {
-            stats.warningsRemoved[filter.key]++;
-            stats.totalLogsRemoved++;
-            return false; // Remove this log
-          }
-        }
-        return true; // Keep this log
-      });
-    });
-  });
-}
+  if (profile) {
+    assertProfile(profile);
+  }
+
+  const sources = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const data = await readResultFile(file);
+    const problem = rawResultProblem(data);
+
+    if (problem) {
+      skipped.push({ file, reason: problem });
+      if (verbose) console.log(`  → Skipping ${file}: ${problem}`);
+      continue;
+    }
 
-// Apply filters to all result arrays
-filterErrorMessages(data.successfulResults);
-filterErrorMessages(data.allResults);
-filterErrorMessages(data.failedResults);
-
-// Display filter statistics
-console.log('  Filters applied:');
-ERROR_FILTERS.forEach(filter => {
-  const count = stats.warningsRemoved[filter.key];
-  if (count > 0) {
-    console.log(`    • ${filter.name}: ${count.toLocaleString()} removed`);
+    sources.push({ source: file, fetchedAt: (await fs.stat(file)).mtime.toISOString(), data });
   }
-});
-console.log('✓ Error filtering complete');
 
-/**
- * FILTER 4: Remove empty drivers (drivers with no logs after filtering)
- */
-console.log('\n[5/5] Cleaning up empty entries...');
+  const merged = mergeRawResults(sources);
+
+  if (merged.length === 0) {
+    throw new Error('None of the input files is a raw smart analyze result');
+  }
+  if (outputFile && merged.length > 1) {
+    throw new Error(`The inputs hold ${merged.length} origins (${merged.map(m => m.summary.origin).join(', ')}); use an output directory instead of an output file`);
+  }
+
+  const targetDir = path.resolve(outputDir || path.dirname(sources[0].source));
+  const outputs = [];
 
-function removeEmptyDrivers(results) {
-  if (!results) return;
+  for (const data of merged) {
+    const { origin, mergedFrom } = data.summary;
+    const target = outputFile
+      ? path.resolve(outputFile)
+      : path.join(targetDir, `${origin.replace(/[^A-Za-z0-9_-]/g, '_')}_merged${PROCESSED_SUFFIX}`);
 
-  let emptyDriversRemoved = 0;
+    if (verbose) {
+      console.log(`\nMerged ${mergedFrom.length} files for ${origin}: ${data.summary.successful}/${data.summary.totalCompanies} companies successful`);
+      mergedFrom.forEach(source => {
+        console.log(`  • ${source.source}: ${source.successful}/${source.totalCompanies} successful, ${source.used} used`);
+      });
+      console.log(`Output: ${target}`);
+    }
 
-  results.forEach(company => {
-    if (!company.data) return;
+    const result = processSmartAnalyzeResults(data, { verbose, profile, audit, discover: false });
+    await fs.writeFile(target, JSON.stringify(result, null, 2));
 
-    const originalCount = company.data.length;
-    company.data = company.data.filter(driver => {
-      return driver.logs && driver.logs.length > 0;
-    });
+    outputs.push({ origin, inputFiles: mergedFrom.map(source => source.source), outputFile: target, result });
+  }
 
-    emptyDriversRemoved += (originalCount - company.data.length);
+  return { outputs, skipped };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string' },
+      'output-dir': { type: 'string' }
+    }
   });
 
-  if (emptyDriversRemoved > 0) {
-    console.log(`  → Removed ${emptyDriversRemoved} drivers with no logs`);
+  if (positionals.length === 0) {
+    console.error('Usage: node src/services/processSmartAnalyzeResults.js <file|dir...> [--output <file>] [--output-dir <dir>]');
+    console.error('Example: node src/services/processSmartAnalyzeResults.js src/services/results/HERO2_smart_analyze_2025-11-07T21-02-08-898Z.json');
+    process.exit(1);
   }
-}
 
-removeEmptyDrivers(data.successfulResults);
-removeEmptyDrivers(data.allResults);
-removeEmptyDrivers(data.failedResults);
-console.log('✓ Cleanup complete');
+  // Old form: <input-file> <output-file>, where the output file does not exist yet
+  let inputs = positionals;
+  let outputFile = values.output;
+  if (positionals.length === 2 && !outputFile) {
+    const exists = await fs.access(positionals[1]).then(() => true, () => false);
+    if (!exists) {
+      inputs = [positionals[0]];
+      outputFile = positionals[1];
+    }
+  }
+
+  const { outputs } = await processResultFiles(inputs, { outputFile, outputDir: values['output-dir'] });
 
-// Update summary statistics
-if (data.summary) {
-  data.summary.processedAt = new Date().toISOString();
-  data.summary.filtersApplied = ERROR_FILTERS.map(f => f.name);
+  for (const output of outputs) {
+    const sizeMB = ((await fs.stat(output.outputFile)).size / 1024 / 1024).toFixed(2);
+    console.log(`✓ Processing complete! Output saved to (${sizeMB} MB):\n  ${output.outputFile}\n`);
+  }
 }
 
-// Write output file
-console.log('\n[FINAL] Writing processed file...');
-fs.writeFileSync(outputFile, JSON.stringify(data, null, 2));
-
-const outputSize = (fs.statSync(outputFile).size / 1024 / 1024).toFixed(2);
-console.log(`✓ File written: ${outputSize} MB`);
-
-// Final statistics
-console.log('\n' + '='.repeat(80));
-console.log('PROCESSING SUMMARY');
-console.log('='.repeat(80));
-console.log(`Total logs processed:     ${stats.totalLogsProcessed.toLocaleString()}`);
-console.log(`Total logs removed:       ${stats.totalLogsRemoved.toLocaleString()}`);
-console.log(`Remaining logs:           ${(stats.totalLogsProcessed - stats.totalLogsRemoved).toLocaleString()}`);
-console.log(`Companies processed:      ${stats.companiesProcessed}`);
-console.log(`Drivers processed:        ${stats.driversProcessed}`);
-console.log('='.repeat(80));
-console.log(`\n✓ Processing complete! Output saved to:\n  ${outputFile}\n`);
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(error => {
+    console.error('Processing failed:', error.message);
+    process.exit(1);
+  });
+}
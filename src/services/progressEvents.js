@@ -0,0 +1,43 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Progress Events
+ * The batch, retry and processor stages report progress on an EventEmitter passed as options.progress.
+ * Every event is emitted under the "progress" name with a `type` field:
+ *
+ * - attempt            { attempt, maxRetries, requested }              origin-level attempt started (requested: companies
+ *                                                                     re-requested by a targeted retry, else null)
+ * - company            { companyId, companyName, status, completed, total, successful, failed }
+ * - attempt-complete   { attempt, maxRetries, successful, failed, bestSuccessful }
+ * - individual-start   { total }                                       individual retry phase started
+ * - individual-retry   { index, total, companyId, companyName, status }
+ * - processing         { stage, step, totalSteps }                     processor stage finished
+ * - summary            { summary }                                     final summary of the run
+ * - job-finished       { jobId, status, error }                        background job ended (jobManager only)
+ */
+
+export const PROGRESS_EVENT = 'progress';
+
+/**
+ * Create an emitter to pass as options.progress
+ * @returns {EventEmitter}
+ */
+export function createProgressEmitter() {
+  const emitter = new EventEmitter();
+  // SSE clients and job trackers may all listen to the same run
+  emitter.setMaxListeners(50);
+  return emitter;
+}
+
+/**
+ * Emit a progress event if an emitter was provided
+ * @param {EventEmitter} progress - Emitter from options.progress (may be undefined)
+ * @param {Object} event - Event payload, must include `type`
+ */
+export function emitProgress(progress, event) {
+  if (!progress) return;
+  progress.emit(PROGRESS_EVENT, {
+    ...event,
+    timestamp: new Date().toISOString()
+  });
+}
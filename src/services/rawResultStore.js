@@ -0,0 +1,206 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile, writeJsonFile, resolveDataPath } from '../utils/dataStore.js';
+import { processSmartAnalyzeResults } from './smartAnalyzeProcessor.js';
+
+/**
+ * Raw Result Store
+ * Keeps the unprocessed smartAnalyzeForOrigin output of a run next to its processed version, so a rule
+ * or profile change can be re-applied without fetching from Fortex again:
+ *
+ *   data/runs/<origin>/<runId>.raw.json                 raw Fortex results of the kept attempt
+ *   data/runs/<origin>/<runId>.processed.json           processed result as returned by the run
+ *   data/runs/<origin>/<runId>.<profile>.processed.json latest reprocessing with that profile
+ *
+ * Retention: after each save, the files of runs beyond RAW_RESULTS_MAX_RUNS or older than RAW_RESULTS_MAX_AGE_DAYS
+ * are deleted (0 disables either limit); `napoleon cleanup` applies the same limits to every origin.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const RUNS_DIR = 'runs';
+const MAX_RUNS = envNumber('RAW_RESULTS_MAX_RUNS', 50);
+const MAX_AGE_DAYS = envNumber('RAW_RESULTS_MAX_AGE_DAYS', 30);
+
+function safeName(value) {
+  return value.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function runFile(origin, runId, suffix) {
+  return path.join(RUNS_DIR, safeName(origin), `${safeName(runId)}.${suffix}.json`);
+}
+
+/**
+ * Store the raw and processed results of a recorded run
+ * @param {string} origin - The origin name
+ * @param {string} runId - Run id from the run history
+ * @param {Object} results - { raw, processed }
+ * @returns {Promise<Object>} { raw, processed } file paths
+ */
+export async function saveRunResults(origin, runId, results) {
+  const { raw, processed } = results;
+
+  const files = {
+    raw: await writeJsonFile(runFile(origin, runId, 'raw'), raw),
+    processed: await writeJsonFile(runFile(origin, runId, 'processed'), processed)
+  };
+
+  const pruned = await pruneRunResults(origin);
+  if (pruned.runsDeleted > 0) {
+    console.log(`[RUNS] ${origin}: deleted the stored results of ${pruned.runsDeleted} old runs`);
+  }
+
+  return files;
+}
+
+/**
+ * Time a run was recorded, from its run id (e.g. "20251110T123000Z-1a2b3c4d")
+ * @param {string} runId - The run id
+ * @returns {number|null} Milliseconds since the epoch, or null for ids in another format
+ */
+function runIdTime(runId) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/.exec(runId);
+  return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : null;
+}
+
+/**
+ * Delete the stored files of an origin's runs beyond RAW_RESULTS_MAX_RUNS or older than RAW_RESULTS_MAX_AGE_DAYS
+ * @param {string} origin - The origin name (or its directory name under data/runs)
+ * @param {Object} options - Prune options
+ * @param {boolean} options.dryRun - Only count what would be deleted (default: false)
+ * @returns {Promise<Object>} { runsDeleted, filesDeleted, spaceFreed, errors }
+ */
+export async function pruneRunResults(origin, options = {}) {
+  const { dryRun = false } = options;
+  const stats = { runsDeleted: 0, filesDeleted: 0, spaceFreed: 0, errors: [] };
+  const dir = resolveDataPath(RUNS_DIR, safeName(origin));
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return stats;
+    throw error;
+  }
+
+  // Every file of a run starts with "<runId>."
+  const filesByRun = new Map();
+  files.filter(file => file.endsWith('.json')).forEach(file => {
+    const runId = file.slice(0, file.indexOf('.'));
+    filesByRun.set(runId, [...(filesByRun.get(runId) || []), file]);
+  });
+
+  const cutoff = MAX_AGE_DAYS > 0 ? Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000 : null;
+  const runIds = [...filesByRun.keys()].sort().reverse();
+  const expired = runIds.filter((runId, position) => {
+    if (MAX_RUNS > 0 && position >= MAX_RUNS) return true;
+    const time = runIdTime(runId);
+    return cutoff !== null && time !== null && time < cutoff;
+  });
+
+  for (const runId of expired) {
+    stats.runsDeleted++;
+    for (const file of filesByRun.get(runId)) {
+      const filePath = path.join(dir, file);
+      try {
+        const { size } = await fs.stat(filePath);
+        if (!dryRun) await fs.unlink(filePath);
+        stats.filesDeleted++;
+        stats.spaceFreed += size;
+      } catch (error) {
+        stats.errors.push({ file: path.join(safeName(origin), file), error: error.message });
+      }
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Apply the run result retention to every origin with stored runs
+ * @param {Object} options - See pruneRunResults()
+ * @returns {Promise<Object>} { runsDeleted, filesDeleted, spaceFreed, errors } over all origins
+ */
+export async function pruneAllRunResults(options = {}) {
+  const totals = { runsDeleted: 0, filesDeleted: 0, spaceFreed: 0, errors: [] };
+
+  let dirs;
+  try {
+    dirs = await fs.readdir(resolveDataPath(RUNS_DIR), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return totals;
+    throw error;
+  }
+
+  for (const dir of dirs.filter(entry => entry.isDirectory())) {
+    const stats = await pruneRunResults(dir.name, options);
+    totals.runsDeleted += stats.runsDeleted;
+    totals.filesDeleted += stats.filesDeleted;
+    totals.spaceFreed += stats.spaceFreed;
+    totals.errors.push(...stats.errors);
+  }
+
+  return totals;
+}
+
+/**
+ * Load the raw results of a run
+ * @param {string} origin - The origin name
+ * @param {string} runId - The run id
+ * @returns {Promise<Object|null>} Raw smartAnalyzeForOrigin output, or null if it was not kept
+ */
+export async function loadRawResults(origin, runId) {
+  return readJsonFile(runFile(origin, runId, 'raw'), null);
+}
+
+/**
+ * Run ids of an origin that have raw results stored, newest first
+ * @param {string} origin - The origin name
+ * @returns {Promise<Array<string>>} Run ids
+ */
+export async function listRawRuns(origin) {
+  let files;
+  try {
+    files = await fs.readdir(resolveDataPath(RUNS_DIR, safeName(origin)));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return files
+    .filter(file => file.endsWith('.raw.json'))
+    .map(file => file.slice(0, -'.raw.json'.length))
+    .sort()
+    .reverse();
+}
+
+/**
+ * Re-run the processor on a stored raw result with the current rules
+ * The result is stored next to the run's raw and processed files; the history record is not changed.
+ *
+ * @param {string} origin - The origin name
+ * @param {string} runId - The run id
+ * @param {Object} options - Processing options
+ * @param {string} options.profile - Filter profile for every company (default: the origin/company assignments)
+ * @param {boolean} options.audit - Also build a filter audit (default: false)
+ * @param {boolean} options.verbose - Enable detailed console logging (default: false)
+ * @returns {Promise<Object|null>} { result, file }, or null if the run has no stored raw results
+ */
+export async function reprocessRun(origin, runId, options = {}) {
+  const { profile, audit = false, verbose = false } = options;
+
+  const raw = await loadRawResults(origin, runId);
+  if (!raw) return null;
+
+  // Known messages were already recorded when the run was fetched
+  const result = processSmartAnalyzeResults(raw, { verbose, profile, audit, discover: false });
+
+  result.summary.reprocessedFrom = runId;
+
+  const file = await writeJsonFile(runFile(origin, runId, `${safeName(profile || 'assigned')}.processed`), result);
+
+  return { result, file };
+}
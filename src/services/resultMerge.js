@@ -0,0 +1,113 @@
+/**
+ * Result Merge
+ * Combines several raw smartAnalyzeForOrigin results (e.g. the partial result files of manual runs) into one
+ * result per origin. Per company a successful result wins over a failure; between several successes, the one
+ * from the result with the most successful companies wins, the same ranking the retry service uses for its
+ * best attempt (ties go to the earlier result).
+ *
+ * Every merged company records where its data came from:
+ *   { "companyId": "...", "status": "success", "data": [...], "mergedFrom": { "source": "HERO2_run1.json", "fetchedAt": "..." } }
+ */
+
+function companyKey(company) {
+  return company.companyId || company.companyName;
+}
+
+function successRate(successful, total) {
+  return total > 0 ? `${((successful / total) * 100).toFixed(2)}%` : '0.00%';
+}
+
+/**
+ * Whether a parsed file looks like raw smartAnalyzeForOrigin output
+ * @param {Object} data - Parsed JSON
+ * @returns {string|null} Why it cannot be merged, or null if it can
+ */
+export function rawResultProblem(data) {
+  if (!data || !Array.isArray(data.successfulResults) || !Array.isArray(data.failedResults)) {
+    return 'not a smart analyze result (missing successfulResults / failedResults)';
+  }
+  if (!data.summary?.origin) {
+    return 'summary.origin is missing';
+  }
+  if (data.summary.processedAt) {
+    return 'already processed (only raw results can be merged)';
+  }
+  return null;
+}
+
+/**
+ * Merge raw results of one origin
+ * @param {string} origin - The origin name
+ * @param {Array<Object>} sources - [{ source, fetchedAt, data }] in input order
+ * @returns {Object} Merged raw result (same shape as smartAnalyzeForOrigin output)
+ */
+function mergeOrigin(origin, sources) {
+  // Best source first; Array.prototype.sort is stable, so ties keep the input order
+  const ranked = [...sources].sort((a, b) => b.data.successfulResults.length - a.data.successfulResults.length);
+
+  const successes = new Map();
+  const failures = new Map();
+  const used = new Map(sources.map(source => [source.source, 0]));
+
+  const provenance = (source) => ({ source: source.source, fetchedAt: source.fetchedAt || null });
+
+  ranked.forEach(source => {
+    source.data.successfulResults.forEach(company => {
+      const key = companyKey(company);
+      if (successes.has(key)) return;
+      successes.set(key, { ...company, mergedFrom: provenance(source) });
+      used.set(source.source, used.get(source.source) + 1);
+    });
+  });
+
+  ranked.forEach(source => {
+    source.data.failedResults.forEach(company => {
+      const key = companyKey(company);
+      if (successes.has(key) || failures.has(key)) return;
+      failures.set(key, { ...company, mergedFrom: provenance(source) });
+    });
+  });
+
+  const successfulResults = Array.from(successes.values());
+  const failedResults = Array.from(failures.values());
+  const totalCompanies = successfulResults.length + failedResults.length;
+
+  return {
+    summary: {
+      origin,
+      totalCompanies,
+      successful: successfulResults.length,
+      failed: failedResults.length,
+      successRate: successRate(successfulResults.length, totalCompanies),
+      mergedAt: new Date().toISOString(),
+      mergedFrom: sources.map(source => ({
+        ...provenance(source),
+        totalCompanies: source.data.summary.totalCompanies ?? source.data.successfulResults.length + source.data.failedResults.length,
+        successful: source.data.successfulResults.length,
+        failed: source.data.failedResults.length,
+        // Companies whose merged data comes from this source
+        used: used.get(source.source)
+      }))
+    },
+    successfulResults,
+    failedResults,
+    allResults: [...successfulResults, ...failedResults]
+  };
+}
+
+/**
+ * Merge raw results per origin
+ * @param {Array<Object>} sources - [{ source, fetchedAt, data }]; data must pass rawResultProblem()
+ * @returns {Array<Object>} One merged raw result per origin, in order of first appearance
+ */
+export function mergeRawResults(sources) {
+  const byOrigin = new Map();
+
+  sources.forEach(source => {
+    const origin = source.data.summary.origin;
+    if (!byOrigin.has(origin)) byOrigin.set(origin, []);
+    byOrigin.get(origin).push(source);
+  });
+
+  return Array.from(byOrigin.entries()).map(([origin, originSources]) => mergeOrigin(origin, originSources));
+}
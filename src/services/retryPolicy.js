@@ -0,0 +1,165 @@
+import { ERROR_CLASSES } from '../apis/fortex.js';
+
+/**
+ * Retry Policy
+ * Decides how runOriginAnalysisWithRetry paces its attempts and when it stops. A policy is a plain object
+ * and every field is optional:
+ *
+ *   {
+ *     "maxAttempts": 6,                        origin-level attempts (phase 1)
+ *     "backoff": "exponential",                pause between attempts: "fixed", "linear" or "exponential"
+ *     "baseDelayMs": 2000,                     pause after the first attempt
+ *     "maxDelayMs": 60000,                     upper bound of a pause
+ *     "individualDelayMs": 1000,               pause between individual retries (phase 2)
+ *     "budgetMs": 1800000,                     wall-clock budget of the whole run (null: none)
+ *     "stopWhenNoProgress": true,              stop once an attempt recovers no new companies
+ *     "skipNonRetryable": true,                do not retry failures of the nonRetryableClasses
+ *     "nonRetryableClasses": ["client", "auth"]
+ *   }
+ *
+ * Policies are layered: DEFAULT_RETRY_POLICY, then the origin's registry entry (retryPolicy), then the request.
+ * The budget is checked between attempts and between individual retries; a running attempt is not cut short.
+ */
+
+export const BACKOFF_TYPES = ['fixed', 'linear', 'exponential'];
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 6,
+  backoff: 'fixed',
+  baseDelayMs: 2000,
+  maxDelayMs: 60000,
+  individualDelayMs: 1000,
+  budgetMs: null,
+  stopWhenNoProgress: false,
+  skipNonRetryable: false,
+  // 404 "company not found" and rejected credentials do not fix themselves between attempts
+  nonRetryableClasses: Object.freeze(['client', 'auth'])
+});
+
+/**
+ * Why a run stopped retrying, as stored in retryMetadata.stopReason
+ */
+export const STOP_REASONS = {
+  allSucceeded: 'every company succeeded',
+  maxAttempts: 'the maximum number of attempts was reached',
+  budgetExhausted: 'the time budget was used up',
+  noProgress: 'an attempt recovered no new companies',
+  onlyNonRetryable: 'only non-retryable failures were left',
+  circuitOpen: "the origin's circuit breaker opened"
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_RETRY_POLICY);
+
+function validationError(message, problems) {
+  const error = new Error(`${message}: ${problems.join('; ')}`);
+  error.validationErrors = problems;
+  return error;
+}
+
+/**
+ * Validate a (partial) retry policy
+ * @param {Object} policy - Policy fields
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export function retryPolicyProblems(policy) {
+  if (policy === undefined || policy === null) return [];
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['retry policy must be an object'];
+  }
+
+  const problems = [];
+  const present = (field) => policy[field] !== undefined;
+  const isCount = (value, min) => Number.isInteger(value) && value >= min;
+
+  const unknownFields = Object.keys(policy).filter(field => !POLICY_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    problems.push(`unknown retry policy field(s) ${unknownFields.join(', ')}`);
+  }
+
+  if (present('maxAttempts') && !isCount(policy.maxAttempts, 1)) {
+    problems.push('"maxAttempts" must be an integer of at least 1');
+  }
+  if (present('backoff') && !BACKOFF_TYPES.includes(policy.backoff)) {
+    problems.push(`"backoff" must be one of ${BACKOFF_TYPES.join(', ')}`);
+  }
+  ['baseDelayMs', 'maxDelayMs', 'individualDelayMs'].forEach(field => {
+    if (present(field) && !isCount(policy[field], 0)) {
+      problems.push(`"${field}" must be a non-negative integer`);
+    }
+  });
+  if (present('budgetMs') && policy.budgetMs !== null && !isCount(policy.budgetMs, 1)) {
+    problems.push('"budgetMs" must be a positive integer or null');
+  }
+  ['stopWhenNoProgress', 'skipNonRetryable'].forEach(field => {
+    if (present(field) && typeof policy[field] !== 'boolean') {
+      problems.push(`"${field}" must be true or false`);
+    }
+  });
+  if (present('nonRetryableClasses')) {
+    const classes = policy.nonRetryableClasses;
+    if (!Array.isArray(classes) || classes.some(errorClass => !ERROR_CLASSES.includes(errorClass))) {
+      problems.push(`"nonRetryableClasses" must be a list of ${ERROR_CLASSES.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Layer partial policies over the defaults; later layers win, empty layers are skipped
+ * @param {...Object} layers - Partial policies (e.g. origin policy, request policy)
+ * @returns {Object} Complete policy
+ */
+export function resolveRetryPolicy(...layers) {
+  const policy = { ...DEFAULT_RETRY_POLICY, nonRetryableClasses: [...DEFAULT_RETRY_POLICY.nonRetryableClasses] };
+
+  layers.filter(Boolean).forEach(layer => {
+    const problems = retryPolicyProblems(layer);
+    if (problems.length > 0) {
+      throw validationError('Invalid retry policy', problems);
+    }
+    Object.entries(layer)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => {
+        policy[field] = Array.isArray(value) ? [...value] : value;
+      });
+  });
+
+  return policy;
+}
+
+/**
+ * Pause after an origin-level attempt
+ * @param {Object} policy - Resolved policy
+ * @param {number} attempt - The attempt that just finished (1-based)
+ * @returns {number} Milliseconds
+ */
+export function retryDelayMs(policy, attempt) {
+  const factor = {
+    fixed: 1,
+    linear: attempt,
+    exponential: 2 ** (attempt - 1)
+  }[policy.backoff];
+
+  return Math.min(policy.maxDelayMs, policy.baseDelayMs * factor);
+}
+
+/**
+ * Time left in the run's budget
+ * @param {Object} policy - Resolved policy
+ * @param {number} startTime - Run start (ms since epoch)
+ * @returns {number} Milliseconds (Infinity without a budget)
+ */
+export function remainingBudgetMs(policy, startTime) {
+  return policy.budgetMs === null ? Infinity : policy.budgetMs - (Date.now() - startTime);
+}
+
+/**
+ * Whether a failed company is worth another request under the policy
+ * @param {Object} policy - Resolved policy
+ * @param {Object} company - Failed company entry (with errorClass)
+ * @returns {boolean}
+ */
+export function isRetryableFailure(policy, company) {
+  return !policy.skipNonRetryable || !policy.nonRetryableClasses.includes(company.errorClass);
+}
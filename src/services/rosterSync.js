@@ -0,0 +1,320 @@
+import cron from "node-cron";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getCompanies } from "../apis/hero.js";
+import { withHeroToken } from "./heroTokenManager.js";
+import { listOrigins, getOriginCredentials } from "./originRegistry.js";
+import { readJsonFile, writeJsonFile } from "../utils/dataStore.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROSTER_FILE = "rosters.json";
+
+// Hand-saved /auth response, only used to seed the store before the first sync
+const LEGACY_SNAPSHOT_FILE = path.join(__dirname, "../../authEndpointResponse.json");
+
+let rosterCache = null;
+// First load in progress; concurrent callers wait for it instead of seeing a half-seeded store
+let rosterLoad = null;
+let writeQueue = Promise.resolve();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load the roster store, seeding it from the legacy snapshot on first use
+ * @returns {Promise<Object>} Roster store ({ updatedAt, origins: { [origin]: entry } })
+ */
+function loadRosterStore() {
+  if (rosterCache) return Promise.resolve(rosterCache);
+
+  if (!rosterLoad) {
+    rosterLoad = readRosterStore()
+      .then(store => {
+        rosterCache = store;
+        return store;
+      })
+      .finally(() => {
+        rosterLoad = null;
+      });
+  }
+  return rosterLoad;
+}
+
+async function readRosterStore() {
+  const stored = await readJsonFile(ROSTER_FILE);
+  if (stored) return stored;
+
+  const store = { updatedAt: null, origins: {} };
+
+  try {
+    const snapshot = JSON.parse(await fs.readFile(LEGACY_SNAPSHOT_FILE, "utf-8"));
+    snapshot.results.forEach((result) => {
+      store.origins[result.origin] = {
+        origin: result.origin,
+        companies: result.companies,
+        companiesCount: result.companies.length,
+        source: "snapshot",
+        syncedAt: null,
+        lastChanges: null,
+        lastError: null
+      };
+    });
+    console.log(`[ROSTER] Seeded roster store from ${path.basename(LEGACY_SNAPSHOT_FILE)}`);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[ROSTER] Failed to read legacy snapshot:`, error.message);
+    }
+  }
+
+  return store;
+}
+
+/**
+ * Persist the roster store (writes are serialized)
+ */
+function saveRosterStore() {
+  rosterCache.updatedAt = new Date().toISOString();
+  const snapshot = JSON.parse(JSON.stringify(rosterCache));
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => writeJsonFile(ROSTER_FILE, snapshot));
+  return writeQueue;
+}
+
+/**
+ * Compare two company lists by id
+ * @param {Array} previousCompanies - Previous roster ({ name, id })
+ * @param {Array} currentCompanies - Current roster ({ name, id })
+ * @returns {Object} Added, removed and renamed companies
+ */
+export function diffRosters(previousCompanies = [], currentCompanies = []) {
+  const previousById = new Map(previousCompanies.map(company => [company.id, company]));
+  const currentById = new Map(currentCompanies.map(company => [company.id, company]));
+
+  const added = currentCompanies.filter(company => !previousById.has(company.id));
+  const removed = previousCompanies.filter(company => !currentById.has(company.id));
+  const renamed = currentCompanies
+    .filter(company => previousById.has(company.id) && previousById.get(company.id).name !== company.name)
+    .map(company => ({
+      id: company.id,
+      previousName: previousById.get(company.id).name,
+      name: company.name
+    }));
+
+  return {
+    added,
+    removed,
+    renamed,
+    hasChanges: added.length > 0 || removed.length > 0 || renamed.length > 0
+  };
+}
+
+/**
+ * Fetch the live company list for one origin and store it
+ * @param {Object} originConfig - Origin entry ({ origin, ... }); its login is read from the registry
+ * @param {Object} options - Sync options
+ * @param {boolean} options.verbose - Enable detailed console logging (default: true)
+ * @returns {Promise<Object>} Stored roster entry including the changes since the previous sync
+ */
+export async function syncOriginRoster(originConfig, options = {}) {
+  const { verbose = true } = options;
+  const store = await loadRosterStore();
+  const previous = store.origins[originConfig.origin];
+
+  try {
+    // Reuses the origin's cached Hero token; logs in (again) when needed
+    const credentials = await getOriginCredentials(originConfig.origin);
+    if (!credentials) {
+      throw new Error(`Origin "${originConfig.origin}" is not configured`);
+    }
+
+    if (verbose) console.log(`  - Fetching companies as ${credentials.email}...`);
+    const companies = (await withHeroToken(credentials, getCompanies)).map(company => ({
+      name: company.name,
+      id: company.companyId
+    }));
+
+    const changes = diffRosters(previous?.companies, companies);
+    const syncedAt = new Date().toISOString();
+
+    if (verbose) {
+      console.log(`  - Found ${companies.length} companies`);
+      if (changes.hasChanges) {
+        console.log(`  - Changes: +${changes.added.length} added, -${changes.removed.length} removed, ~${changes.renamed.length} renamed`);
+      }
+    }
+
+    store.origins[originConfig.origin] = {
+      origin: originConfig.origin,
+      companies,
+      companiesCount: companies.length,
+      source: "live",
+      syncedAt,
+      // Keep the last real change set so a quiet sync does not hide it
+      lastChanges: changes.hasChanges
+        ? { ...changes, detectedAt: syncedAt }
+        : previous?.lastChanges || null,
+      lastError: null
+    };
+    await saveRosterStore();
+
+    return { ...store.origins[originConfig.origin], changes };
+  } catch (error) {
+    // Keep serving the previous roster, just record the failure
+    if (previous) {
+      previous.lastError = { message: error.message, at: new Date().toISOString() };
+      await saveRosterStore();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sync rosters for every enabled origin in the registry, one origin at a time
+ * A failing origin is recorded and the rest continue
+ * @param {Object} options - Sync options
+ * @param {boolean} options.verbose - Enable detailed console logging (default: true)
+ * @returns {Promise<Object>} Sync results per origin
+ */
+export async function syncAllRosters(options = {}) {
+  const { verbose = true } = options;
+  const origins = await listOrigins();
+  const results = [];
+
+  if (verbose) console.log(`[ROSTER] Syncing ${origins.length} origins...`);
+
+  for (let i = 0; i < origins.length; i++) {
+    const originConfig = origins[i];
+
+    if (verbose) console.log(`\n[${i + 1}/${origins.length}] Syncing roster: ${originConfig.origin}`);
+
+    try {
+      const entry = await syncOriginRoster(originConfig, { verbose });
+      results.push({
+        origin: entry.origin,
+        companies: entry.companies,
+        companiesCount: entry.companiesCount,
+        syncedAt: entry.syncedAt,
+        changes: entry.changes
+      });
+    } catch (error) {
+      console.error(`  - ERROR for ${originConfig.origin}:`, error.message);
+      if (error.response) {
+        console.error(`  - Response status:`, error.response.status);
+      }
+      results.push({
+        origin: originConfig.origin,
+        error: error.message,
+        companies: [],
+        companiesCount: 0
+      });
+    }
+
+    // Add delay between processing different origins
+    if (i < origins.length - 1) {
+      await delay(1000);
+    }
+  }
+
+  await pruneUnregisteredRosters();
+
+  return {
+    syncedAt: new Date().toISOString(),
+    totalOrigins: origins.length,
+    successful: results.filter(result => !result.error).length,
+    failed: results.filter(result => result.error).length,
+    results
+  };
+}
+
+/**
+ * Drop the rosters of origins that were removed from the registry (disabled origins keep theirs)
+ */
+async function pruneUnregisteredRosters() {
+  const store = await loadRosterStore();
+  const registered = new Set((await listOrigins({ includeDisabled: true })).map(entry => entry.origin));
+  const removed = Object.keys(store.origins).filter(origin => !registered.has(origin));
+  if (removed.length === 0) return;
+
+  removed.forEach(origin => delete store.origins[origin]);
+  console.log(`[ROSTER] Dropped rosters of unregistered origins: ${removed.join(", ")}`);
+  await saveRosterStore();
+}
+
+/**
+ * Get the stored roster for one origin
+ * @param {string} origin - The origin name
+ * @returns {Promise<Object>} Roster entry ({ origin, companies, companiesCount, syncedAt, ... })
+ */
+export async function getRoster(origin) {
+  const store = await loadRosterStore();
+  const entry = store.origins[origin];
+
+  if (!entry) {
+    throw new Error(
+      `Origin "${origin}" not found. Available origins: ${Object.keys(store.origins).join(", ")}`
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Get the stored rosters of all registered origins (enabled or not)
+ * @returns {Promise<Array>} Roster entries
+ */
+export async function getAllRosters() {
+  const store = await loadRosterStore();
+  const registered = new Set((await listOrigins({ includeDisabled: true })).map(entry => entry.origin));
+  return Object.values(store.origins).filter(entry => registered.has(entry.origin));
+}
+
+/**
+ * Starts the roster sync scheduler
+ * @param {Object} options - Configuration options
+ * @param {string} options.schedule - Cron schedule expression (default: "30 * * * *" = hourly)
+ * @param {boolean} options.enabled - Enable/disable the scheduler (default: true)
+ * @param {boolean} options.runOnStart - Sync immediately on start (default: false)
+ * @returns {Object|null} Scheduled task
+ */
+export function startRosterScheduler(options = {}) {
+  const {
+    schedule = "30 * * * *",
+    enabled = true,
+    runOnStart = false
+  } = options;
+
+  if (!enabled) {
+    console.log("[ROSTER] Roster sync scheduler is disabled");
+    return null;
+  }
+
+  if (!cron.validate(schedule)) {
+    console.error(`[ROSTER] Invalid cron schedule: ${schedule}`);
+    return null;
+  }
+
+  const runSync = () => syncAllRosters({ verbose: false })
+    .then(result => {
+      console.log(`[ROSTER] Sync complete: ${result.successful}/${result.totalOrigins} origins synced`);
+    })
+    .catch(error => {
+      console.error("[ROSTER] Sync failed:", error.message);
+    });
+
+  if (runOnStart) {
+    console.log("[ROSTER] Running initial roster sync...");
+    runSync();
+  }
+
+  const task = cron.schedule(schedule, runSync, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log(`[ROSTER] Roster sync scheduled: ${schedule}`);
+
+  return task;
+}
@@ -0,0 +1,342 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { resolveDataPath, writeJsonAtomic } from '../utils/dataStore.js';
+
+/**
+ * Run History Store
+ * Append-only JSON Lines file per origin (data/history/<origin>.jsonl), one line per run
+ *
+ * Next to each file is an index (<origin>.index.json) with every run's listing and byte range, so listings
+ * and single-run lookups never parse the whole history. The index is rebuilt from the JSONL file whenever
+ * their sizes disagree (missing index, crash between the two writes, another process appended).
+ *
+ * Retention: runs beyond HISTORY_MAX_RUNS or older than HISTORY_MAX_AGE_DAYS are dropped (0 disables either
+ * limit). Dropping runs rewrites the whole file, so it happens in batches: once HISTORY_PRUNE_BATCH runs are past
+ * the limits, or once the oldest run has been past the age limit for a day.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const HISTORY_DIR = 'history';
+const MAX_RUNS = envNumber('HISTORY_MAX_RUNS', 500);
+const MAX_AGE_DAYS = envNumber('HISTORY_MAX_AGE_DAYS', 90);
+const PRUNE_BATCH = envNumber('HISTORY_PRUNE_BATCH', 50);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let appendQueue = Promise.resolve();
+const indexCache = new Map();
+
+function historyFileName(origin) {
+  return origin.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function historyFilePath(origin) {
+  return resolveDataPath(HISTORY_DIR, `${historyFileName(origin)}.jsonl`);
+}
+
+function indexFilePath(origin) {
+  return resolveDataPath(HISTORY_DIR, `${historyFileName(origin)}.index.json`);
+}
+
+/**
+ * Sortable, unique run id (e.g. "20251110T123000Z-1a2b3c4d")
+ */
+function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `${stamp}-${randomUUID().slice(0, 8)}`;
+}
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+/**
+ * Build the index of an origin by parsing its whole history file
+ * @param {string} origin - The origin name
+ * @returns {Promise<Object>} Index ({ size, runs: [{ runId, recordedAt, offset, length, listing }] })
+ */
+async function rebuildIndex(origin) {
+  let content;
+  try {
+    content = await fs.readFile(historyFilePath(origin));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    content = Buffer.alloc(0);
+  }
+
+  const runs = [];
+  let offset = 0;
+  let lineNumber = 0;
+  while (offset < content.length) {
+    const newline = content.indexOf(0x0a, offset);
+    const end = newline === -1 ? content.length : newline + 1;
+    const line = content.subarray(offset, end).toString('utf-8');
+    lineNumber++;
+
+    if (line.trim()) {
+      try {
+        const run = JSON.parse(line);
+        runs.push({ runId: run.runId, recordedAt: run.recordedAt, offset, length: end - offset, listing: toRunListing(run) });
+      } catch (error) {
+        // A torn last line (e.g. crash mid-write) must not hide the rest of the history
+        console.error(`[HISTORY] Skipping unreadable line ${lineNumber} for ${origin}:`, error.message);
+      }
+    }
+    offset = end;
+  }
+
+  const index = { size: content.length, runs };
+  if (content.length > 0) {
+    await writeJsonAtomic(indexFilePath(origin), index);
+  }
+  return index;
+}
+
+/**
+ * The index of an origin, checked against the current size of its history file
+ * @param {string} origin - The origin name
+ * @returns {Promise<Object>} Index
+ */
+async function loadIndex(origin) {
+  const size = await fileSize(historyFilePath(origin));
+
+  let index = indexCache.get(origin);
+  if (!index) {
+    try {
+      index = JSON.parse(await fs.readFile(indexFilePath(origin), 'utf-8'));
+    } catch {
+      index = null;
+    }
+  }
+
+  if (!index || index.size !== size) {
+    index = await rebuildIndex(origin);
+  }
+
+  indexCache.set(origin, index);
+  return index;
+}
+
+/**
+ * Read the full records of indexed runs
+ * @param {string} origin - The origin name
+ * @param {Array<Object>} entries - Index entries
+ * @returns {Promise<Array>} Run records, in the order of the entries
+ */
+async function readIndexedRuns(origin, entries) {
+  if (entries.length === 0) return [];
+
+  const handle = await fs.open(historyFilePath(origin), 'r');
+  try {
+    const runs = [];
+    for (const entry of entries) {
+      const buffer = Buffer.alloc(entry.length);
+      await handle.read(buffer, 0, entry.length, entry.offset);
+      runs.push(JSON.parse(buffer.toString('utf-8')));
+    }
+    return runs;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Index entries of an origin, oldest first; waits for pending appends so offsets are current
+ * @param {string} origin - The origin name
+ * @returns {Promise<Array<Object>>} Index entries
+ */
+async function indexedRuns(origin) {
+  await appendQueue.catch(() => {});
+  return (await loadIndex(origin)).runs;
+}
+
+/**
+ * Drop runs beyond HISTORY_MAX_RUNS or older than HISTORY_MAX_AGE_DAYS, once a batch of them is due
+ * Runs are stored oldest first, so the kept runs are the tail of the file and are copied as-is
+ * @param {string} origin - The origin name
+ * @param {Object} index - Current index (replaced in the cache)
+ */
+async function applyRetention(origin, index) {
+  const now = Date.now();
+  const cutoff = MAX_AGE_DAYS > 0 ? new Date(now - MAX_AGE_DAYS * DAY_MS).toISOString() : null;
+  let first = MAX_RUNS > 0 ? Math.max(0, index.runs.length - MAX_RUNS) : 0;
+  while (cutoff && first < index.runs.length && index.runs[first].recordedAt < cutoff) first++;
+  if (first === 0) return;
+
+  const overdue = cutoff && index.runs[0].recordedAt < new Date(now - (MAX_AGE_DAYS + 1) * DAY_MS).toISOString();
+  if (first < PRUNE_BATCH && !overdue) return;
+
+  const filePath = historyFilePath(origin);
+  const start = first < index.runs.length ? index.runs[first].offset : index.size;
+  const content = await fs.readFile(filePath);
+  const kept = content.subarray(start);
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, kept);
+  await fs.rename(tempPath, filePath);
+
+  const pruned = {
+    size: kept.length,
+    runs: index.runs.slice(first).map(entry => ({ ...entry, offset: entry.offset - start }))
+  };
+  await writeJsonAtomic(indexFilePath(origin), pruned);
+  indexCache.set(origin, pruned);
+
+  console.log(`[HISTORY] ${origin}: dropped ${first} old runs, ${pruned.runs.length} kept`);
+}
+
+/**
+ * Compact view of a run for listings
+ */
+function toRunListing(run) {
+  return {
+    runId: run.runId,
+    origin: run.origin,
+    source: run.source,
+    recordedAt: run.recordedAt,
+    totalCompanies: run.summary?.totalCompanies,
+    successful: run.summary?.successful,
+    failed: run.summary?.failed,
+    successRate: run.summary?.successRate,
+    remainingLogs: run.summary?.processingStats?.remainingLogs ?? null,
+    totalAttempts: run.summary?.retryMetadata?.totalAttempts ?? null
+  };
+}
+
+/**
+ * Record a finished run
+ * Sets result.summary.runId so callers can reference the stored record
+ *
+ * @param {Object} result - Processed result of runOriginAnalysisWithRetry
+ * @param {Object} options - Record options
+ * @param {string} options.source - Who started the run (e.g. "api", "cron", "job", "telegram")
+ * @param {string} options.startedAt - ISO time the run started
+ * @returns {Promise<string>} The run id
+ */
+export async function recordRun(result, options = {}) {
+  const { source = 'api', startedAt = null } = options;
+  const origin = result.summary.origin;
+  const runId = createRunId();
+
+  const record = {
+    runId,
+    origin,
+    source,
+    startedAt,
+    recordedAt: new Date().toISOString(),
+    summary: result.summary,
+    retryMetadata: result.summary.retryMetadata || null,
+    processingStats: result.summary.processingStats || null,
+    // Processed results only hold the remaining (unfiltered) violations
+    successfulResults: result.successfulResults || [],
+    failedResults: (result.failedResults || []).map(company => ({
+      companyId: company.companyId,
+      companyName: company.companyName,
+      error: company.error,
+      errorClass: company.errorClass || null
+    })),
+    // Speed messages are filtered from the remaining violations but kept here for reporting
+    speedingReport: result.speedingReport || null
+  };
+
+  result.summary.runId = runId;
+
+  const line = JSON.stringify(record) + '\n';
+  const filePath = historyFilePath(origin);
+
+  appendQueue = appendQueue
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const index = await loadIndex(origin);
+
+      await fs.appendFile(filePath, line);
+      const length = Buffer.byteLength(line);
+      index.runs.push({ runId, recordedAt: record.recordedAt, offset: index.size, length, listing: toRunListing(record) });
+      index.size += length;
+      await writeJsonAtomic(indexFilePath(origin), index);
+
+      await applyRetention(origin, index);
+    });
+  await appendQueue;
+
+  return runId;
+}
+
+/**
+ * List stored runs for an origin, newest first
+ * @param {string} origin - The origin name
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.limit - Maximum number of runs (default: 20)
+ * @param {string} filters.since - Only runs recorded at or after this ISO time
+ * @param {string} filters.until - Only runs recorded before this ISO time
+ * @returns {Promise<Array>} Compact run listings
+ */
+export async function listRuns(origin, filters = {}) {
+  const { limit = 20, since, until } = filters;
+  const entries = inRange(await indexedRuns(origin), since, until);
+
+  return entries
+    .reverse()
+    .slice(0, limit)
+    .map(entry => entry.listing);
+}
+
+function inRange(entries, since, until) {
+  return entries
+    .filter(entry => !since || entry.recordedAt >= new Date(since).toISOString())
+    .filter(entry => !until || entry.recordedAt < new Date(until).toISOString());
+}
+
+/**
+ * Full stored runs for an origin in a time range, oldest first
+ * @param {string} origin - The origin name
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.since - Only runs recorded at or after this ISO time
+ * @param {string} filters.until - Only runs recorded before this ISO time
+ * @returns {Promise<Array>} Full run records
+ */
+export async function getRuns(origin, filters = {}) {
+  const { since, until } = filters;
+  return readIndexedRuns(origin, inRange(await indexedRuns(origin), since, until));
+}
+
+/**
+ * Get one stored run
+ * @param {string} origin - The origin name
+ * @param {string} runId - The run id
+ * @returns {Promise<Object|null>} Full run record
+ */
+export async function getRun(origin, runId) {
+  const entry = (await indexedRuns(origin)).find(run => run.runId === runId);
+  return entry ? (await readIndexedRuns(origin, [entry]))[0] : null;
+}
+
+/**
+ * Get the most recent stored run
+ * @param {string} origin - The origin name
+ * @param {Object} options - Optional filters
+ * @param {string} options.before - Only consider runs recorded before this ISO time
+ * @returns {Promise<Object|null>} Full run record
+ */
+export async function getLatestRun(origin, options = {}) {
+  const { before } = options;
+  const entries = await indexedRuns(origin);
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (!before || entries[i].recordedAt < before) {
+      return (await readIndexedRuns(origin, [entries[i]]))[0];
+    }
+  }
+
+  return null;
+}
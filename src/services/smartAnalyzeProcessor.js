@@ -3,118 +3,12 @@
  * Production-ready data processing pipeline for smart analyze results
  */
 
-const ERROR_FILTERS = [
-  {
-    name: 'SEQUENTIAL ID BREAK WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'SEQUENTIAL ID BREAK WARNING',
-    key: 'sequentialIdBreak'
-  },
-  {
-    name: 'ENGINE HOURS HAVE CHANGED AFTER SHUT DOWN WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'ENGINE HOURS HAVE CHANGED AFTER SHUT DOWN WARNING',
-    key: 'engineHoursAfterShutdown'
-  },
-  {
-    name: 'ODOMETER ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'ODOMETER ERROR',
-    key: 'odometerError'
-  },
-  {
-    name: 'DIAGNOSTIC EVENT',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'DIAGNOSTIC EVENT',
-    key: 'diagnosticEvent'
-  },
-  {
-    name: 'LOCATION CHANGED ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'LOCATION CHANGED ERROR',
-    key: 'locationChangedError'
-  },
-  {
-    name: 'INCORRECT INTERMEDIATE PLACEMENT ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'INCORRECT INTERMEDIATE PLACEMENT ERROR',
-    key: 'incorrectIntermediatePlacementError'
-  },
-  {
-    name: 'ENGINE HOURS WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'ENGINE HOURS WARNING',
-    key: 'engineHoursWarning'
-  },
-  {
-    name: 'NO SHUT DOWN ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'NO SHUT DOWN ERROR',
-    key: 'noShutdownError'
-  },
-  {
-    name: 'EXCESSIVE LOG IN WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'EXCESSIVE LOG IN WARNING',
-    key: 'excessiveLogInWarning'
-  },
-  {
-    name: 'EXCESSIVE LOG OUT WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'EXCESSIVE LOG OUT WARNING',
-    key: 'excessiveLogOutWarning'
-  },
-  {
-    name: 'TWO IDENTICAL STATUSES ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'TWO IDENTICAL STATUSES ERROR',
-    key: 'twoIdenticalStatusesError'
-  },
-  {
-    name: 'DRIVING ORIGIN WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'DRIVING ORIGIN WARNING',
-    key: 'drivingOriginWarning'
-  },
-  {
-    name: 'NO DATA IN ODOMETER OR ENGINE HOURS ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'NO DATA IN ODOMETER OR ENGINE HOURS ERROR',
-    key: 'noDataInOdometerOrEngineHours'
-  },
-  {
-    name: 'LOCATION ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'LOCATION ERROR',
-    key: 'locationError'
-  },
-  {
-    name: 'LOCATION DID NOT CHANGE WARNING',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'LOCATION DID NOT CHANGE WARNING',
-    key: 'locationDidNotChangeWarning'
-  },
-  {
-    name: 'MISSING INTERMEDIATE ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'MISSING INTERMEDIATE ERROR',
-    key: 'missingIntermediateError'
-  },
-  {
-    name: 'INCORRECT STATUS PLACEMENT ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'INCORRECT STATUS PLACEMENT ERROR',
-    key: 'incorrectStatusPlacementError'
-  },
-  {
-    name: 'THE SPEED WAS MUCH HIGHER THAN THE SPEED LIMIT IN',
-    match: (errorMessage) => errorMessage && errorMessage.trim().startsWith('THE SPEED WAS MUCH HIGHER THAN THE SPEED LIMIT IN'),
-    key: 'speedMuchHigherThanLimit'
-  },
-  {
-    name: 'THE SPEED WAS HIGHER THAN THE SPEED',
-    match: (errorMessage) => errorMessage && errorMessage.trim().startsWith('THE SPEED WAS HIGHER THAN THE SPEED'),
-    key: 'speedHigherThanLimit'
-  },
-  {
-    name: 'EVENT HAS MANUAL LOCATION',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'EVENT HAS MANUAL LOCATION',
-    key: 'eventHasManualLocation'
-  },
-  {
-    name: 'NO POWER UP ERROR',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'NO POWER UP ERROR',
-    key: 'noPowerUpError'
-  },
-  {
-    name: 'UNIDENTIFIED DRIVER EVENT',
-    match: (errorMessage) => errorMessage && errorMessage.trim() === 'UNIDENTIFIED DRIVER EVENT',
-    key: 'unidentifiedDriverEvent'
-  },
-];
+import { emitProgress } from './progressEvents.js';
+import { resolveProfileName, getProfileFilters } from './filterProfiles.js';
+import { annotateLogs, countByTaxonomy } from './violationTaxonomy.js';
+import { createDiscoveryCollector, recordDiscoveries } from './messageDiscovery.js';
+import { createSpeedingCollector, buildSpeedingReport, reportEvents } from './speedingReport.js';
+import { createAuditCollector } from './filterAudit.js';
 
 /**
  * Remove duplicate companies based on companyId or companyName
@@ -165,18 +59,65 @@ function removeDuplicateDrivers(results) {
   });
 }
 
+/**
+ * Resolve the filter profile of each company in a run
+ * Rule lists are captured once per profile so a reload mid-run cannot mix two rule sets
+ * @param {string} origin - The origin name
+ * @param {string} profileOverride - Profile requested for this run (optional)
+ * @returns {Object} Resolver
+ */
+function createFilterResolver(origin, profileOverride) {
+  const filtersByProfile = new Map();
+  const companyProfiles = {};
+
+  const filtersFor = (name) => {
+    if (!filtersByProfile.has(name)) {
+      filtersByProfile.set(name, getProfileFilters(name));
+    }
+    return filtersByProfile.get(name);
+  };
+
+  const originProfile = resolveProfileName(origin, null, profileOverride);
+
+  return {
+    originProfile,
+    originFilters: filtersFor(originProfile),
+    companyProfiles,
+
+    forCompany(company) {
+      const name = resolveProfileName(origin, company.companyId, profileOverride);
+      if (name !== originProfile) {
+        companyProfiles[company.companyId || company.companyName] = name;
+      }
+      return filtersFor(name);
+    },
+
+    // Every rule used in the run, once per key
+    usedFilters() {
+      const byKey = new Map();
+      filtersByProfile.forEach(filters => filters.forEach(filter => byKey.set(filter.key, filter)));
+      return Array.from(byKey.values());
+    }
+  };
+}
+
 /**
  * Filter out specific error messages from logs and track statistics
  * @param {Array} results - Array of company results
  * @param {Object} stats - Statistics object to update
+ * @param {Object} resolver - Filter resolver from createFilterResolver
+ * @param {Object} collectors - { discovery, speeding, audit } collectors (optional)
  */
-function filterErrorMessages(results, stats) {
+function filterErrorMessages(results, stats, resolver, collectors = {}) {
+  const { discovery, speeding, audit } = collectors;
+
   if (!results) return;
 
   results.forEach(company => {
     if (!company.data) return;
 
     stats.companiesProcessed++;
+    const filters = resolver.forCompany(company);
 
     company.data.forEach(driver => {
       if (!driver.logs || !Array.isArray(driver.logs)) return;
@@ -185,16 +126,24 @@ function filterErrorMessages(results, stats) {
       const originalLength = driver.logs.length;
       stats.totalLogsProcessed += originalLength;
 
+      const context = { companyId: company.companyId, companyName: company.companyName, driverName: driver.driverName };
+
       // Apply all filters
       driver.logs = driver.logs.filter(log => {
+        // Speed messages feed the speeding report whether or not a rule removes them
+        speeding?.observe(log, context);
+
         // Check each filter
-        for (const filter of ERROR_FILTERS) {
-          if (filter.match(log.errorMessage)) {
-            stats.warningsRemoved[filter.key]++;
+        for (const filter of filters) {
+          if (filter.test(log.errorMessage)) {
+            stats.warningsRemoved[filter.key] = (stats.warningsRemoved[filter.key] || 0) + 1;
             stats.totalLogsRemoved++;
+            audit?.removed(company, driver, log, filter);
             return false; // Remove this log
           }
         }
+        discovery?.observe(log, context);
+        audit?.kept(company, driver, log);
         return true; // Keep this log
       });
     });
@@ -204,15 +153,18 @@ function filterErrorMessages(results, stats) {
 /**
  * Remove drivers that have no logs after filtering
  * @param {Array} results - Array of company results
+ * @param {Object} audit - Audit collector, told about every dropped driver (optional)
  */
-function removeEmptyDrivers(results) {
+function removeEmptyDrivers(results, audit) {
   if (!results) return;
 
   results.forEach(company => {
     if (!company.data) return;
 
     company.data = company.data.filter(driver => {
-      return driver.logs && driver.logs.length > 0;
+      const keep = driver.logs && driver.logs.length > 0;
+      if (!keep) audit?.dropped(company, driver);
+      return keep;
     });
   });
 }
@@ -222,10 +174,23 @@ function removeEmptyDrivers(results) {
  * @param {Object} data - Raw data from smartAnalyzeForOrigin
  * @param {Object} options - Processing options
  * @param {boolean} options.verbose - Enable detailed console logging (default: true)
+ * @param {EventEmitter} options.progress - Receives a "processing" event after each stage
+ * @param {string} options.profile - Filter profile for every company, overriding the origin/company assignments
+ * @param {boolean} options.discover - Record unknown error messages in the discovery registry (default: true)
+ * @param {Object} options.discovery - Collector from createDiscoveryCollector; the caller records its discoveries
+ *   (used by the retry flow so only the kept attempt is recorded)
+ * @param {boolean} options.audit - Record per company/driver which rules removed which logs in data.filterAudit (default: false)
+ * @param {number} options.auditSampleSize - Removed logs kept per driver and rule in the audit (default: 3)
  * @returns {Object} Processed data with statistics
  */
 export function processSmartAnalyzeResults(data, options = {}) {
-  const { verbose = true } = options;
+  const { verbose = true, progress, profile, discover = true, audit = false, auditSampleSize } = options;
+  const origin = data.summary?.origin;
+  const resolver = createFilterResolver(origin, profile);
+  const discovery = options.discovery || (discover ? createDiscoveryCollector() : null);
+  const speeding = createSpeedingCollector();
+  const auditCollector = audit ? createAuditCollector({ sampleSize: auditSampleSize, previous: data.filterAudit }) : null;
+  const stageDone = (stage, step) => emitProgress(progress, { type: 'processing', origin, stage, step, totalSteps: 5 });
 
   if (verbose) {
     console.log('\n' + '='.repeat(80));
@@ -243,12 +208,12 @@ export function processSmartAnalyzeResults(data, options = {}) {
   };
 
   // Initialize warning counters
-  ERROR_FILTERS.forEach(filter => {
+  resolver.originFilters.forEach(filter => {
     stats.warningsRemoved[filter.key] = 0;
   });
 
   // FILTER 1: Remove duplicate companies
-  if (verbose) console.log('\n[1/4] Removing duplicate companies...');
+  if (verbose) console.log('\n[1/5] Removing duplicate companies...');
 
   const beforeSuccessful = data.successfulResults?.length || 0;
   const beforeFailed = data.failedResults?.length || 0;
@@ -271,49 +236,111 @@ export function processSmartAnalyzeResults(data, options = {}) {
     console.log(`  → Removed ${duplicateCompaniesRemoved} duplicate companies`);
   }
   if (verbose) console.log('✓ Duplicate removal complete');
+  stageDone('duplicate-companies', 1);
 
   // FILTER 2: Remove duplicate drivers
-  if (verbose) console.log('\n[2/4] Removing duplicate drivers...');
+  if (verbose) console.log('\n[2/5] Removing duplicate drivers...');
   removeDuplicateDrivers(data.successfulResults);
   removeDuplicateDrivers(data.allResults);
   removeDuplicateDrivers(data.failedResults);
   if (verbose) console.log('✓ Duplicate driver removal complete');
+  stageDone('duplicate-drivers', 2);
 
   // FILTER 3: Filter error messages
-  if (verbose) console.log('\n[3/4] Filtering error messages...');
-  filterErrorMessages(data.successfulResults, stats);
-  filterErrorMessages(data.allResults, stats);
-  filterErrorMessages(data.failedResults, stats);
+  if (verbose) console.log(`\n[3/5] Filtering error messages (profile: ${resolver.originProfile})...`);
+  const collectors = { discovery, speeding, audit: auditCollector };
+  filterErrorMessages(data.successfulResults, stats, resolver, collectors);
+  filterErrorMessages(data.allResults, stats, resolver, collectors);
+  filterErrorMessages(data.failedResults, stats, resolver, collectors);
+  const discoveries = discovery ? discovery.discoveries() : [];
+
+  // Reprocessing (e.g. after individual retries) only sees the speed logs of newly merged companies,
+  // so earlier events are carried over; the report de-duplicates them
+  data.speedingReport = buildSpeedingReport([...reportEvents(data.speedingReport), ...speeding.events()]);
 
   if (verbose) {
+    const overrides = Object.keys(resolver.companyProfiles).length;
+    if (overrides > 0) {
+      console.log(`  ${overrides} companies use their own filter profile`);
+    }
     console.log('  Filters applied:');
-    ERROR_FILTERS.forEach(filter => {
+    resolver.usedFilters().forEach(filter => {
       const count = stats.warningsRemoved[filter.key];
       if (count > 0) {
         console.log(`    • ${filter.name}: ${count.toLocaleString()} removed`);
       }
     });
+    if (data.speedingReport.totals.count > 0) {
+      console.log(`  ${data.speedingReport.totals.count} speeding events moved to the speeding report`);
+    }
+    if (discoveries.length > 0) {
+      console.log(`  ${discoveries.length} unknown message types kept (see /api/discovered-messages)`);
+    }
   }
   if (verbose) console.log('✓ Error filtering complete');
+  stageDone('error-filters', 3);
+
+  if (!options.discovery && discoveries.length > 0 && origin) {
+    // Registry writes never hold up or fail processing
+    recordDiscoveries(origin, discoveries).catch(error => {
+      console.error(`[DISCOVERY] Failed to record unknown messages for ${origin}: ${error.message}`);
+    });
+  }
 
   // FILTER 4: Remove empty drivers
-  if (verbose) console.log('\n[4/4] Cleaning up empty entries...');
-  removeEmptyDrivers(data.successfulResults);
-  removeEmptyDrivers(data.allResults);
-  removeEmptyDrivers(data.failedResults);
+  if (verbose) console.log('\n[4/5] Cleaning up empty entries...');
+  removeEmptyDrivers(data.successfulResults, auditCollector);
+  removeEmptyDrivers(data.allResults, auditCollector);
+  removeEmptyDrivers(data.failedResults, auditCollector);
   if (verbose) console.log('✓ Cleanup complete');
+  stageDone('empty-drivers', 4);
+
+  if (auditCollector) {
+    data.filterAudit = auditCollector.build({
+      origin,
+      profile: resolver.originProfile,
+      companyProfiles: resolver.companyProfiles
+    });
+    if (verbose) {
+      const { removed, droppedDrivers } = data.filterAudit.totals;
+      console.log(`  Audit: ${removed.toLocaleString()} removed logs recorded, ${droppedDrivers} drivers dropped`);
+    }
+  }
+
+  // STEP 5: Classify remaining logs (category + severity)
+  if (verbose) console.log('\n[5/5] Classifying remaining logs...');
+  annotateLogs(data.successfulResults);
+  annotateLogs(data.allResults);
+  annotateLogs(data.failedResults);
+  const taxonomy = countByTaxonomy(data.successfulResults);
+  if (verbose) {
+    Object.entries(taxonomy.byCategory)
+      .filter(([, count]) => count > 0)
+      .forEach(([category, count]) => console.log(`    • ${category}: ${count.toLocaleString()}`));
+    console.log('✓ Classification complete');
+  }
+  stageDone('taxonomy', 5);
 
   // Update summary
   if (data.summary) {
     data.summary.processedAt = new Date().toISOString();
-    data.summary.filtersApplied = ERROR_FILTERS.map(f => f.name);
+    data.summary.filtersApplied = {
+      profile: resolver.originProfile,
+      rules: resolver.originFilters.map(f => f.name),
+      // Companies filtered with a different profile than the origin's
+      companyProfiles: resolver.companyProfiles
+    };
+    data.summary.speeding = data.speedingReport.totals;
     data.summary.processingStats = {
       totalLogsProcessed: stats.totalLogsProcessed,
       totalLogsRemoved: stats.totalLogsRemoved,
       remainingLogs: stats.totalLogsProcessed - stats.totalLogsRemoved,
       companiesProcessed: stats.companiesProcessed,
       driversProcessed: stats.driversProcessed,
-      warningsRemoved: stats.warningsRemoved
+      warningsRemoved: stats.warningsRemoved,
+      byCategory: taxonomy.byCategory,
+      bySeverity: taxonomy.bySeverity,
+      unknownMessageTypes: discoveries.length
     };
   }
 
@@ -0,0 +1,325 @@
+import path from 'path';
+import { resolveConfigPath, readConfigFileSync, watchConfigFile } from '../utils/configFile.js';
+import { violationKey } from './violationDiff.js';
+import { getRuns } from './runHistory.js';
+
+/**
+ * Speeding Report
+ * "THE SPEED WAS (MUCH) HIGHER THAN THE SPEED LIMIT IN ..." messages are filtered out of the remaining logs
+ * by default, but safety managers want them. The processor hands every speed message to a collector;
+ * the parsed events (location, state, recorded speed, limit) are grouped per company and driver and
+ * bucketed into threshold bands by how far over the limit the driver was (config/speedingThresholds.json):
+ *
+ *   { "unit": "MPH", "minOverBy": 0, "bands": [{ "key": "minor", "minOverBy": 0 }, { "key": "serious", "minOverBy": 10 }] }
+ *
+ * Events whose speeds could not be parsed are kept in the "unknown" band with the original message.
+ */
+
+const THRESHOLDS_FILE = process.env.SPEEDING_THRESHOLDS_FILE
+  ? path.resolve(process.env.SPEEDING_THRESHOLDS_FILE)
+  : resolveConfigPath('speedingThresholds.json');
+
+const DEFAULT_THRESHOLDS = {
+  unit: 'MPH',
+  minOverBy: 0,
+  bands: [
+    { key: 'minor', minOverBy: 0 },
+    { key: 'serious', minOverBy: 10 },
+    { key: 'severe', minOverBy: 20 }
+  ]
+};
+
+export const UNKNOWN_BAND = 'unknown';
+
+let thresholds = null;
+
+const SPEED_MESSAGE = /^THE SPEED WAS (MUCH )?HIGHER THAN THE SPEED/;
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const UNIT = '\\s*(MPH|KM\\/H|KPH|KMH)?';
+
+// Tried in order; each yields [speed, unit, limit]
+const SPEED_PATTERNS = [
+  // "... SPEED: 78 MPH, LIMIT: 65 MPH" / "SPEED 78 LIMIT 65"
+  { regex: new RegExp(`\\bSPEED:?\\s+${NUMBER}${UNIT}[^\\d]*?\\bLIMIT:?\\s+${NUMBER}`), speed: 1, unit: 2, limit: 3 },
+  // "... (78 MPH VS 65 MPH)" / "78/65" / "78 > 65"
+  { regex: new RegExp(`${NUMBER}${UNIT}\\s*(?:VS\\.?|\\/|>|OVER|WHEN THE LIMIT (?:WAS|IS))\\s*${NUMBER}`), speed: 1, unit: 2, limit: 3 }
+];
+
+/**
+ * Parse a speed message
+ * @param {string} errorMessage - Message as returned by Fortex
+ * @returns {Object|null} { level, location, state, speed, limit, overBy, unit }, or null for other messages
+ */
+export function parseSpeedMessage(errorMessage) {
+  const message = (errorMessage || '').trim().toUpperCase();
+  const match = SPEED_MESSAGE.exec(message);
+  if (!match) return null;
+
+  const parsed = {
+    level: match[1] ? 'muchHigher' : 'higher',
+    location: null,
+    state: null,
+    speed: null,
+    limit: null,
+    overBy: null,
+    unit: null
+  };
+
+  // Location follows "LIMIT IN" and ends at the speeds, a date ("AT ...") or the end of the message
+  const location = /\bLIMIT IN\s+(.+?)(?:\s*[(:-]|\s+AT\s|\s+SPEED\b|\s+\d|$)/.exec(message);
+  if (location) {
+    parsed.location = location[1].replace(/[,.\s]+$/, '') || null;
+    const state = /(?:^|,\s*|\s)([A-Z]{2})$/.exec(parsed.location || '');
+    parsed.state = state ? state[1] : null;
+  }
+
+  for (const pattern of SPEED_PATTERNS) {
+    const speeds = pattern.regex.exec(message);
+    if (speeds) {
+      parsed.speed = Number(speeds[pattern.speed]);
+      parsed.limit = Number(speeds[pattern.limit]);
+      parsed.unit = speeds[pattern.unit] || null;
+      break;
+    }
+  }
+
+  // Fallback: the first two numbers with a unit are the recorded speed and the limit
+  if (parsed.speed === null) {
+    const withUnit = [...message.matchAll(/(\d+(?:\.\d+)?)\s*(MPH|KM\/H|KPH|KMH)\b/g)];
+    if (withUnit.length >= 2) {
+      parsed.speed = Number(withUnit[0][1]);
+      parsed.limit = Number(withUnit[1][1]);
+      parsed.unit = withUnit[0][2];
+    }
+  }
+
+  if (parsed.speed !== null && parsed.limit !== null) {
+    parsed.overBy = Math.round((parsed.speed - parsed.limit) * 10) / 10;
+  }
+
+  return parsed;
+}
+
+/**
+ * Read and validate the thresholds file (defaults when the file is missing)
+ * @returns {Object} { unit, minOverBy, bands } with bands sorted by minOverBy
+ */
+function loadThresholds() {
+  let config;
+  try {
+    config = readConfigFileSync(THRESHOLDS_FILE);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    config = DEFAULT_THRESHOLDS;
+  }
+
+  const bands = config.bands || DEFAULT_THRESHOLDS.bands;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error(`Invalid speeding thresholds in ${THRESHOLDS_FILE}: "bands" must be a non-empty list`);
+  }
+  const invalid = bands.filter(band => typeof band.key !== 'string' || typeof band.minOverBy !== 'number');
+  if (invalid.length > 0) {
+    throw new Error(`Invalid speeding thresholds in ${THRESHOLDS_FILE}: every band needs a "key" and a numeric "minOverBy"`);
+  }
+
+  return {
+    unit: config.unit || DEFAULT_THRESHOLDS.unit,
+    minOverBy: typeof config.minOverBy === 'number' ? config.minOverBy : DEFAULT_THRESHOLDS.minOverBy,
+    bands: [...bands].sort((a, b) => a.minOverBy - b.minOverBy)
+  };
+}
+
+/**
+ * Speeding thresholds from config/speedingThresholds.json
+ * Loaded once and reloaded by startSpeedingThresholdsWatcher(); an invalid file never fails a run; the default
+ * bands are used until a valid file has been loaded
+ * @returns {Object} { unit, minOverBy, bands } with bands sorted by minOverBy
+ */
+export function getSpeedingThresholds() {
+  if (!thresholds) {
+    try {
+      thresholds = loadThresholds();
+    } catch (error) {
+      console.error(`[SPEEDING] Using default thresholds: ${error.message}`);
+      thresholds = { ...DEFAULT_THRESHOLDS, bands: [...DEFAULT_THRESHOLDS.bands] };
+    }
+  }
+  return thresholds;
+}
+
+/**
+ * Reload the thresholds whenever the file changes; an invalid file keeps the previous thresholds
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Enable/disable watching (default: true)
+ * @returns {Object|null} { close } handle
+ */
+export function startSpeedingThresholdsWatcher(options = {}) {
+  const { enabled = true } = options;
+
+  getSpeedingThresholds();
+  if (!enabled) {
+    return null;
+  }
+
+  return watchConfigFile(THRESHOLDS_FILE, () => {
+    try {
+      thresholds = loadThresholds();
+      console.log(`[SPEEDING] Reloaded ${thresholds.bands.length} speeding bands`);
+    } catch (error) {
+      console.error(`[SPEEDING] Keeping previous thresholds: ${error.message}`);
+    }
+  });
+}
+
+function bandFor(overBy, bands) {
+  if (overBy === null) return UNKNOWN_BAND;
+
+  let band = bands[0].key;
+  bands.forEach(candidate => {
+    if (overBy >= candidate.minOverBy) band = candidate.key;
+  });
+  return band;
+}
+
+function emptyBandCounts(bands) {
+  return Object.fromEntries([...bands.map(band => band.key), UNKNOWN_BAND].map(key => [key, 0]));
+}
+
+/**
+ * Collects speed messages seen during one processing run, whether or not a rule removes them
+ * The processor visits shared company objects more than once, so each log is only kept once
+ * @returns {Object} { observe(log, context), events() }
+ */
+export function createSpeedingCollector() {
+  const seenLogs = new WeakSet();
+  const events = [];
+
+  return {
+    observe(log, context) {
+      if (seenLogs.has(log)) return;
+      seenLogs.add(log);
+
+      const parsed = parseSpeedMessage(log.errorMessage);
+      if (!parsed) return;
+
+      events.push({
+        companyId: context.companyId,
+        companyName: context.companyName,
+        driverName: context.driverName,
+        eventCode: log.eventCode,
+        errorTime: log.errorTime,
+        errorMessage: log.errorMessage,
+        ...parsed
+      });
+    },
+
+    events() {
+      return events;
+    }
+  };
+}
+
+/**
+ * Every event of a report, flattened
+ * @param {Object} report - From buildSpeedingReport
+ * @returns {Array} Events
+ */
+export function reportEvents(report) {
+  if (!report) return [];
+
+  return report.companies.flatMap(company => company.drivers.flatMap(driver => driver.events));
+}
+
+/**
+ * Group speeding events per company and driver
+ * Events are de-duplicated (same company, driver and log), so merged or overlapping runs are safe to combine
+ * @param {Array} events - From createSpeedingCollector().events() or reportEvents()
+ * @param {Object} thresholds - Thresholds (default: getSpeedingThresholds())
+ * @returns {Object} { thresholds, totals, companies: [{ ..., drivers: [{ driverName, count, maxOverBy, byBand, events }] }] }
+ */
+export function buildSpeedingReport(events, thresholds = getSpeedingThresholds()) {
+  const companies = new Map();
+  const seen = new Set();
+  const counters = () => ({ count: 0, maxOverBy: null, byBand: emptyBandCounts(thresholds.bands) });
+  const totals = { ...counters(), companies: 0, drivers: 0 };
+
+  const addTo = (target, event) => {
+    target.count++;
+    target.byBand[event.band]++;
+    if (event.overBy !== null && (target.maxOverBy === null || event.overBy > target.maxOverBy)) {
+      target.maxOverBy = event.overBy;
+    }
+  };
+
+  events.forEach(event => {
+    // Below the reporting threshold; unparsed events are always reported
+    if (event.overBy !== null && event.overBy < thresholds.minOverBy) return;
+
+    const companyKey = event.companyId || event.companyName;
+    const key = [companyKey, event.driverName, violationKey(event)].join('|');
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    if (!companies.has(companyKey)) {
+      companies.set(companyKey, {
+        companyId: event.companyId,
+        companyName: event.companyName,
+        ...counters(),
+        drivers: new Map()
+      });
+    }
+    const company = companies.get(companyKey);
+
+    if (!company.drivers.has(event.driverName)) {
+      company.drivers.set(event.driverName, { driverName: event.driverName, ...counters(), events: [] });
+    }
+    const driver = company.drivers.get(event.driverName);
+
+    const banded = { ...event, band: bandFor(event.overBy, thresholds.bands) };
+    driver.events.push(banded);
+    addTo(driver, banded);
+    addTo(company, banded);
+    addTo(totals, banded);
+  });
+
+  const byCount = (a, b) => b.count - a.count;
+
+  const companyList = Array.from(companies.values())
+    .map(company => ({ ...company, drivers: Array.from(company.drivers.values()).sort(byCount) }))
+    .sort(byCount);
+
+  totals.companies = companyList.length;
+  totals.drivers = companyList.reduce((sum, company) => sum + company.drivers.length, 0);
+
+  return {
+    thresholds,
+    totals,
+    companies: companyList
+  };
+}
+
+/**
+ * Speeding report over the stored runs of an origin (e.g. the last 7 days for a weekly review)
+ * Runs overlap, so the same event seen in several runs is counted once
+ * @param {string} origin - The origin name
+ * @param {Object} options - Report options
+ * @param {number} options.days - Look back this many days (default: 7)
+ * @param {string} options.since - ISO time to start from instead of days
+ * @returns {Promise<Object>} { origin, since, runs, ...report }
+ */
+export async function getSpeedingReport(origin, options = {}) {
+  const { days = 7 } = options;
+  const since = options.since
+    ? new Date(options.since).toISOString()
+    : new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const runs = await getRuns(origin, { since });
+  const events = runs.flatMap(run => reportEvents(run.speedingReport));
+
+  return {
+    origin,
+    since,
+    runs: runs.length,
+    ...buildSpeedingReport(events)
+  };
+}
@@ -0,0 +1,348 @@
+import { getUpdates, sendMessage } from "../apis/telegram.js";
+import { getAvailableOrigins } from "./fortexBatch.js";
+import { createJob, listJobs } from "./jobManager.js";
+import { getLatestRun } from "./runHistory.js";
+import { listOrigins } from "./originRegistry.js";
+import { PROGRESS_EVENT } from "./progressEvents.js";
+import { delay, isCancellation } from "../utils/abort.js";
+
+/**
+ * Telegram Bot
+ * Long-polls the Bot API and answers commands with the existing pipeline services
+ */
+
+// Telegram rejects messages longer than 4096 characters
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Keep reports readable in a chat window
+const MAX_LOGS_PER_DRIVER = 5;
+
+const HELP_TEXT = [
+  "<b>Napoleon bot</b>",
+  "",
+  "/origins - list origins and company counts",
+  "/analyze &lt;ORIGIN&gt; - run a full retry analysis",
+  "/status - running and recent analyses",
+  "/last &lt;ORIGIN&gt; - remaining violations from the last run",
+  "/failed - companies that failed in the last runs",
+].join("\n");
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Split a long report into messages under Telegram's size limit, breaking on lines
+ * @param {string} text - Full text
+ * @returns {Array<string>} Message chunks
+ */
+function splitMessage(text) {
+  const chunks = [];
+  let current = "";
+
+  for (const line of text.split("\n")) {
+    const piece = line.length > MAX_MESSAGE_LENGTH ? `${line.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : line;
+    if (current.length + piece.length + 1 > MAX_MESSAGE_LENGTH) {
+      chunks.push(current);
+      current = "";
+    }
+    current += (current ? "\n" : "") + piece;
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Format a processed analysis result as a violations report
+ * @param {Object} result - Result of runOriginAnalysisWithRetry
+ * @returns {string} HTML text
+ */
+export function formatViolationReport(result) {
+  const { summary } = result;
+  const lines = [
+    `<b>${escapeHtml(summary.origin)}</b> - ${summary.successful}/${summary.totalCompanies} companies (${summary.successRate})`,
+  ];
+
+  if (summary.processingStats) {
+    lines.push(`Remaining logs: ${summary.processingStats.remainingLogs} of ${summary.processingStats.totalLogsProcessed}`);
+  }
+  if (summary.processedAt) {
+    lines.push(`Processed: ${summary.processedAt}`);
+  }
+
+  const companies = (result.successfulResults || []).filter(company => company.data?.length > 0);
+
+  if (companies.length === 0 && summary.successful > 0) {
+    lines.push("", "No remaining violations 🎉");
+  }
+
+  companies.forEach(company => {
+    lines.push("", `🏢 <b>${escapeHtml(company.companyName)}</b>`);
+
+    company.data.forEach(driver => {
+      const logs = driver.logs || [];
+      lines.push(`  👤 ${escapeHtml(driver.driverName || driver.driverId)} - ${logs.length} violation${logs.length === 1 ? "" : "s"}`);
+
+      logs.slice(0, MAX_LOGS_PER_DRIVER).forEach(log => {
+        lines.push(`    • ${escapeHtml((log.errorMessage || "").trim())}${log.errorTime ? ` (${escapeHtml(log.errorTime)})` : ""}`);
+      });
+      if (logs.length > MAX_LOGS_PER_DRIVER) {
+        lines.push(`    … ${logs.length - MAX_LOGS_PER_DRIVER} more`);
+      }
+    });
+  });
+
+  if (result.failedResults?.length > 0) {
+    lines.push("", `⚠️ Failed companies: ${result.failedResults.length}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Most recent recorded run for an origin, from any source (API, cron, jobs, bot)
+ * @param {string} origin - The origin name
+ * @returns {Promise<Object|null>} Run history record
+ */
+async function getLastResult(origin) {
+  return getLatestRun(origin);
+}
+
+/**
+ * Match a typed origin name against the registry, ignoring case
+ * @param {string} name - Origin as typed in the chat
+ * @returns {Promise<string|null>} The registered origin name, or null if there is none
+ */
+async function resolveOrigin(name) {
+  const origins = await listOrigins({ includeDisabled: true });
+  const match = origins.find(entry => entry.origin.toLowerCase() === name.toLowerCase());
+  return match ? match.origin : null;
+}
+
+const commands = {
+  async help() {
+    return HELP_TEXT;
+  },
+
+  async origins() {
+    const origins = await getAvailableOrigins();
+    return [
+      "<b>Origins</b>",
+      ...origins.map(origin => `• ${escapeHtml(origin.origin)} - ${origin.companiesCount} companies`),
+    ].join("\n");
+  },
+
+  async analyze(args, context) {
+    if (!args[0]) return "Usage: /analyze &lt;ORIGIN&gt;";
+
+    const origin = await resolveOrigin(args[0]);
+    const origins = await getAvailableOrigins();
+    if (!origin || !origins.some(o => o.origin === origin)) {
+      return `Unknown origin ${escapeHtml(args[0])}. Try /origins`;
+    }
+
+    let job;
+    try {
+      job = createJob(origin, { verbose: false, source: "telegram" });
+    } catch (error) {
+      return `⚠️ ${escapeHtml(error.message)}`;
+    }
+
+    // Report back to the chat that asked once the job ends
+    job.events.on(PROGRESS_EVENT, (event) => {
+      if (event.type !== "job-finished") return;
+
+      const text = job.status === "completed"
+        ? formatViolationReport(job.result)
+        : `❌ Analysis of ${escapeHtml(origin)} ${job.status}${job.error ? `: ${escapeHtml(job.error)}` : ""}`;
+
+      context.reply(text).catch(() => {});
+    });
+
+    return `⏳ Started analysis of <b>${escapeHtml(origin)}</b> (job <code>${job.id}</code>). This usually takes 6-8 minutes.`;
+  },
+
+  async status() {
+    const running = listJobs({ status: "running" });
+    const recent = listJobs({ limit: 5 }).filter(job => job.status !== "running");
+
+    const lines = ["<b>Running</b>"];
+    if (running.length === 0) lines.push("Nothing running");
+    running.forEach(job => {
+      const { progress } = job;
+      lines.push(
+        `• ${escapeHtml(job.origin)} - ${progress.phase}, attempt ${progress.attempt}/${progress.maxRetries}` +
+        (progress.total ? `, ${progress.completed}/${progress.total} companies` : "")
+      );
+    });
+
+    if (recent.length > 0) {
+      lines.push("", "<b>Recent</b>");
+      recent.forEach(job => {
+        const detail = job.result
+          ? `${job.result.summary.successful}/${job.result.summary.totalCompanies} successful`
+          : job.error || "";
+        lines.push(`• ${escapeHtml(job.origin)} - ${job.status} ${escapeHtml(detail)} (${job.finishedAt || job.startedAt})`);
+      });
+    }
+
+    return lines.join("\n");
+  },
+
+  async last(args) {
+    if (!args[0]) return "Usage: /last &lt;ORIGIN&gt;";
+
+    const origin = await resolveOrigin(args[0]);
+    if (!origin) return `Unknown origin ${escapeHtml(args[0])}. Try /origins`;
+
+    const result = await getLastResult(origin);
+    if (!result) return `No completed run for ${escapeHtml(origin)} yet. Start one with /analyze ${escapeHtml(origin)}`;
+
+    return formatViolationReport(result);
+  },
+
+  async failed() {
+    const origins = await getAvailableOrigins();
+    const lines = ["<b>Failed companies (last runs)</b>"];
+
+    for (const { origin } of origins) {
+      const result = await getLastResult(origin);
+      if (!result) continue;
+
+      if (result.failedResults.length === 0) {
+        lines.push(`• ${escapeHtml(origin)} - none`);
+        continue;
+      }
+
+      lines.push(`• <b>${escapeHtml(origin)}</b> - ${result.failedResults.length} failed`);
+      result.failedResults.forEach(company => {
+        lines.push(`    ◦ ${escapeHtml(company.companyName)}: ${escapeHtml(company.error)}`);
+      });
+    }
+
+    if (lines.length === 1) lines.push("No completed runs yet");
+    return lines.join("\n");
+  },
+};
+
+commands.start = commands.help;
+
+/**
+ * Parse "/command@BotName arg1 arg2" into its parts
+ * @param {string} text - Message text
+ * @returns {Object|null} { name, args }
+ */
+function parseCommand(text) {
+  const match = /^\/([a-z_]+)(?:@\S+)?(?:\s+(.*))?$/i.exec((text || "").trim());
+  if (!match) return null;
+
+  return {
+    name: match[1].toLowerCase(),
+    args: (match[2] || "").split(/\s+/).filter(Boolean),
+  };
+}
+
+/**
+ * Starts the Telegram bot long-polling loop
+ * @param {Object} options - Configuration options
+ * @param {string} options.token - Bot token
+ * @param {boolean} options.enabled - Enable/disable the bot (default: true)
+ * @param {Array<string>} options.allowedChatIds - Only answer these chats; the bot does not start without any
+ * @param {number} options.pollTimeout - Long-poll timeout in seconds (default: 30)
+ * @returns {Object|null} { stop } handle
+ */
+export function startTelegramBot(options = {}) {
+  const {
+    token,
+    enabled = true,
+    allowedChatIds = [],
+    pollTimeout = 30
+  } = options;
+
+  if (!enabled) {
+    console.log("[BOT] Telegram bot is disabled");
+    return null;
+  }
+
+  if (!token) {
+    console.warn("[BOT] No bot token configured, Telegram bot not started");
+    return null;
+  }
+
+  // Anyone who finds the bot could otherwise start analyses and read violation data
+  if (allowedChatIds.length === 0) {
+    console.warn("[BOT] No allowed chats configured (TELEGRAM_ALLOWED_CHAT_IDS), Telegram bot not started");
+    return null;
+  }
+
+  const controller = new AbortController();
+  let offset = 0;
+
+  const handleMessage = async (message) => {
+    const chatId = message.chat.id;
+
+    if (!allowedChatIds.includes(String(chatId))) {
+      console.warn(`[BOT] Ignoring message from unauthorized chat ${chatId}`);
+      return;
+    }
+
+    const command = parseCommand(message.text);
+    if (!command) return;
+
+    const reply = async (text) => {
+      for (const chunk of splitMessage(text)) {
+        await sendMessage(token, chatId, chunk);
+      }
+    };
+
+    const handler = commands[command.name];
+    if (!handler) {
+      await reply(`Unknown command /${escapeHtml(command.name)}\n\n${HELP_TEXT}`);
+      return;
+    }
+
+    console.log(`[BOT] /${command.name} ${command.args.join(" ")} from chat ${chatId}`);
+
+    try {
+      await reply(await handler(command.args, { chatId, reply }));
+    } catch (error) {
+      console.error(`[BOT] /${command.name} failed:`, error.message);
+      await reply(`❌ ${escapeHtml(error.message)}`);
+    }
+  };
+
+  const poll = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        const updates = await getUpdates(token, offset, { pollTimeout, signal: controller.signal });
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          if (update.message) {
+            handleMessage(update.message).catch(error => {
+              console.error("[BOT] Failed to handle message:", error.message);
+            });
+          }
+        }
+      } catch (error) {
+        if (isCancellation(error)) break;
+        // Back off before polling again
+        await delay(5000, controller.signal).catch(() => {});
+      }
+    }
+  };
+
+  poll();
+  console.log("[BOT] Telegram bot started");
+
+  return {
+    stop() {
+      controller.abort();
+      console.log("[BOT] Telegram bot stopped");
+    }
+  };
+}
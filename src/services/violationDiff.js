@@ -0,0 +1,180 @@
+/**
+ * Violation Diff
+ * Compares the remaining violations of two processed runs of the same origin.
+ * Every company, driver and log is classified as new, persisting or resolved.
+ *
+ * Companies that failed (or were missing) in the current run are reported as "unverified":
+ * their previous violations are not counted as resolved because we could not check them.
+ */
+
+/**
+ * Identify a log across runs
+ * @param {Object} log - Log entry ({ eventCode, errorTime, errorMessage })
+ * @returns {string}
+ */
+export function violationKey(log) {
+  return [log.eventCode || '', log.errorTime || '', (log.errorMessage || '').trim()].join('|');
+}
+
+function companyKey(company) {
+  return company.companyId || company.companyName;
+}
+
+function driverKey(driver) {
+  return driver.driverName || driver.driverId;
+}
+
+/**
+ * Index remaining violations as company -> driver -> log key -> log
+ * @param {Array} successfulResults - Processed successful results
+ * @returns {Map}
+ */
+function indexViolations(successfulResults = []) {
+  const companies = new Map();
+
+  successfulResults.forEach(company => {
+    const drivers = new Map();
+
+    (company.data || []).forEach(driver => {
+      const logs = drivers.get(driverKey(driver))?.logs || new Map();
+      (driver.logs || []).forEach(log => logs.set(violationKey(log), log));
+      drivers.set(driverKey(driver), { driver, logs });
+    });
+
+    companies.set(companyKey(company), { company, drivers });
+  });
+
+  return companies;
+}
+
+/**
+ * Status of a company or driver from its log counts
+ */
+function entryStatus(counts) {
+  if (counts.new > 0 && counts.persisting === 0 && counts.resolved === 0) return 'new';
+  if (counts.resolved > 0 && counts.new === 0 && counts.persisting === 0) return 'resolved';
+  return 'persisting';
+}
+
+/**
+ * Diff two drivers' logs
+ */
+function diffDriver(name, previousLogs = new Map(), currentLogs = new Map()) {
+  const driver = { driverName: name, new: [], persisting: [], resolved: [] };
+
+  currentLogs.forEach((log, key) => {
+    (previousLogs.has(key) ? driver.persisting : driver.new).push(log);
+  });
+  previousLogs.forEach((log, key) => {
+    if (!currentLogs.has(key)) driver.resolved.push(log);
+  });
+
+  driver.counts = {
+    new: driver.new.length,
+    persisting: driver.persisting.length,
+    resolved: driver.resolved.length
+  };
+  driver.status = entryStatus(driver.counts);
+
+  return driver;
+}
+
+function buildCompany(company, drivers) {
+  const counts = drivers.reduce((sum, driver) => ({
+    new: sum.new + driver.counts.new,
+    persisting: sum.persisting + driver.counts.persisting,
+    resolved: sum.resolved + driver.counts.resolved
+  }), { new: 0, persisting: 0, resolved: 0 });
+
+  return {
+    companyId: company.companyId,
+    companyName: company.companyName,
+    status: entryStatus(counts),
+    counts,
+    drivers
+  };
+}
+
+/**
+ * Compare two processed runs of the same origin
+ *
+ * @param {Object|null} previous - Previous run (history record or processed result), null for the first run
+ * @param {Object} current - Current run (history record or processed result)
+ * @returns {Object} Diff with totals and per company/driver classification
+ */
+export function diffRuns(previous, current) {
+  const previousIndex = indexViolations(previous?.successfulResults);
+  const currentIndex = indexViolations(current.successfulResults);
+  const unverifiedIds = new Set((current.failedResults || []).map(companyKey));
+
+  const totals = { new: 0, persisting: 0, resolved: 0, unverified: 0 };
+  const companies = [];
+  const unverifiedCompanies = [];
+
+  // Companies analyzed successfully now (including ones whose violations all went away)
+  currentIndex.forEach(({ company, drivers }, id) => {
+    const previousDrivers = previousIndex.get(id)?.drivers || new Map();
+    const driverNames = new Set([...drivers.keys(), ...previousDrivers.keys()]);
+
+    const diffedDrivers = Array.from(driverNames).map(name =>
+      diffDriver(name, previousDrivers.get(name)?.logs, drivers.get(name)?.logs)
+    );
+
+    const entry = buildCompany(company, diffedDrivers);
+    if (entry.counts.new + entry.counts.persisting + entry.counts.resolved > 0) {
+      companies.push(entry);
+    }
+  });
+
+  // Companies analyzed before but without a successful result now
+  previousIndex.forEach(({ company, drivers }, id) => {
+    if (currentIndex.has(id)) return;
+
+    unverifiedCompanies.push({
+      companyId: company.companyId,
+      companyName: company.companyName,
+      reason: unverifiedIds.has(id) ? 'failed' : 'missing',
+      previousViolations: Array.from(drivers.values()).reduce((sum, d) => sum + d.logs.size, 0)
+    });
+  });
+
+  companies.forEach(company => {
+    totals.new += company.counts.new;
+    totals.persisting += company.counts.persisting;
+    totals.resolved += company.counts.resolved;
+  });
+  totals.unverified = unverifiedCompanies.reduce((sum, c) => sum + c.previousViolations, 0);
+
+  return {
+    origin: current.summary?.origin || previous?.summary?.origin,
+    previousRunId: previous?.runId || previous?.summary?.runId || null,
+    currentRunId: current.runId || current.summary?.runId || null,
+    // Without a previous run every violation is new
+    baseline: !previous,
+    comparedAt: new Date().toISOString(),
+    totals,
+    companies,
+    unverifiedCompanies
+  };
+}
+
+/**
+ * Strip persisting violations from a diff, keeping only companies and drivers that changed
+ * @param {Object} diff - Result of diffRuns
+ * @returns {Object} Diff with only new and resolved violations
+ */
+export function changesOnly(diff) {
+  const companies = diff.companies
+    .map(company => ({
+      ...company,
+      drivers: company.drivers
+        .filter(driver => driver.counts.new > 0 || driver.counts.resolved > 0)
+        .map(({ persisting, ...driver }) => driver)
+    }))
+    .filter(company => company.drivers.length > 0);
+
+  return {
+    ...diff,
+    companies
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Violation Taxonomy
+ * Maps a Fortex errorMessage to a category and a severity
+ *
+ * Categories are matched in order, so more specific patterns come first
+ * (e.g. "ENGINE HOURS HAVE CHANGED AFTER SHUT DOWN WARNING" is odometer/engine hours, not status sequencing).
+ * Severity comes from the message suffix (ERROR / WARNING / EVENT); messages without one
+ * fall back to the category's default severity.
+ */
+
+export const CATEGORIES = [
+  {
+    key: 'unidentifiedDriving',
+    label: 'Unidentified driving',
+    pattern: /UNIDENTIFIED/,
+    defaultSeverity: 'event'
+  },
+  {
+    key: 'diagnostics',
+    label: 'Diagnostics / malfunctions',
+    pattern: /DIAGNOSTIC|MALFUNCTION/,
+    defaultSeverity: 'event'
+  },
+  {
+    key: 'speed',
+    label: 'Speed',
+    pattern: /SPEED/,
+    defaultSeverity: 'warning'
+  },
+  {
+    key: 'loginLogout',
+    label: 'Login / logout',
+    pattern: /LOG ?IN\b|LOG ?OUT\b/,
+    defaultSeverity: 'warning'
+  },
+  {
+    key: 'odometerEngineHours',
+    label: 'Odometer / engine hours',
+    pattern: /ODOMETER|ENGINE HOURS/,
+    defaultSeverity: 'error'
+  },
+  {
+    key: 'location',
+    label: 'Location',
+    pattern: /LOCATION|INTERMEDIATE/,
+    defaultSeverity: 'warning'
+  },
+  {
+    key: 'statusSequencing',
+    label: 'Status sequencing',
+    pattern: /STATUS|SEQUENTIAL ID|SHUT DOWN|POWER UP|DRIVING ORIGIN/,
+    defaultSeverity: 'error'
+  },
+  {
+    key: 'hoursOfService',
+    label: 'Hours of service',
+    pattern: /VIOLATION/,
+    defaultSeverity: 'violation'
+  }
+];
+
+export const OTHER_CATEGORY = 'other';
+
+// Most to least serious
+export const SEVERITIES = ['violation', 'error', 'warning', 'event', 'info'];
+
+const SUFFIX_SEVERITIES = [
+  { suffix: /\bERROR$/, severity: 'error' },
+  { suffix: /\bWARNING$/, severity: 'warning' },
+  { suffix: /\bEVENT$/, severity: 'event' }
+];
+
+/**
+ * Classify an errorMessage
+ * @param {string} errorMessage - Message as returned by Fortex
+ * @returns {Object} { category, severity }
+ */
+export function classifyMessage(errorMessage) {
+  const message = (errorMessage || '').trim().toUpperCase();
+  const category = CATEGORIES.find(c => c.pattern.test(message));
+  const suffix = SUFFIX_SEVERITIES.find(s => s.suffix.test(message));
+
+  return {
+    category: category ? category.key : OTHER_CATEGORY,
+    severity: suffix ? suffix.severity : (category?.defaultSeverity || 'info')
+  };
+}
+
+/**
+ * Annotate every log of processed results with its category and severity
+ * @param {Array} results - Array of company results
+ */
+export function annotateLogs(results) {
+  if (!results) return;
+
+  results.forEach(company => {
+    (company.data || []).forEach(driver => {
+      (driver.logs || []).forEach(log => {
+        Object.assign(log, classifyMessage(log.errorMessage));
+      });
+    });
+  });
+}
+
+/**
+ * Count annotated logs per category and per severity
+ * @param {Array} results - Array of annotated company results
+ * @returns {Object} { byCategory, bySeverity }
+ */
+export function countByTaxonomy(results) {
+  const byCategory = Object.fromEntries([...CATEGORIES.map(c => c.key), OTHER_CATEGORY].map(key => [key, 0]));
+  const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+
+  (results || []).forEach(company => {
+    (company.data || []).forEach(driver => {
+      (driver.logs || []).forEach(log => {
+        byCategory[log.category]++;
+        bySeverity[log.severity]++;
+      });
+    });
+  });
+
+  return { byCategory, bySeverity };
+}
@@ -0,0 +1,370 @@
+import cron from "node-cron";
+import axios from "axios";
+import { createHmac, randomUUID } from "crypto";
+import { readJsonFile, writeJsonFile } from "../utils/dataStore.js";
+
+/**
+ * Webhook Outbox
+ * Webhook payloads are stored in data/outbox.json before they are sent, so a receiver that is down or slow
+ * does not lose a run's results. A delivery is retried with exponential backoff until the receiver answers
+ * with a 2xx; after WEBHOOK_MAX_ATTEMPTS failed attempts it is moved to the dead letters, where it stays
+ * until it is replayed (see the /api/admin/webhooks endpoints) or dropped: only the newest
+ * WEBHOOK_OUTBOX_KEEP_DEAD dead letters are kept, each for at most WEBHOOK_OUTBOX_DEAD_MAX_AGE_DAYS.
+ *
+ *   {
+ *     "id": "5b0c6f1e-...",
+ *     "url": "https://receiver.example.com/hook",
+ *     "status": "pending",                     pending, delivered or deadLetter
+ *     "attempts": 2,
+ *     "nextAttemptAt": "...",
+ *     "lastError": { "message": "...", "status": 503, "at": "..." },
+ *     "payload": { ... }                       dropped once delivered
+ *   }
+ *
+ * Every request is signed when WEBHOOK_SECRET is set. Receivers verify it by computing
+ * HMAC-SHA256(secret, `${X-Napoleon-Timestamp}.${raw body}`) and comparing it with X-Napoleon-Signature
+ * ("sha256=<hex>"); X-Napoleon-Delivery is the delivery id and stays the same across retries, so receivers can
+ * drop duplicates.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const OUTBOX_FILE = "outbox.json";
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const TIMEOUT_MS = envNumber("WEBHOOK_TIMEOUT_MS", 30000);
+const MAX_ATTEMPTS = envNumber("WEBHOOK_MAX_ATTEMPTS", 8);
+const BACKOFF_BASE_MS = envNumber("WEBHOOK_BACKOFF_BASE_MS", 60 * 1000);
+const BACKOFF_MAX_MS = envNumber("WEBHOOK_BACKOFF_MAX_MS", 60 * 60 * 1000);
+// Delivered entries kept (without payload) for inspection
+const KEEP_DELIVERED = envNumber("WEBHOOK_OUTBOX_KEEP_DELIVERED", 50);
+// Dead letters keep their payloads for replays, so they are capped as well (0 disables the age limit)
+const KEEP_DEAD = envNumber("WEBHOOK_OUTBOX_KEEP_DEAD", 20);
+const DEAD_MAX_AGE_DAYS = envNumber("WEBHOOK_OUTBOX_DEAD_MAX_AGE_DAYS", 7);
+
+const DELIVERY_STATUSES = ["pending", "delivered", "deadLetter"];
+
+let outboxCache = null;
+let writeQueue = Promise.resolve();
+let processing = null;
+// Deliveries with an attempt under way; the worker leaves them alone
+const inFlight = new Set();
+
+/**
+ * Load the outbox
+ * @returns {Promise<Object>} Outbox ({ updatedAt, deliveries: [delivery] })
+ */
+async function loadOutbox() {
+  if (!outboxCache) {
+    outboxCache = await readJsonFile(OUTBOX_FILE, { updatedAt: null, deliveries: [] });
+  }
+  return outboxCache;
+}
+
+/**
+ * Persist the outbox (writes are serialized)
+ */
+function saveOutbox() {
+  outboxCache.updatedAt = new Date().toISOString();
+  const snapshot = JSON.parse(JSON.stringify(outboxCache));
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => writeJsonFile(OUTBOX_FILE, snapshot));
+  return writeQueue;
+}
+
+/**
+ * Wait before the next attempt: exponential, capped at WEBHOOK_BACKOFF_MAX_MS
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+}
+
+/**
+ * Signature headers of a request body
+ * @param {string} deliveryId - The delivery id
+ * @param {string} body - The exact JSON body that is sent
+ * @returns {Object} Headers
+ */
+function signatureHeaders(deliveryId, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "X-Napoleon-Delivery": deliveryId,
+    "X-Napoleon-Timestamp": timestamp
+  };
+
+  if (WEBHOOK_SECRET) {
+    const digest = createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+    headers["X-Napoleon-Signature"] = `sha256=${digest}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Drop delivered entries beyond WEBHOOK_OUTBOX_KEEP_DELIVERED and dead letters beyond WEBHOOK_OUTBOX_KEEP_DEAD
+ * or older than WEBHOOK_OUTBOX_DEAD_MAX_AGE_DAYS, oldest first
+ */
+function pruneOutbox(outbox) {
+  const delivered = outbox.deliveries.filter(delivery => delivery.status === "delivered");
+  const excess = new Set(delivered.slice(0, Math.max(0, delivered.length - KEEP_DELIVERED)));
+
+  const cutoff = DEAD_MAX_AGE_DAYS > 0 ? new Date(Date.now() - DEAD_MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString() : null;
+  const dead = outbox.deliveries
+    .filter(delivery => delivery.status === "deadLetter")
+    .sort((a, b) => a.deadLetteredAt.localeCompare(b.deadLetteredAt));
+  const expired = dead.filter((delivery, position) =>
+    position < dead.length - KEEP_DEAD || (cutoff && delivery.deadLetteredAt < cutoff)
+  );
+  expired.forEach(delivery => excess.add(delivery));
+  if (expired.length > 0) {
+    console.log(`[WEBHOOK] Dropped ${expired.length} old dead letters: ${expired.map(delivery => delivery.id).join(", ")}`);
+  }
+
+  outbox.deliveries = outbox.deliveries.filter(delivery => !excess.has(delivery));
+}
+
+/**
+ * Make one attempt at a pending delivery and record the outcome
+ * @param {Object} delivery - Outbox entry (mutated)
+ * @returns {Promise<Object>} { sent, status, response, error }
+ */
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const now = new Date();
+  delivery.attempts++;
+  delivery.lastAttemptAt = now.toISOString();
+  inFlight.add(delivery.id);
+
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        ...signatureHeaders(delivery.id, body)
+      },
+      timeout: TIMEOUT_MS
+    });
+
+    Object.assign(delivery, {
+      status: "delivered",
+      deliveredAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      responseStatus: response.status,
+      payloadBytes: Buffer.byteLength(body),
+      payload: null
+    });
+    console.log(`[WEBHOOK] ✓ Delivery ${delivery.id} acknowledged (status: ${response.status}, attempt ${delivery.attempts})`);
+
+    return { sent: true, status: response.status, response: response.data };
+  } catch (error) {
+    delivery.lastError = { message: error.message, status: error.response?.status ?? null, at: now.toISOString() };
+
+    if (delivery.attempts >= delivery.maxAttempts) {
+      Object.assign(delivery, { status: "deadLetter", deadLetteredAt: new Date().toISOString(), nextAttemptAt: null });
+      console.error(`[WEBHOOK] ✗ Delivery ${delivery.id} dead-lettered after ${delivery.attempts} attempts: ${error.message}`);
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + backoffMs(delivery.attempts)).toISOString();
+      console.error(`[WEBHOOK] ✗ Delivery ${delivery.id} failed (attempt ${delivery.attempts}/${delivery.maxAttempts}), retrying at ${delivery.nextAttemptAt}: ${error.message}`);
+    }
+
+    return { sent: false, error: error.message, status: error.response?.status };
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/**
+ * Store a payload in the outbox and make the first attempt right away
+ * When that attempt fails, the delivery stays pending and processOutbox() retries it
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<Object>} { sent, deliveryId, deliveryStatus, attempts, nextAttemptAt, status, response, error }
+ */
+export async function enqueueWebhook(url, payload) {
+  const outbox = await loadOutbox();
+  const delivery = {
+    id: randomUUID(),
+    url,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    // If the process dies during the first attempt, the worker sends the delivery once this has passed
+    nextAttemptAt: new Date(Date.now() + TIMEOUT_MS).toISOString(),
+    lastAttemptAt: null,
+    lastError: null,
+    replays: 0,
+    payload
+  };
+
+  // Claimed before it is stored, so a worker run in between does not send it as well
+  inFlight.add(delivery.id);
+  outbox.deliveries.push(delivery);
+  await saveOutbox();
+
+  const result = await attemptDelivery(delivery);
+  pruneOutbox(outbox);
+  await saveOutbox();
+
+  return {
+    ...result,
+    deliveryId: delivery.id,
+    deliveryStatus: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt
+  };
+}
+
+/**
+ * Retry every pending delivery that is due, one at a time
+ * Runs are not stacked: a call while a run is in progress returns that run
+ * @returns {Promise<Object>} { attempted, delivered, deadLettered }
+ */
+export function processOutbox() {
+  if (!processing) {
+    processing = runDueDeliveries().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+}
+
+async function runDueDeliveries() {
+  const outbox = await loadOutbox();
+  const now = Date.now();
+  const due = outbox.deliveries.filter(delivery =>
+    delivery.status === "pending" && !inFlight.has(delivery.id) && Date.parse(delivery.nextAttemptAt) <= now
+  );
+  const counts = { attempted: due.length, delivered: 0, deadLettered: 0 };
+
+  for (const delivery of due) {
+    if (inFlight.has(delivery.id)) continue;
+    await attemptDelivery(delivery);
+    if (delivery.status === "delivered") counts.delivered++;
+    if (delivery.status === "deadLetter") counts.deadLettered++;
+    await saveOutbox();
+  }
+
+  if (due.length > 0) {
+    pruneOutbox(outbox);
+    await saveOutbox();
+  }
+
+  return counts;
+}
+
+/**
+ * Deliveries without their payloads, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - Only deliveries with this status (pending, delivered, deadLetter)
+ * @returns {Promise<Array<Object>>} Delivery summaries
+ */
+export async function listDeliveries(filters = {}) {
+  const { status } = filters;
+  const outbox = await loadOutbox();
+
+  return outbox.deliveries
+    .filter(delivery => !status || delivery.status === status)
+    .map(({ payload, ...delivery }) => ({
+      ...delivery,
+      payloadBytes: payload ? Buffer.byteLength(JSON.stringify(payload)) : delivery.payloadBytes ?? null
+    }))
+    .reverse();
+}
+
+/**
+ * Get one delivery, with its payload while it is still held
+ * @param {string} id - Delivery id
+ * @returns {Promise<Object|null>} Delivery (copy), or null if unknown
+ */
+export async function getDelivery(id) {
+  const outbox = await loadOutbox();
+  const delivery = outbox.deliveries.find(entry => entry.id === id);
+  return delivery ? JSON.parse(JSON.stringify(delivery)) : null;
+}
+
+/**
+ * Send a dead-lettered delivery again, with a fresh set of attempts
+ * @param {string} id - Delivery id
+ * @param {Object} options - Replay options
+ * @param {string} options.url - Send to this URL instead of the original one (e.g. after the receiver moved)
+ * @returns {Promise<Object|null>} Result of the first attempt (see enqueueWebhook), or null if the id is unknown
+ */
+export async function replayDelivery(id, options = {}) {
+  const outbox = await loadOutbox();
+  const delivery = outbox.deliveries.find(entry => entry.id === id);
+  if (!delivery) return null;
+
+  if (delivery.status !== "deadLetter") {
+    throw new Error(`Delivery ${id} is ${delivery.status}; only dead-lettered deliveries can be replayed`);
+  }
+
+  Object.assign(delivery, {
+    status: "pending",
+    url: options.url || delivery.url,
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: new Date(Date.now() + TIMEOUT_MS).toISOString(),
+    deadLetteredAt: null,
+    replays: (delivery.replays || 0) + 1
+  });
+  console.log(`[WEBHOOK] Replaying delivery ${id} (replay ${delivery.replays})`);
+  inFlight.add(delivery.id);
+  await saveOutbox();
+
+  const result = await attemptDelivery(delivery);
+  pruneOutbox(outbox);
+  await saveOutbox();
+
+  return {
+    ...result,
+    deliveryId: delivery.id,
+    deliveryStatus: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt
+  };
+}
+
+/**
+ * Starts the outbox worker, which retries due deliveries (including those left pending by a restart)
+ * @param {Object} options - Configuration options
+ * @param {string} options.schedule - Cron schedule expression (default: "* * * * *" = every minute)
+ * @param {boolean} options.enabled - Enable/disable the worker (default: true)
+ * @returns {Object|null} The scheduled task, or null when disabled or invalid
+ */
+export function startOutboxWorker(options = {}) {
+  const {
+    schedule = "* * * * *",
+    enabled = true
+  } = options;
+
+  if (!enabled) {
+    console.log("[WEBHOOK] Outbox worker is disabled");
+    return null;
+  }
+
+  if (!cron.validate(schedule)) {
+    console.error(`[WEBHOOK] Invalid cron schedule: ${schedule}`);
+    return null;
+  }
+
+  const task = cron.schedule(schedule, () => {
+    processOutbox().catch(error => {
+      console.error("[WEBHOOK] Outbox run failed:", error.message);
+    });
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log(`[WEBHOOK] Outbox worker scheduled: ${schedule}${WEBHOOK_SECRET ? "" : " (WEBHOOK_SECRET not set, requests are not signed)"}`);
+
+  return task;
+}
+
+export { DELIVERY_STATUSES };
@@ -0,0 +1,496 @@
+import assert from 'assert/strict';
+
+/**
+ * Deterministic checks of the resilience building blocks, without Fortex
+ * - Circuit breaker: closed → open → halfOpen transitions, probe outcomes, waiting callers (fake clock)
+ * - Adaptive pool: ramp-up, halving on throttles, cooldown, abort (stubbed task functions)
+ * - Fortex client: backoff with jitter, Retry-After, per-origin breaker (stubbed axios adapter)
+ *
+ * Usage:
+ *   node src/test/testResilience.js
+ *
+ * Exits with 1 when a check fails.
+ */
+
+// Fortex client settings are read at import time; keep its waits short and its breaker small
+Object.assign(process.env, {
+  FORTEX_CALL_RETRIES: '2',
+  FORTEX_BACKOFF_BASE_MS: '20',
+  FORTEX_BACKOFF_MAX_MS: '40',
+  FORTEX_RETRY_AFTER_MAX_MS: '1000',
+  FORTEX_BREAKER_ENABLED: 'true',
+  FORTEX_BREAKER_FAILURE_RATIO: '0.5',
+  FORTEX_BREAKER_MIN_CALLS: '2',
+  FORTEX_BREAKER_WINDOW: '4',
+  FORTEX_BREAKER_OPEN_MS: '60000'
+});
+
+const { default: axios, AxiosError } = await import('axios');
+const { createCircuitBreaker, CircuitOpenError } = await import('../utils/circuitBreaker.js');
+const { runAdaptivePool, isThrottleError } = await import('../utils/adaptivePool.js');
+const { smartAnalyze, isCircuitOpen, resetCircuit } = await import('../apis/fortex.js');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Replace Date.now with a clock the test moves by hand
+ */
+function useFakeClock(start = Date.UTC(2025, 0, 1)) {
+  const realNow = Date.now;
+  let now = start;
+  Date.now = () => now;
+  return {
+    advance(ms) { now += ms; },
+    restore() { Date.now = realNow; }
+  };
+}
+
+/**
+ * Silence the Fortex client's per-request logging
+ */
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+}
+
+const fail = (message = 'boom') => Promise.reject(new Error(message));
+const ok = (value = 'ok') => Promise.resolve(value);
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+test('breaker stays closed until minCalls outcomes are known', async () => {
+  const breaker = createCircuitBreaker('t', { minCalls: 4, windowSize: 4, failureRatio: 0.5 });
+
+  for (let i = 0; i < 3; i++) await breaker.run(fail).catch(() => {});
+  assert.equal(breaker.state(), 'closed');
+
+  await breaker.run(fail).catch(() => {});
+  assert.equal(breaker.state(), 'open');
+});
+
+test('breaker opens at the failure ratio and rejects without calling', async () => {
+  const clock = useFakeClock();
+  try {
+    const transitions = [];
+    const breaker = createCircuitBreaker('t', {
+      minCalls: 4,
+      windowSize: 4,
+      failureRatio: 0.5,
+      openMs: 1000,
+      onStateChange: (state, previous) => transitions.push(`${previous}→${state}`)
+    });
+
+    await breaker.run(ok);
+    await breaker.run(ok);
+    await breaker.run(fail).catch(() => {});
+    assert.equal(breaker.state(), 'closed');
+    await breaker.run(fail).catch(() => {});
+    assert.equal(breaker.state(), 'open');
+
+    let called = false;
+    const error = await breaker.run(() => { called = true; return ok(); }).catch(e => e);
+    assert.ok(error instanceof CircuitOpenError);
+    assert.equal(error.errorClass, 'circuitOpen');
+    assert.equal(error.retryAt, new Date(Date.now() + 1000).toISOString());
+    assert.equal(called, false);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.status().rejectedCalls, 1);
+
+    clock.advance(999);
+    assert.equal(breaker.state(), 'open');
+    clock.advance(1);
+    assert.equal(breaker.state(), 'halfOpen');
+    assert.equal(breaker.canRequest(), true);
+    assert.deepEqual(transitions, ['closed→open', 'open→halfOpen']);
+  } finally {
+    clock.restore();
+  }
+});
+
+test('breaker ignores healthy answers (isFailure false) and cancellations (null) as failures', async () => {
+  const breaker = createCircuitBreaker('t', {
+    minCalls: 2,
+    windowSize: 2,
+    isFailure: (error) => error.message === 'down' ? true : error.message === 'cancelled' ? null : false
+  });
+
+  await breaker.run(() => fail('404')).catch(() => {});
+  await breaker.run(() => fail('cancelled')).catch(() => {});
+  await breaker.run(() => fail('cancelled')).catch(() => {});
+  assert.equal(breaker.state(), 'closed');
+  assert.equal(breaker.status().recentCalls, 1);
+
+  await breaker.run(() => fail('down')).catch(() => {});
+  assert.equal(breaker.state(), 'open');
+});
+
+async function openBreaker(options = {}) {
+  const clock = useFakeClock();
+  const breaker = createCircuitBreaker('t', { minCalls: 1, windowSize: 1, openMs: 1000, ...options });
+  await breaker.run(fail).catch(() => {});
+  assert.equal(breaker.state(), 'open');
+  clock.advance(1000);
+  return { breaker, clock };
+}
+
+test('half-open: a successful probe closes the breaker and the waiting calls go through', async () => {
+  const { breaker, clock } = await openBreaker();
+  try {
+    const probe = deferred();
+    let calls = 0;
+
+    const probeRun = breaker.run(() => { calls++; return probe.promise; });
+    const waiting = [1, 2, 3].map(n => breaker.run(() => { calls++; return ok(n); }));
+    await tick();
+
+    assert.equal(calls, 1, 'only the probe is sent while it is out');
+    assert.equal(breaker.status().probeInFlight, true);
+
+    probe.resolve('probe');
+    assert.equal(await probeRun, 'probe');
+    assert.deepEqual(await Promise.all(waiting), [1, 2, 3]);
+    assert.equal(calls, 4);
+    assert.equal(breaker.state(), 'closed');
+    assert.equal(breaker.status().probes, 1);
+    assert.equal(breaker.status().rejectedCalls, 0);
+  } finally {
+    clock.restore();
+  }
+});
+
+test('half-open: a failed probe opens the breaker again and the waiting calls fail with circuitOpen', async () => {
+  const { breaker, clock } = await openBreaker();
+  try {
+    const probe = deferred();
+    let calls = 0;
+
+    const probeRun = breaker.run(() => { calls++; return probe.promise; }).catch(e => e);
+    const waiting = [1, 2].map(() => breaker.run(() => { calls++; return ok(); }).catch(e => e));
+    await tick();
+
+    probe.reject(new Error('still down'));
+    assert.equal((await probeRun).message, 'still down');
+    (await Promise.all(waiting)).forEach(error => assert.equal(error.errorClass, 'circuitOpen'));
+    assert.equal(calls, 1);
+    assert.equal(breaker.state(), 'open');
+    assert.equal(breaker.status().opens, 2);
+  } finally {
+    clock.restore();
+  }
+});
+
+test('half-open: a cancelled probe leaves the breaker half-open and the next caller probes', async () => {
+  const { breaker, clock } = await openBreaker({ isFailure: (error) => error.message === 'cancelled' ? null : true });
+  try {
+    const probe = deferred();
+    const probeRun = breaker.run(() => probe.promise).catch(e => e);
+    const next = breaker.run(() => ok('second probe'));
+    await tick();
+
+    probe.reject(new Error('cancelled'));
+    await probeRun;
+    assert.equal(await next, 'second probe');
+    assert.equal(breaker.state(), 'closed');
+    assert.equal(breaker.status().probes, 2);
+  } finally {
+    clock.restore();
+  }
+});
+
+test('reset closes an open breaker and forgets recent outcomes', async () => {
+  const { breaker, clock } = await openBreaker();
+  try {
+    clock.advance(-1000);
+    assert.equal(breaker.state(), 'open');
+    breaker.reset();
+    assert.equal(breaker.state(), 'closed');
+    assert.equal(breaker.status().recentCalls, 0);
+    assert.equal(await breaker.run(ok), 'ok');
+  } finally {
+    clock.restore();
+  }
+});
+
+// ============================================================================
+// ADAPTIVE POOL
+// ============================================================================
+
+const throttle = () => Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+
+/**
+ * Worker that records how many tasks were in flight when each one started
+ */
+function trackingWorker(outcome = () => 'ok') {
+  const started = [];
+  let inFlight = 0;
+
+  const worker = async (item, index) => {
+    inFlight++;
+    started.push({ index, inFlight });
+    await tick();
+    inFlight--;
+    const result = outcome(item, index);
+    if (result instanceof Error) throw result;
+    return result;
+  };
+
+  return { worker, started };
+}
+
+test('isThrottleError: 429, 5xx and timeouts are throttles; other errors are not', () => {
+  assert.equal(isThrottleError({ response: { status: 429 } }), true);
+  assert.equal(isThrottleError({ response: { status: 502 } }), true);
+  assert.equal(isThrottleError({ code: 'ECONNABORTED' }), true);
+  assert.equal(isThrottleError(new Error('timeout of 1000ms exceeded')), true);
+  assert.equal(isThrottleError({ response: { status: 404 } }), false);
+  assert.equal(isThrottleError(new Error('bad payload')), false);
+});
+
+test('pool ramps up one slot per rampUpAfter successes, up to maxConcurrency', async () => {
+  const { worker, started } = trackingWorker((item) => item * 2);
+  const items = Array.from({ length: 12 }, (_, i) => i);
+
+  const { results, stats } = await runAdaptivePool(items, worker, {
+    initialConcurrency: 1,
+    maxConcurrency: 3,
+    rampUpAfter: 2
+  });
+
+  assert.deepEqual(results.map(r => r.value), items.map(i => i * 2), 'results keep the input order');
+  assert.equal(started[0].inFlight, 1);
+  assert.equal(Math.max(...started.map(s => s.inFlight)), 3);
+  assert.equal(stats.peakConcurrency, 3);
+  assert.equal(stats.rampUps, 2);
+  assert.equal(stats.finalConcurrency, 3);
+  assert.equal(stats.throttleEvents, 0);
+});
+
+test('pool halves its concurrency on a throttle and never goes below minConcurrency', async () => {
+  const { worker, started } = trackingWorker((_item, index) => index < 2 ? throttle() : 'ok');
+
+  const { results, stats } = await runAdaptivePool(Array.from({ length: 8 }), worker, {
+    initialConcurrency: 4,
+    maxConcurrency: 4,
+    minConcurrency: 1,
+    rampUpAfter: 100,
+    throttleCooldownMs: 0
+  });
+
+  assert.equal(results[0].status, 'rejected');
+  assert.equal(results[0].reason.response.status, 503);
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 6);
+  assert.equal(stats.throttleEvents, 2);
+  // 4 → 2 → 1
+  assert.equal(stats.finalConcurrency, 1);
+  assert.ok(started.slice(4).every(s => s.inFlight <= 2), 'no more than the halved limit after the throttles');
+});
+
+test('pool waits out the cooldown before launching after a throttle', async () => {
+  const cooldownMs = 50;
+  const startedAt = [];
+  const worker = async (_item, index) => {
+    startedAt.push(Date.now());
+    if (index === 0) throw throttle();
+    return 'ok';
+  };
+
+  const { stats } = await runAdaptivePool([0, 1], worker, {
+    initialConcurrency: 1,
+    maxConcurrency: 1,
+    throttleCooldownMs: cooldownMs
+  });
+
+  assert.equal(stats.throttleEvents, 1);
+  assert.ok(startedAt[1] - startedAt[0] >= cooldownMs - 1, `second task started after ${startedAt[1] - startedAt[0]}ms`);
+});
+
+test('pool does not count non-throttle failures as throttles', async () => {
+  const { worker } = trackingWorker((_item, index) => index === 0 ? new Error('404') : 'ok');
+
+  const { stats } = await runAdaptivePool([0, 1, 2, 3], worker, {
+    initialConcurrency: 2,
+    maxConcurrency: 4,
+    rampUpAfter: 1
+  });
+
+  assert.equal(stats.throttleEvents, 0);
+  assert.equal(stats.finalConcurrency, 4);
+});
+
+test('pool rejects unstarted items with the abort reason and still settles', async () => {
+  const controller = new AbortController();
+  const reason = new Error('cancelled');
+  const worker = async (_item, index) => {
+    if (index === 0) controller.abort(reason);
+    await tick();
+    return 'ok';
+  };
+
+  const { results } = await runAdaptivePool([0, 1, 2, 3], worker, {
+    initialConcurrency: 1,
+    maxConcurrency: 1,
+    signal: controller.signal
+  });
+
+  assert.equal(results[0].status, 'fulfilled');
+  results.slice(1).forEach(result => {
+    assert.equal(result.status, 'rejected');
+    assert.equal(result.reason, reason);
+  });
+});
+
+// ============================================================================
+// FORTEX CLIENT (stubbed axios adapter)
+// ============================================================================
+
+/**
+ * Answer Fortex requests from a list of canned responses: a number is an error status, an array a 200 body;
+ * headers can be given as { status, headers }
+ */
+function stubFortex(responses) {
+  const requests = [];
+  axios.defaults.adapter = async (config) => {
+    requests.push({ url: config.url, at: Date.now() });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    const { status, headers = {}, data = [] } = typeof next === 'number' ? { status: next } : Array.isArray(next) ? { status: 200, data: next } : next;
+    const response = { status, statusText: String(status), headers, data, config, request: {} };
+
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+    }
+    return response;
+  };
+  return requests;
+}
+
+test('fortex: retryable failures are retried with backoff and jitter', async () => {
+  const realRandom = Math.random;
+  // Full jitter range: waits are the ceiling (20ms, then 40ms)
+  Math.random = () => 1;
+  try {
+    const requests = stubFortex([503, 502, [{ driver: 'A' }]]);
+    const data = await quietly(() => smartAnalyze('RETRY', 'Company:1'));
+
+    assert.deepEqual(data, [{ driver: 'A' }]);
+    assert.equal(requests.length, 3);
+    assert.ok(requests[1].at - requests[0].at >= 19, 'first retry waits the first backoff');
+    assert.ok(requests[2].at - requests[1].at >= 39, 'second retry waits the doubled backoff');
+  } finally {
+    Math.random = realRandom;
+  }
+});
+
+test('fortex: the last failure carries errorClass and attempts once retries run out', async () => {
+  const requests = stubFortex([503]);
+  const error = await quietly(() => smartAnalyze('RETRY', 'Company:1')).catch(e => e);
+
+  assert.equal(error.errorClass, 'server');
+  assert.equal(error.attempts, 3);
+  assert.equal(requests.length, 3);
+  resetCircuit('RETRY');
+});
+
+test('fortex: non-retryable failures are not retried', async () => {
+  const requests = stubFortex([404]);
+  const error = await quietly(() => smartAnalyze('CLIENT', 'Company:1')).catch(e => e);
+
+  assert.equal(error.errorClass, 'client');
+  assert.equal(error.attempts, 1);
+  assert.equal(requests.length, 1);
+});
+
+test('fortex: Retry-After is waited out when it is longer than the backoff', async () => {
+  const realRandom = Math.random;
+  Math.random = () => 0;
+  try {
+    const requests = stubFortex([{ status: 429, headers: { 'retry-after': '0.1' } }, []]);
+    await quietly(() => smartAnalyze('LIMITED', 'Company:1'));
+
+    assert.equal(requests.length, 2);
+    assert.ok(requests[1].at - requests[0].at >= 99, `retried after ${requests[1].at - requests[0].at}ms`);
+  } finally {
+    Math.random = realRandom;
+  }
+});
+
+test('fortex: a Retry-After beyond FORTEX_RETRY_AFTER_MAX_MS goes back to the caller', async () => {
+  const requests = stubFortex([{ status: 429, headers: { 'retry-after': '5' } }]);
+  const error = await quietly(() => smartAnalyze('LIMITED', 'Company:1')).catch(e => e);
+
+  assert.equal(error.errorClass, 'rateLimited');
+  assert.equal(error.retryAfterMs, 5000);
+  assert.equal(requests.length, 1);
+  resetCircuit('LIMITED');
+});
+
+test('fortex: bad payloads fail without retries', async () => {
+  stubFortex([{ status: 200, data: { error: 'not a list' } }]);
+  const error = await quietly(() => smartAnalyze('PAYLOAD', 'Company:1')).catch(e => e);
+
+  assert.equal(error.errorClass, 'badPayload');
+  assert.equal(error.attempts, 1);
+  resetCircuit('PAYLOAD');
+});
+
+test('fortex: the origin breaker opens on Fortex failures only and then skips the request', async () => {
+  const origin = 'BREAKER';
+  stubFortex([404]);
+  await quietly(() => smartAnalyze(origin, 'Company:1')).catch(() => {});
+  await quietly(() => smartAnalyze(origin, 'Company:2')).catch(() => {});
+  assert.equal(isCircuitOpen(origin), false, '404s come from a working Fortex');
+
+  // 2 healthy + 2 failed outcomes in the window of 4 reach the 0.5 ratio
+  const requests = stubFortex([500]);
+  await quietly(() => smartAnalyze(origin, 'Company:1', { retries: 0 })).catch(() => {});
+  assert.equal(isCircuitOpen(origin), false);
+  await quietly(() => smartAnalyze(origin, 'Company:2', { retries: 0 })).catch(() => {});
+  assert.equal(isCircuitOpen(origin), true);
+
+  const sent = requests.length;
+  const error = await smartAnalyze(origin, 'Company:4').catch(e => e);
+  assert.equal(error.errorClass, 'circuitOpen');
+  assert.equal(requests.length, sent, 'no request while the breaker is open');
+  assert.equal(isCircuitOpen('OTHER'), false, 'breakers are per origin');
+
+  resetCircuit(origin);
+  assert.equal(isCircuitOpen(origin), false);
+});
+
+// ============================================================================
+
+async function main() {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message.split('\n').join('\n  ')}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} checks passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,43 @@
+/**
+ * Cancellation helpers built on AbortSignal
+ */
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Check whether an error comes from a cancelled operation
+ * @param {Error} error - Any error
+ * @returns {boolean} True for AbortSignal reasons and axios cancellations
+ */
+export function isCancellation(error) {
+  return error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+}
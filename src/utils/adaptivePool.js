@@ -0,0 +1,162 @@
+/**
+ * Adaptive Concurrency Pool
+ * Runs async tasks with a bounded number in flight, ramping up while calls succeed
+ * and backing off when the upstream signals overload (429/5xx/timeouts)
+ */
+
+/**
+ * Check whether an error means the upstream is overloaded
+ * @param {Error} error - Error thrown by a task
+ * @returns {boolean} True for 429, 5xx and timeouts
+ */
+export function isThrottleError(error) {
+  const status = error?.response?.status;
+  if (status === 429 || status >= 500) return true;
+
+  return error?.code === 'ECONNABORTED' ||
+    error?.code === 'ETIMEDOUT' ||
+    /timeout/i.test(error?.message || '');
+}
+
+/**
+ * Run a worker over every item with adaptive concurrency
+ * Like Promise.allSettled(), results keep the input order and a failing task never rejects the pool
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => value
+ * @param {Object} options - Pool options
+ * @param {number} options.maxConcurrency - Upper bound of tasks in flight (default: 6)
+ * @param {number} options.initialConcurrency - Tasks in flight at start (default: min(2, maxConcurrency))
+ * @param {number} options.minConcurrency - Lower bound when throttling (default: 1)
+ * @param {number} options.rampUpAfter - Consecutive non-throttled completions before adding one slot (default: 2)
+ * @param {number} options.throttleCooldownMs - Pause before launching new tasks after a throttle (default: 5000)
+ * @param {Function} options.isThrottle - Classifies an error as a throttle signal (default: isThrottleError)
+ * @param {AbortSignal} options.signal - Stops launching new tasks; unstarted items are rejected with the abort reason
+ * @returns {Promise<Object>} { results: [{ status, value | reason }], stats }
+ */
+export function runAdaptivePool(items, worker, options = {}) {
+  const {
+    maxConcurrency = 6,
+    minConcurrency = 1,
+    rampUpAfter = 2,
+    throttleCooldownMs = 5000,
+    isThrottle = isThrottleError,
+    signal
+  } = options;
+
+  const max = Math.max(1, maxConcurrency);
+  const min = Math.min(Math.max(1, minConcurrency), max);
+  const initial = Math.min(Math.max(min, options.initialConcurrency ?? Math.min(2, max)), max);
+
+  const stats = {
+    initialConcurrency: initial,
+    maxConcurrency: max,
+    peakConcurrency: 0,
+    finalConcurrency: initial,
+    throttleEvents: 0,
+    rampUps: 0
+  };
+
+  const results = new Array(items.length);
+
+  if (items.length === 0) {
+    return Promise.resolve({ results, stats });
+  }
+
+  return new Promise((resolve) => {
+    let limit = initial;
+    let inFlight = 0;
+    let nextIndex = 0;
+    let settledCount = 0;
+    let successStreak = 0;
+    let cooldownUntil = 0;
+    let cooldownTimer = null;
+
+    const finish = () => {
+      signal?.removeEventListener('abort', launch);
+      resolve({ results, stats });
+    };
+
+    const launch = () => {
+      if (signal?.aborted) {
+        // Settle everything that has not started yet
+        while (nextIndex < items.length) {
+          results[nextIndex++] = { status: 'rejected', reason: signal.reason };
+          settledCount++;
+        }
+        if (cooldownTimer) {
+          clearTimeout(cooldownTimer);
+          cooldownTimer = null;
+        }
+        if (inFlight === 0) {
+          finish();
+        }
+        return;
+      }
+
+      const now = Date.now();
+
+      if (now < cooldownUntil) {
+        // Wake up once the cooldown is over if nothing else will
+        if (!cooldownTimer && inFlight === 0) {
+          cooldownTimer = setTimeout(() => {
+            cooldownTimer = null;
+            launch();
+          }, cooldownUntil - now);
+        }
+        return;
+      }
+
+      while (inFlight < limit && nextIndex < items.length) {
+        const index = nextIndex++;
+        inFlight++;
+        stats.peakConcurrency = Math.max(stats.peakConcurrency, inFlight);
+
+        Promise.resolve()
+          .then(() => worker(items[index], index))
+          .then(
+            (value) => {
+              results[index] = { status: 'fulfilled', value };
+              onSettled(false);
+            },
+            (reason) => {
+              results[index] = { status: 'rejected', reason };
+              onSettled(isThrottle(reason));
+            }
+          );
+      }
+    };
+
+    const onSettled = (throttled) => {
+      inFlight--;
+      settledCount++;
+
+      if (throttled) {
+        stats.throttleEvents++;
+        successStreak = 0;
+        limit = Math.max(min, Math.floor(limit / 2));
+        cooldownUntil = Date.now() + throttleCooldownMs;
+      } else {
+        successStreak++;
+        if (successStreak >= rampUpAfter && limit < max) {
+          limit++;
+          stats.rampUps++;
+          successStreak = 0;
+        }
+      }
+
+      stats.finalConcurrency = limit;
+
+      if (settledCount === items.length) {
+        finish();
+        return;
+      }
+
+      launch();
+    };
+
+    signal?.addEventListener('abort', launch, { once: true });
+
+    launch();
+  });
+}
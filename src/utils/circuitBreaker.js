@@ -0,0 +1,194 @@
+/**
+ * Circuit Breaker
+ * Stops calling an upstream that keeps failing. The breaker watches the outcome of the last `windowSize`
+ * calls and moves between three states:
+ *
+ *   closed    calls go through; once at least `minCalls` outcomes are known and the share of failures
+ *             reaches `failureRatio`, the breaker opens
+ *   open      calls are rejected at once with a CircuitOpenError until `openMs` has passed
+ *   halfOpen  a single probe call goes through; calls arriving meanwhile wait for its outcome and then go
+ *             through (success closes the breaker) or are rejected (failure opens it again for another `openMs`)
+ */
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit open for ${name} until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.errorClass = 'circuitOpen';
+    this.retryAt = new Date(retryAt).toISOString();
+  }
+}
+
+/**
+ * Create a circuit breaker
+ * @param {string} name - Name used in errors and status (e.g. the origin)
+ * @param {Object} options - Breaker options
+ * @param {number} options.failureRatio - Failure share of the window that opens the breaker (default: 0.5)
+ * @param {number} options.minCalls - Outcomes needed before the ratio is trusted (default: 10)
+ * @param {number} options.windowSize - Number of recent outcomes kept (default: 20)
+ * @param {number} options.openMs - How long the breaker stays open before a probe (default: 600000)
+ * @param {Function} options.isFailure - Judges an error: true counts as a failure, false as a healthy answer
+ *   (e.g. a 404 from a working upstream), null is not counted (e.g. a cancelled call) (default: every error fails)
+ * @param {Function} options.onStateChange - Called with (state, previousState, breaker) on every transition
+ * @returns {Object} { run, state, canRequest, reset, status }
+ */
+export function createCircuitBreaker(name, options = {}) {
+  const {
+    failureRatio = 0.5,
+    minCalls = 10,
+    windowSize = 20,
+    openMs = 10 * 60 * 1000,
+    isFailure = () => true,
+    onStateChange
+  } = options;
+
+  let state = 'closed';
+  let outcomes = [];
+  let openedAt = null;
+  let retryAt = null;
+  // Settles when the probe in flight finishes; null when there is none
+  let probe = null;
+  let lastFailure = null;
+  let lastTransitionAt = null;
+  const counters = { opens: 0, probes: 0, rejected: 0 };
+
+  const transition = (next) => {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    lastTransitionAt = new Date().toISOString();
+    onStateChange?.(next, previous, breaker);
+  };
+
+  const open = () => {
+    openedAt = Date.now();
+    retryAt = openedAt + openMs;
+    counters.opens++;
+    transition('open');
+  };
+
+  const close = () => {
+    outcomes = [];
+    openedAt = null;
+    retryAt = null;
+    transition('closed');
+  };
+
+  const currentState = () => {
+    // An open breaker becomes half-open lazily, on the first look after the wait
+    if (state === 'open' && Date.now() >= retryAt) {
+      transition('halfOpen');
+    }
+    return state;
+  };
+
+  const record = (failed) => {
+    outcomes.push(failed);
+    if (outcomes.length > windowSize) outcomes.shift();
+
+    const failures = outcomes.filter(Boolean).length;
+    if (state === 'closed' && outcomes.length >= minCalls && failures / outcomes.length >= failureRatio) {
+      open();
+    }
+  };
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} call - async () => result
+   * @returns {Promise<*>} Result of the call; rejects with CircuitOpenError without calling when open
+   */
+  async function run(call) {
+    let current = currentState();
+
+    // Calls arriving while the probe is out wait for it; failing them would waste them whenever it succeeds
+    while (current === 'halfOpen' && probe) {
+      await probe;
+      current = currentState();
+    }
+
+    if (current === 'open') {
+      counters.rejected++;
+      throw new CircuitOpenError(name, retryAt);
+    }
+
+    const isProbe = current === 'halfOpen';
+    let settleProbe = null;
+    if (isProbe) {
+      probe = new Promise(resolve => { settleProbe = resolve; });
+      counters.probes++;
+    }
+
+    try {
+      const result = await call();
+      if (isProbe) close();
+      else record(false);
+      return result;
+    } catch (error) {
+      const failed = isFailure(error);
+      if (failed) {
+        lastFailure = { message: error.message, errorClass: error.errorClass || null, at: new Date().toISOString() };
+      }
+      if (isProbe) {
+        // A probe that says nothing about the upstream (e.g. cancelled) leaves the breaker half-open
+        if (failed) open();
+        else if (failed === false) close();
+      } else if (failed !== null) {
+        record(failed);
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        probe = null;
+        settleProbe();
+      }
+    }
+  }
+
+  const breaker = {
+    run,
+
+    /**
+     * Current state: "closed", "open" or "halfOpen"
+     */
+    state: currentState,
+
+    /**
+     * Whether a call would be attempted (half-open: as the probe or once it succeeds) rather than rejected
+     * @returns {boolean}
+     */
+    canRequest() {
+      return currentState() !== 'open';
+    },
+
+    /**
+     * Close the breaker and forget recent outcomes
+     */
+    reset: close,
+
+    /**
+     * Snapshot for status endpoints
+     * @returns {Object}
+     */
+    status() {
+      const failures = outcomes.filter(Boolean).length;
+      return {
+        name,
+        state: currentState(),
+        failureRatio: outcomes.length > 0 ? Number((failures / outcomes.length).toFixed(2)) : 0,
+        recentCalls: outcomes.length,
+        recentFailures: failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+        probeInFlight: probe !== null,
+        lastFailure,
+        lastTransitionAt,
+        opens: counters.opens,
+        probes: counters.probes,
+        rejectedCalls: counters.rejected,
+        settings: { failureRatio, minCalls, windowSize, openMs }
+      };
+    }
+  };
+
+  return breaker;
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeJsonAtomic } from './dataStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Directory for editable configuration (filter rules, ...)
+ * Override with the CONFIG_DIR environment variable
+ */
+const CONFIG_DIR = process.env.CONFIG_DIR
+  ? path.resolve(process.env.CONFIG_DIR)
+  : path.join(__dirname, '../../config');
+
+/**
+ * Resolve a file inside the config directory
+ * @param {string} fileName - File name relative to the config directory
+ * @returns {string} Absolute path
+ */
+export function resolveConfigPath(fileName) {
+  return path.join(CONFIG_DIR, fileName);
+}
+
+/**
+ * Read and parse a JSON config file
+ * @param {string} filePath - Absolute file path
+ * @returns {*} Parsed JSON
+ */
+export function readConfigFileSync(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON config file atomically
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - Data to serialize
+ * @returns {Promise<string>} The file path
+ */
+export async function writeConfigFile(filePath, data) {
+  return writeJsonAtomic(filePath, data);
+}
+
+/**
+ * Call onChange when a config file changes on disk
+ * Watches the directory so editors and atomic writes (which replace the file) are both picked up
+ * @param {string} filePath - Absolute file path
+ * @param {Function} onChange - Called after the file settles
+ * @param {Object} options - Watch options
+ * @param {number} options.debounceMs - Wait for writes to settle (default: 300)
+ * @returns {Object} { close } handle
+ */
+export function watchConfigFile(filePath, onChange, options = {}) {
+  const { debounceMs = 300 } = options;
+  const fileName = path.basename(filePath);
+  let timer = null;
+
+  const watcher = fs.watch(path.dirname(filePath), (_eventType, changedFile) => {
+    if (changedFile && changedFile !== fileName) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
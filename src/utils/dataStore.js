@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Root directory for persisted runtime state (rosters, history, etc.)
+ * Override with the DATA_DIR environment variable
+ */
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '../../data');
+
+let tempFileCounter = 0;
+
+/**
+ * Resolve a path inside the data directory
+ * @param {...string} segments - Path segments relative to the data directory
+ * @returns {string} Absolute path
+ */
+export function resolveDataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+/**
+ * Read and parse a JSON file from the data directory
+ * @param {string} relativePath - Path relative to the data directory
+ * @param {*} fallback - Value returned when the file does not exist (default: null)
+ * @returns {Promise<*>} Parsed JSON or the fallback
+ */
+export async function readJsonFile(relativePath, fallback = null) {
+  try {
+    const content = await fs.readFile(resolveDataPath(relativePath), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write JSON to the data directory
+ * Writes to a temporary file first and renames it so readers never see a partial file
+ * @param {string} relativePath - Path relative to the data directory
+ * @param {*} data - Data to serialize
+ * @param {Object} options - See writeJsonAtomic()
+ * @returns {Promise<string>} Absolute path of the written file
+ */
+export async function writeJsonFile(relativePath, data, options = {}) {
+  return writeJsonAtomic(resolveDataPath(relativePath), data, options);
+}
+
+/**
+ * Write JSON to an absolute path through a temporary file + rename
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - Data to serialize
+ * @param {Object} options
+ * @param {number} options.mode - File permissions (e.g. 0o600); the rename replaces the old file, so they are
+ *   set on every write rather than kept from the previous file
+ * @returns {Promise<string>} The file path
+ */
+export async function writeJsonAtomic(filePath, data, { mode } = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2) + '\n', mode === undefined ? undefined : { mode });
+  if (mode !== undefined) {
+    // The process umask applies to the mode passed at creation
+    await fs.chmod(tempPath, mode);
+  }
+  await fs.rename(tempPath, filePath);
+
+  return filePath;
+}